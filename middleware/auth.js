@@ -98,6 +98,7 @@ async function verifyAuth(req, res, next) {
         email: admin.email,
         name: admin.name,
         role: 'admin',
+        adminRole: admin.role, // admin | super_admin, for permission checks
         isAdmin: true
       };
       return next();
@@ -0,0 +1,43 @@
+// server/migrations/migrate_id_counters.js
+// Moves ID bookkeeping from the `used` arrays (course_ids, program_ids, moduleids)
+// to the atomic id_counters collection used by services/idAllocator.
+// The old documents are left untouched. Pass --force to recompute existing counters.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const IdCounter = require('../models/IdCounter');
+const { seedCounter } = require('../services/idAllocator');
+
+async function migrate() {
+  try {
+    console.log('🔧 Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI || process.env.MONGO_URI);
+
+    console.log('✅ Connected to database');
+
+    const force = process.argv.includes('--force');
+
+    for (const scope of ['course', 'program', 'module']) {
+      const result = await seedCounter(scope, { force });
+
+      if (!result.created) {
+        console.log(`⏭️  ${scope}: counter already exists (use --force to recompute)`);
+        continue;
+      }
+      console.log(`✅ ${scope}: highest ID ${result.seq}, ${result.free} free ID(s) below it`);
+    }
+
+    console.log(`\n📊 Counters:`);
+    for (const counter of await IdCounter.find({}).lean()) {
+      console.log(`   ${counter._id}: seq ${counter.seq}, free [${counter.free.slice(0, 10).join(', ')}${counter.free.length > 10 ? ', ...' : ''}]`);
+    }
+
+    console.log('\n✨ Migration complete!');
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+migrate();
@@ -0,0 +1,30 @@
+// server/models/AuditLog.js
+const mongoose = require('mongoose');
+
+// One administrative action: who did what to which topic, program, admin, ...
+// Written by services/audit, kept for AUDIT_RETENTION_DAYS.
+const auditLogSchema = new mongoose.Schema({
+  actor: { type: String, required: true, lowercase: true, trim: true }, // admin or user email
+  actorRole: { type: String, default: null }, // super_admin | admin | user
+  action: { type: String, required: true }, // e.g. "course.publish", "admin.create", "auth.admin_login"
+  targetType: { type: String, required: true }, // course | program | module | admin | quiz | ...
+  targetId: { type: String, default: null, trim: true },
+  targetTitle: { type: String, default: '' },
+  status: { type: String, enum: ['success', 'failure'], default: 'success' },
+  summary: { type: String, default: '' },
+
+  // Changed fields only, before and after the action
+  before: { type: mongoose.Schema.Types.Mixed, default: null },
+  after: { type: mongoose.Schema.Types.Mixed, default: null },
+
+  ip: { type: String, default: null },
+  userAgent: { type: String, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
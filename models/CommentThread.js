@@ -0,0 +1,40 @@
+// server/models/CommentThread.js
+const mongoose = require('mongoose');
+
+// One comment of a thread (the first one opens it)
+const commentSchema = new mongoose.Schema({
+  author: { type: String, required: true, lowercase: true, trim: true },
+  body: { type: String, required: true },
+  mentions: [{ type: String, lowercase: true, trim: true }], // emails that were notified
+  createdAt: { type: Date, default: Date.now },
+  editedAt: { type: Date, default: null }
+});
+
+// Where on the page the thread is anchored. Both parts are optional; the
+// quote keeps the commented lines readable after the page changes.
+const anchorSchema = new mongoose.Schema({
+  heading: { type: String, default: null, trim: true }, // heading text, e.g. "Installation"
+  lineStart: { type: Number, default: null },
+  lineEnd: { type: Number, default: null },
+  quote: { type: String, default: '' } // the lines as they were when the thread was opened
+}, { _id: false });
+
+// A review discussion on a topic page, visible to whoever can edit the topic content
+const commentThreadSchema = new mongoose.Schema({
+  projectId: { type: String, required: true, trim: true },
+  file: { type: String, required: true, trim: true }, // page, e.g. "README.md"
+  anchor: { type: anchorSchema, default: () => ({}) },
+  comments: [commentSchema],
+
+  status: { type: String, enum: ['open', 'resolved'], default: 'open' },
+  resolvedBy: { type: String, default: null, lowercase: true, trim: true },
+  resolvedAt: { type: Date, default: null },
+
+  createdBy: { type: String, required: true, lowercase: true, trim: true },
+  createdAt: { type: Date, default: Date.now },
+  lastActivityAt: { type: Date, default: Date.now }
+});
+
+commentThreadSchema.index({ projectId: 1, file: 1, status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('CommentThread', commentThreadSchema);
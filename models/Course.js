@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { REVIEW_STATES } = require('../utils/reviewWorkflow');
+require('./ReviewEvent');
 
 const collaboratorSchema = new mongoose.Schema({
   email: { type: String, required: true, lowercase: true, trim: true },
@@ -9,6 +11,21 @@ const collaboratorSchema = new mongoose.Schema({
   inviteToken: { type: String, default: null }
 }, { _id: false });
 
+// Markdown page of a multi-page topic (array order = sidebar order)
+const pageSchema = new mongoose.Schema({
+  file: { type: String, required: true, trim: true }, // e.g. "README.md", "setup.md"
+  title: { type: String, required: true, trim: true }
+}, { _id: false });
+
+// Advisory edit lease held by the admin who has the topic open in the editor
+const editLockSchema = new mongoose.Schema({
+  email: { type: String, required: true, lowercase: true, trim: true },
+  name: { type: String, default: '' },
+  acquiredAt: { type: Date, default: Date.now },
+  renewedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true }
+}, { _id: false });
+
 const courseSchema = new mongoose.Schema({
   projectId: { type: String, required: true, unique: true, trim: true, index: true },
   slug: { type: String, required: true },
@@ -25,15 +42,40 @@ const courseSchema = new mongoose.Schema({
     index: true 
   },
 
+  // Working copy vs live files
+  hasUnpublishedChanges: { type: Boolean, default: false },
+  publishedBy: { type: String, default: null, trim: true },
+  publishedAt: { type: Date, default: null },
+
+  // Editorial review (see utils/reviewWorkflow); status above is what learners see
+  reviewStatus: { type: String, enum: REVIEW_STATES, default: 'draft' },
+  reviewers: [{ type: String, lowercase: true, trim: true }],
+  reviewSubmittedBy: { type: String, default: null, trim: true },
+  reviewSubmittedAt: { type: Date, default: null },
+  approvedBy: { type: String, default: null, trim: true },
+  approvedAt: { type: Date, default: null },
+
+  // Scheduled status changes (applied by services/publishScheduler)
+  publishAt: { type: Date, default: null },
+  unpublishAt: { type: Date, default: null },
+  scheduledBy: { type: String, default: null, trim: true },
+
   // Tracking
   createdBy: { type: String, required: true, trim: true },
   createdAt: { type: Date, default: Date.now },
   lastModifiedBy: { type: String, required: true, trim: true },
   lastModifiedAt: { type: Date, default: Date.now },
+  version: { type: Number, default: 0 }, // Bumped on every edit (optimistic concurrency)
 
   // Collaborators
   collaborators: [collaboratorSchema],
 
+  // Pages (empty = single README.md topic)
+  pages: [pageSchema],
+
+  // Editor presence (advisory, expires unless renewed)
+  editLock: { type: editLockSchema, default: null },
+
   // File system sync status (optional)
   filesSynced: { type: Boolean, default: false },
   lastSyncedAt: { type: Date, default: null }
@@ -45,6 +87,8 @@ const courseSchema = new mongoose.Schema({
 courseSchema.index({ title: 'text', description: 'text' });
 courseSchema.index({ createdBy: 1 });
 courseSchema.index({ 'collaborators.email': 1 });
+courseSchema.index({ publishAt: 1 }, { sparse: true });
+courseSchema.index({ unpublishAt: 1 }, { sparse: true });
 
 // Permission helpers
 courseSchema.methods.canEditContent = function(userEmail, userRole) {
@@ -65,6 +109,86 @@ courseSchema.methods.canPublish = function(userEmail, userRole) {
   return userRole === 'super_admin' || userRole === 'admin';
 };
 
+// Flag the working copy as changed; an approval no longer covers the new content
+courseSchema.methods.markContentChanged = function() {
+  this.hasUnpublishedChanges = true;
+  if (this.reviewStatus === 'approved' || this.reviewStatus === 'published') {
+    this.$locals.reviewResetFrom = this.reviewStatus;
+    this.reviewStatus = 'draft';
+    this.approvedBy = null;
+    this.approvedAt = null;
+  }
+};
+
+// Ordered pages, README.md first for single-page topics
+courseSchema.methods.getPages = function() {
+  if (this.pages && this.pages.length > 0) {
+    return this.pages.map(p => ({ file: p.file, title: p.title }));
+  }
+  return [{ file: 'README.md', title: 'Home' }];
+};
+
+// Current edit lock, or null if there is none or it has expired
+courseSchema.methods.getActiveLock = function() {
+  if (!this.editLock || !this.editLock.expiresAt) return null;
+  return this.editLock.expiresAt > new Date() ? this.editLock : null;
+};
+
+// Author and super admins may break someone else's lock
+courseSchema.methods.canBreakLock = function(userEmail, userRole) {
+  return userRole === 'super_admin' || this.createdBy === userEmail;
+};
+
+// Static helper to take or renew the edit lock atomically
+// Returns the updated course, or null if someone else holds a live lock
+courseSchema.statics.acquireEditLock = function(projectId, { email, name }, ttlMs) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    {
+      projectId,
+      $or: [
+        { editLock: null },
+        { 'editLock.expiresAt': { $lte: now } },
+        { 'editLock.email': email }
+      ]
+    },
+    [{
+      $set: {
+        editLock: {
+          email,
+          name,
+          // Keep the original start time when the holder renews
+          acquiredAt: {
+            $cond: [
+              { $and: [{ $eq: ['$editLock.email', email] }, { $gt: ['$editLock.expiresAt', now] }] },
+              '$editLock.acquiredAt',
+              now
+            ]
+          },
+          renewedAt: now,
+          expiresAt: new Date(now.getTime() + ttlMs)
+        }
+      }
+    }],
+    { new: true }
+  );
+};
+
+// Record approvals voided by an edit in the review history
+courseSchema.post('save', async function(doc) {
+  const from = doc.$locals.reviewResetFrom;
+  if (!from) return;
+  delete doc.$locals.reviewResetFrom;
+  await mongoose.model('ReviewEvent').create({
+    targetType: 'course',
+    targetId: doc.projectId,
+    action: 'edit',
+    from,
+    to: 'draft',
+    actor: doc.lastModifiedBy
+  }).catch(err => console.error('Error recording review reset:', err));
+});
+
 // Static helper to find courses a user can access
 courseSchema.statics.findAccessibleByUser = function(userEmail, userRole) {
   if (userRole === 'super_admin') return this.find({});
@@ -0,0 +1,85 @@
+// server/models/CourseRevision.js
+const mongoose = require('mongoose');
+
+const courseRevisionSchema = new mongoose.Schema({
+  projectId: {
+    type: String,
+    required: true,
+    trim: true,
+    index: true
+  }, // Topic ID (e.g., "0001")
+
+  revision: {
+    type: Number,
+    required: true
+  }, // Sequential per topic (1, 2, 3, ...)
+
+  file: {
+    type: String,
+    default: 'README.md',
+    trim: true
+  }, // Page the snapshot belongs to
+
+  content: {
+    type: String,
+    default: ''
+  }, // Full page snapshot
+
+  author: {
+    type: String, // Admin email
+    required: true,
+    trim: true
+  },
+
+  message: {
+    type: String,
+    default: '',
+    trim: true
+  },
+
+  // Set when this revision was created by restoring an older one
+  restoredFrom: {
+    type: Number,
+    default: null
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One revision number per topic
+courseRevisionSchema.index({ projectId: 1, revision: -1 }, { unique: true });
+
+// Static method: Get the latest revision for a topic (optionally of one page)
+courseRevisionSchema.statics.findLatest = function(projectId, file = null) {
+  const query = file ? { projectId, file } : { projectId };
+  return this.findOne(query).sort({ revision: -1 });
+};
+
+// Attempts at numbering a revision when concurrent saves take the same number
+const RECORD_ATTEMPTS = 5;
+
+// Static method: Record a new revision, numbering it after the latest one
+// The unique index decides between concurrent saves; the loser renumbers and retries.
+courseRevisionSchema.statics.record = async function(projectId, { file, content, author, message, restoredFrom }) {
+  for (let attempt = 1; ; attempt++) {
+    const latest = await this.findLatest(projectId).select('revision');
+    try {
+      return await this.create({
+        projectId,
+        revision: latest ? latest.revision + 1 : 1,
+        file: file || 'README.md',
+        content,
+        author,
+        message: message || '',
+        restoredFrom: restoredFrom || null
+      });
+    } catch (err) {
+      if (err.code !== 11000 || attempt >= RECORD_ATTEMPTS) throw err;
+    }
+  }
+};
+
+module.exports = mongoose.model('CourseRevision', courseRevisionSchema);
@@ -0,0 +1,14 @@
+// server/models/IdCounter.js
+const mongoose = require('mongoose');
+
+// One document per ID scope ("course", "program", "module"), updated atomically
+// by services/idAllocator. Replaces the `used` arrays of course_ids / program_ids / moduleids.
+const idCounterSchema = new mongoose.Schema({
+  _id: { type: String }, // scope
+  seq: { type: Number, default: 0 }, // highest number handed out so far
+  free: { type: [Number], default: [] } // released numbers, kept sorted ascending
+}, {
+  collection: 'id_counters'
+});
+
+module.exports = mongoose.model('IdCounter', idCounterSchema);
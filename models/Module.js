@@ -58,7 +58,11 @@ const moduleSchema = new mongoose.Schema({
   lastModifiedAt: { 
     type: Date, 
     default: Date.now 
-  }
+  },
+  version: { 
+    type: Number, 
+    default: 0 
+  } // Bumped on every edit (optimistic concurrency)
 }, {
   timestamps: true
 });
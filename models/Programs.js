@@ -1,5 +1,7 @@
 // server/models/Program.js
 const mongoose = require('mongoose');
+const { REVIEW_STATES } = require('../utils/reviewWorkflow');
+require('./ReviewEvent');
 
 const collaboratorSchema = new mongoose.Schema({
   email: { type: String, required: true, lowercase: true, trim: true },
@@ -52,6 +54,20 @@ const programSchema = new mongoose.Schema(
     createdAt: { type: Date, default: Date.now },
     lastModifiedBy: { type: String, required: true, trim: true },
     lastModifiedAt: { type: Date, default: Date.now },
+    version: { type: Number, default: 0 }, // Bumped on every edit (optimistic concurrency)
+
+    // Editorial review (see utils/reviewWorkflow); status above is what learners see
+    reviewStatus: { type: String, enum: REVIEW_STATES, default: 'draft' },
+    reviewers: [{ type: String, lowercase: true, trim: true }],
+    reviewSubmittedBy: { type: String, default: null, trim: true },
+    reviewSubmittedAt: { type: Date, default: null },
+    approvedBy: { type: String, default: null, trim: true },
+    approvedAt: { type: Date, default: null },
+
+    // Scheduled status changes (applied by services/publishScheduler)
+    publishAt: { type: Date, default: null },
+    unpublishAt: { type: Date, default: null },
+    scheduledBy: { type: String, default: null, trim: true },
 
     // Collaborators
     collaborators: [collaboratorSchema],
@@ -66,6 +82,8 @@ programSchema.index({ title: 'text', description: 'text' });
 programSchema.index({ createdBy: 1 });
 programSchema.index({ 'collaborators.email': 1 });
 programSchema.index({ status: 1 });
+programSchema.index({ publishAt: 1 }, { sparse: true });
+programSchema.index({ unpublishAt: 1 }, { sparse: true });
 programSchema.index({ difficulty: 1 });
 programSchema.index({ category: 1 });
 
@@ -109,6 +127,31 @@ programSchema.methods.canDelete = function(userEmail, userRole) {
   return false;
 };
 
+// An approval no longer covers edited content
+programSchema.methods.markContentChanged = function() {
+  if (this.reviewStatus === 'approved' || this.reviewStatus === 'published') {
+    this.$locals.reviewResetFrom = this.reviewStatus;
+    this.reviewStatus = 'draft';
+    this.approvedBy = null;
+    this.approvedAt = null;
+  }
+};
+
+// Record approvals voided by an edit in the review history
+programSchema.post('save', async function(doc) {
+  const from = doc.$locals.reviewResetFrom;
+  if (!from) return;
+  delete doc.$locals.reviewResetFrom;
+  await mongoose.model('ReviewEvent').create({
+    targetType: 'program',
+    targetId: doc.programId,
+    action: 'edit',
+    from,
+    to: 'draft',
+    actor: doc.lastModifiedBy
+  }).catch(err => console.error('Error recording review reset:', err));
+});
+
 // Static helper to find programs a user can access
 programSchema.statics.findAccessibleByUser = function(userEmail, userRole) {
   if (userRole === 'super_admin') return this.find({});
@@ -0,0 +1,14 @@
+// server/models/QaAnswer.js
+const mongoose = require('mongoose');
+const { postFields } = require('./qaPost');
+
+// An answer to a learner question (QaThread)
+const qaAnswerSchema = new mongoose.Schema({
+  ...postFields,
+  thread: { type: mongoose.Schema.Types.ObjectId, ref: 'QaThread', required: true }
+});
+
+qaAnswerSchema.index({ thread: 1, hidden: 1, upvotes: -1, createdAt: 1 });
+qaAnswerSchema.index({ projectId: 1, 'reports.0': 1 });
+
+module.exports = mongoose.model('QaAnswer', qaAnswerSchema);
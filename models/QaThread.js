@@ -0,0 +1,23 @@
+// server/models/QaThread.js
+const mongoose = require('mongoose');
+const { postFields } = require('./qaPost');
+
+// A learner question on a published topic; answers live in QaAnswer
+const qaThreadSchema = new mongoose.Schema({
+  ...postFields,
+  title: { type: String, required: true, trim: true },
+  answerCount: { type: Number, default: 0 }, // visible answers
+  acceptedAnswer: { type: mongoose.Schema.Types.ObjectId, ref: 'QaAnswer', default: null },
+  acceptedBy: { type: String, default: null, lowercase: true, trim: true },
+
+  locked: { type: Boolean, default: false },
+  lockedBy: { type: String, default: null, lowercase: true, trim: true },
+  lockedAt: { type: Date, default: null },
+
+  lastActivityAt: { type: Date, default: Date.now }
+});
+
+qaThreadSchema.index({ projectId: 1, hidden: 1, lastActivityAt: -1 });
+qaThreadSchema.index({ projectId: 1, 'reports.0': 1 });
+
+module.exports = mongoose.model('QaThread', qaThreadSchema);
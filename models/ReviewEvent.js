@@ -0,0 +1,24 @@
+// server/models/ReviewEvent.js
+const mongoose = require('mongoose');
+
+// One recorded review transition of a topic or program
+const reviewEventSchema = new mongoose.Schema({
+  targetType: { type: String, enum: ['course', 'program'], required: true },
+  targetId: { type: String, required: true, trim: true }, // projectId or programId
+  action: { type: String, required: true },
+  from: { type: String, required: true },
+  to: { type: String, required: true },
+  actor: { type: String, required: true, lowercase: true, trim: true },
+  comment: { type: String, default: '' },
+  reviewers: [{ type: String, lowercase: true, trim: true }],
+  createdAt: { type: Date, default: Date.now }
+});
+
+reviewEventSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+// Static helper to list the history of one topic or program, oldest first
+reviewEventSchema.statics.findHistory = function(targetType, targetId) {
+  return this.find({ targetType, targetId }).sort({ createdAt: 1 });
+};
+
+module.exports = mongoose.model('ReviewEvent', reviewEventSchema);
@@ -0,0 +1,56 @@
+// server/models/SearchSection.js
+const mongoose = require('mongoose');
+
+// One heading-delimited section of a topic page, used by GET /api/search
+const searchSectionSchema = new mongoose.Schema({
+  projectId: {
+    type: String,
+    required: true,
+    trim: true,
+    index: true
+  },
+
+  // "live" = published files, "draft" = working copy
+  source: {
+    type: String,
+    enum: ['live', 'draft'],
+    required: true
+  },
+
+  file: {
+    type: String,
+    default: 'README.md'
+  },
+
+  heading: {
+    type: String,
+    default: ''
+  },
+
+  anchor: {
+    type: String,
+    default: ''
+  },
+
+  level: {
+    type: Number,
+    default: 0
+  },
+
+  order: {
+    type: Number,
+    default: 0
+  }, // Position of the section within the topic
+
+  text: {
+    type: String,
+    default: ''
+  }
+}, {
+  collection: 'search_sections'
+});
+
+searchSectionSchema.index({ heading: 'text', text: 'text' }, { weights: { heading: 5, text: 1 } });
+searchSectionSchema.index({ projectId: 1, source: 1 });
+
+module.exports = mongoose.model('SearchSection', searchSectionSchema);
@@ -0,0 +1,23 @@
+// server/models/Tag.js
+const mongoose = require('mongoose');
+
+// A managed keyword / category term. Course keywords and Program categories
+// stay plain strings; the taxonomy maps their spellings onto one canonical name.
+const tagSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true }, // canonical spelling, e.g. "JavaScript"
+  key: { type: String, required: true, unique: true, trim: true }, // normalized name, e.g. "javascript"
+  synonyms: [{ type: String, trim: true }], // normalized alternative spellings, e.g. "js"
+  parent: { type: String, default: null, trim: true }, // key of the broader term
+  description: { type: String, default: '', trim: true },
+
+  // Tracking
+  createdBy: { type: String, required: true, trim: true },
+  createdAt: { type: Date, default: Date.now },
+  lastModifiedBy: { type: String, required: true, trim: true },
+  lastModifiedAt: { type: Date, default: Date.now }
+});
+
+tagSchema.index({ synonyms: 1 });
+tagSchema.index({ parent: 1 });
+
+module.exports = mongoose.model('Tag', tagSchema);
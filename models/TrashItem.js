@@ -0,0 +1,36 @@
+// server/models/TrashItem.js
+const mongoose = require('mongoose');
+
+// A deleted topic, program or module, kept until it is restored or purged.
+// Its ID is only released (services/idAllocator) when it is purged.
+const trashItemSchema = new mongoose.Schema({
+  type: { type: String, enum: ['course', 'program', 'module'], required: true },
+  itemId: { type: String, required: true, trim: true }, // projectId, programId or moduleId
+  title: { type: String, default: '' },
+
+  // Snapshot of the deleted document
+  data: { type: mongoose.Schema.Types.Mixed, required: true },
+  // Extra state needed to restore (e.g. a module's position in its program)
+  context: { type: mongoose.Schema.Types.Mixed, default: {} },
+
+  deletedBy: { type: String, required: true, lowercase: true, trim: true },
+  deletedAt: { type: Date, default: Date.now },
+  purgeAfter: { type: Date, required: true }
+});
+
+trashItemSchema.index({ type: 1, itemId: 1 }, { unique: true });
+trashItemSchema.index({ purgeAfter: 1 });
+
+// Whether an admin may restore this item
+trashItemSchema.methods.canRestore = function(userEmail, userRole) {
+  if (userRole === 'super_admin') return true;
+  return this.deletedBy === userEmail || this.data.createdBy === userEmail;
+};
+
+// Whether an admin may purge this item for good
+trashItemSchema.methods.canPurge = function(userEmail, userRole) {
+  if (userRole === 'super_admin') return true;
+  return this.data.createdBy === userEmail;
+};
+
+module.exports = mongoose.model('TrashItem', trashItemSchema);
@@ -0,0 +1,27 @@
+// server/models/Webhook.js
+const mongoose = require('mongoose');
+
+// An outbound webhook subscription. Matching events are POSTed to url as JSON,
+// signed with secret (services/webhooks).
+const webhookSchema = new mongoose.Schema({
+  url: { type: String, required: true, trim: true },
+  events: [{ type: String, trim: true }], // e.g. "course.published"; "*" = every event
+  secret: { type: String, required: true, select: false },
+  description: { type: String, default: '', trim: true },
+  active: { type: Boolean, default: true },
+
+  // Outcome of the latest delivery attempt
+  lastDeliveryAt: { type: Date, default: null },
+  lastDeliveryStatus: { type: String, enum: ['succeeded', 'failed', null], default: null },
+  consecutiveFailures: { type: Number, default: 0 },
+
+  // Tracking
+  createdBy: { type: String, required: true, lowercase: true, trim: true },
+  createdAt: { type: Date, default: Date.now },
+  lastModifiedBy: { type: String, required: true, lowercase: true, trim: true },
+  lastModifiedAt: { type: Date, default: Date.now }
+});
+
+webhookSchema.index({ active: 1, events: 1 });
+
+module.exports = mongoose.model('Webhook', webhookSchema);
@@ -0,0 +1,38 @@
+// server/models/WebhookDelivery.js
+const mongoose = require('mongoose');
+
+const RETENTION_DAYS = Number(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS) || 30;
+
+// One HTTP attempt of a delivery
+const attemptSchema = new mongoose.Schema({
+  at: { type: Date, default: Date.now },
+  responseStatus: { type: Number, default: null },
+  error: { type: String, default: null },
+  durationMs: { type: Number, default: 0 }
+}, { _id: false });
+
+// One event sent (or being retried) to one webhook. The _id is sent as
+// X-Elib-Delivery so receivers can drop duplicates.
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: { type: mongoose.Schema.Types.ObjectId, ref: 'Webhook', required: true },
+  event: { type: String, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+
+  status: { type: String, enum: ['pending', 'succeeded', 'failed'], default: 'pending' },
+  attempts: [attemptSchema],
+  nextAttemptAt: { type: Date, default: null }, // null once succeeded or given up
+  deliveredAt: { type: Date, default: null },
+
+  // Manual redelivery of an earlier delivery
+  redeliveryOf: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookDelivery', default: null },
+  requestedBy: { type: String, default: null, lowercase: true, trim: true },
+
+  createdAt: { type: Date, default: Date.now }
+});
+
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+// Delivery logs are dropped after the retention period
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
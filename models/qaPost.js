@@ -0,0 +1,33 @@
+// server/models/qaPost.js
+// Schema parts shared by Q&A questions (QaThread) and answers (QaAnswer)
+const mongoose = require('mongoose');
+
+// A learner's report of an abusive question or answer
+const reportSchema = new mongoose.Schema({
+  by: { type: String, required: true, lowercase: true, trim: true },
+  reason: { type: String, default: '', trim: true },
+  createdAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Fields shared by questions and answers
+const postFields = {
+  projectId: { type: String, required: true, trim: true },
+  body: { type: String, required: true },
+  authorEmail: { type: String, required: true, lowercase: true, trim: true },
+  authorName: { type: String, default: '' },
+  authorIsAdmin: { type: Boolean, default: false },
+
+  upvotedBy: [{ type: String, lowercase: true, trim: true }],
+  upvotes: { type: Number, default: 0 },
+
+  // Moderation
+  reports: [reportSchema],
+  hidden: { type: Boolean, default: false },
+  hiddenBy: { type: String, default: null, lowercase: true, trim: true },
+  hiddenAt: { type: Date, default: null },
+  hiddenReason: { type: String, default: '' },
+
+  createdAt: { type: Date, default: Date.now }
+};
+
+module.exports = { reportSchema, postFields };
@@ -1,6 +1,8 @@
 const express = require('express');
 const Admin = require('../models/Admin');
 const { verifyAdmin } = require('../middleware/auth');
+const { reconcile } = require('../services/reconciler');
+const audit = require('../services/audit');
 
 const router = express.Router();
 
@@ -47,6 +49,15 @@ router.post('/', async (req, res) => {
       createdBy: req.admin._id
     });
 
+    await audit.record(req, {
+      action: 'admin.create',
+      targetType: 'admin',
+      targetId: newAdmin._id,
+      targetTitle: newAdmin.email,
+      summary: `Added ${newAdmin.role} ${newAdmin.email}`,
+      after: { email: newAdmin.email, name: newAdmin.name, role: newAdmin.role }
+    });
+
     console.log(`✅ New admin created: ${email} by ${req.admin.email}`);
 
     res.json({
@@ -88,6 +99,15 @@ router.delete('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Admin not found' });
     }
 
+    await audit.record(req, {
+      action: 'admin.remove',
+      targetType: 'admin',
+      targetId: admin._id,
+      targetTitle: admin.email,
+      summary: `Removed ${admin.role} ${admin.email}`,
+      before: { email: admin.email, name: admin.name, role: admin.role }
+    });
+
     console.log(`✅ Admin removed: ${admin.email} by ${req.admin.email}`);
 
     res.json({
@@ -101,4 +121,35 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+// POST /api/admins/reconcile
+// Compare topic files with the database (only super_admin)
+// Body: { repair: true } also fixes what it finds; without it only reports
+router.post('/reconcile', async (req, res) => {
+  try {
+    if (req.admin.role !== 'super_admin') {
+      return res.status(403).json({ error: 'Only super admins can reconcile topic files' });
+    }
+
+    const body = req.body || {};
+    const repair = body.repair === true || body.repair === 'true';
+    const report = await reconcile({ repair, actor: req.admin.email });
+
+    if (repair) {
+      await audit.record(req, {
+        action: 'storage.reconcile',
+        targetType: 'storage',
+        summary: `Repaired ${report.orphanFolders.filter(f => f.repaired).length} orphan folder(s) and ${report.missingFiles.filter(f => f.repaired).length} topic(s) with missing files`
+      });
+    }
+
+    console.log(`🔍 Reconciliation run by ${req.admin.email}${repair ? ' (repair)' : ''}`);
+
+    res.json({ success: true, report });
+
+  } catch (error) {
+    console.error('Error reconciling topic files:', error);
+    res.status(500).json({ error: 'Failed to reconcile topic files: ' + error.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
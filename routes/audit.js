@@ -0,0 +1,155 @@
+// server/routes/audit.js
+const express = require('express');
+const { verifyAdmin } = require('../middleware/auth');
+const AuditLog = require('../models/AuditLog');
+const { RETENTION_DAYS } = require('../services/audit');
+const { escapeRegex, matchAny, parseListOptions, findPage } = require('../utils/listQuery');
+const { csvRow } = require('../utils/csv');
+const router = express.Router();
+
+// Rows in one CSV export
+const EXPORT_MAX_ROWS = 50000;
+
+const CSV_COLUMNS = [
+  'createdAt', 'actor', 'actorRole', 'action', 'targetType', 'targetId',
+  'targetTitle', 'status', 'summary', 'before', 'after', 'ip', 'userAgent'
+];
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+// Helper: Only super admins read the audit log; answers 403 itself
+function checkAccess(req, res) {
+  if (req.admin.role !== 'super_admin') {
+    res.status(403).json({ error: 'Only super admins can view the audit log' });
+    return false;
+  }
+  return true;
+}
+
+// Helper: Mongo filter from the query string; { error } for bad dates
+// ?actor=a@b.c&action=course.publish,course.unpublish&targetType=course&targetId=0012
+// &status=failure&from=2025-01-01&to=2025-02-01&q=text
+function buildAuditFilter(query) {
+  const filter = {};
+
+  const actor = matchAny(query.actor);
+  if (actor) filter.actor = actor;
+  const action = matchAny(query.action);
+  if (action) filter.action = action;
+  const targetType = matchAny(query.targetType);
+  if (targetType) filter.targetType = targetType;
+  if (query.targetId) filter.targetId = String(query.targetId);
+  if (query.status) filter.status = String(query.status);
+
+  for (const [param, op] of [['from', '$gte'], ['to', '$lt']]) {
+    if (!query[param]) continue;
+    const date = new Date(query[param]);
+    if (isNaN(date.getTime())) {
+      return { error: `${param} must be a date` };
+    }
+    filter.createdAt = { ...filter.createdAt, [op]: date };
+  }
+
+  if (query.q) {
+    const text = new RegExp(escapeRegex(String(query.q).trim()), 'i');
+    filter.$or = [{ summary: text }, { targetTitle: text }, { targetId: text }];
+  }
+
+  return { filter };
+}
+
+// ============================================
+// AUDIT LOG ROUTES
+// ============================================
+
+// GET /api/audit?page=1&limit=50&sort=-createdAt (+ filters, see buildAuditFilter)
+router.get('/', verifyAdmin, async (req, res) => {
+  try {
+    if (!checkAccess(req, res)) return;
+
+    const { filter, error } = buildAuditFilter(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // Always paged, the log can be large
+    const options = parseListOptions({ ...req.query, page: req.query.page || 1 }, {
+      defaultSort: '-createdAt',
+      defaultLimit: 50,
+      sortFields: { actor: 'actor', action: 'action' }
+    });
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
+
+    const { items, total, page, limit, totalPages } = await findPage(AuditLog, filter, {
+      ...options,
+      select: '-__v'
+    });
+
+    res.json({
+      success: true,
+      entries: items,
+      total,
+      page,
+      limit,
+      totalPages,
+      retentionDays: RETENTION_DAYS
+    });
+
+  } catch (error) {
+    console.error('Error listing audit log:', error);
+    res.status(500).json({ error: 'Failed to list audit log' });
+  }
+});
+
+// GET /api/audit/export.csv (same filters as the listing, newest first)
+router.get('/export.csv', verifyAdmin, async (req, res) => {
+  try {
+    if (!checkAccess(req, res)) return;
+
+    const { filter, error } = buildAuditFilter(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="audit-log-${stamp}.csv"`);
+    res.write(csvRow(CSV_COLUMNS));
+
+    let rows = 0;
+    const cursor = AuditLog.find(filter).sort({ createdAt: -1, _id: -1 }).limit(EXPORT_MAX_ROWS).lean().cursor();
+    for await (const entry of cursor) {
+      res.write(csvRow(CSV_COLUMNS.map(column => entry[column])));
+      rows++;
+    }
+    res.end();
+
+    console.log(`🧾 Audit log exported (${rows} row(s)) by ${req.admin.email}`);
+
+  } catch (error) {
+    console.error('Error exporting audit log:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({ error: 'Failed to export audit log' });
+  }
+});
+
+// GET /api/audit/actions => distinct action names, for filter menus
+router.get('/actions', verifyAdmin, async (req, res) => {
+  try {
+    if (!checkAccess(req, res)) return;
+
+    const actions = await AuditLog.distinct('action');
+
+    res.json({ success: true, actions: actions.sort() });
+
+  } catch (error) {
+    console.error('Error listing audit actions:', error);
+    res.status(500).json({ error: 'Failed to list audit actions' });
+  }
+});
+
+module.exports = router;
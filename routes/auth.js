@@ -2,6 +2,7 @@ const express = require('express');
 const nodemailer = require('nodemailer');
 const crypto = require('crypto');
 const Admin = require('../models/Admin');
+const audit = require('../services/audit');
 
 const router = express.Router();
 
@@ -77,24 +78,38 @@ router.post('/verify-otp', async (req, res) => {
   try {
     const { email, otp } = req.body;
 
+    // Helper: Record a failed login attempt
+    const loginFailed = (summary) => audit.record(req, {
+      actor: String(email || 'unknown'),
+      action: 'auth.admin_login',
+      targetType: 'admin',
+      targetTitle: String(email || ''),
+      status: 'failure',
+      summary
+    });
+
     // Verify admin exists
     const admin = await Admin.findOne({ email });
     if (!admin) {
+      await loginFailed('Not a registered admin');
       return res.status(403).json({ error: 'Unauthorized' });
     }
 
     const stored = otpStore.get(email);
 
     if (!stored) {
+      await loginFailed('No OTP requested');
       return res.status(400).json({ error: 'No OTP found. Please request a new one.' });
     }
 
     if (Date.now() > stored.expiresAt) {
       otpStore.delete(email);
+      await loginFailed('OTP expired');
       return res.status(400).json({ error: 'OTP expired. Please request a new one.' });
     }
 
     if (stored.otp !== otp) {
+      await loginFailed('Invalid OTP');
       return res.status(400).json({ error: 'Invalid OTP' });
     }
 
@@ -105,6 +120,16 @@ router.post('/verify-otp', async (req, res) => {
     admin.lastLogin = new Date();
     await admin.save();
 
+    await audit.record(req, {
+      actor: admin.email,
+      actorRole: admin.role,
+      action: 'auth.admin_login',
+      targetType: 'admin',
+      targetId: admin._id,
+      targetTitle: admin.email,
+      summary: 'Logged in with one-time code'
+    });
+
     console.log(`✅ Admin authenticated: ${email}`);
     
     res.json({
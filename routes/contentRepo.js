@@ -0,0 +1,189 @@
+// server/routes/contentRepo.js
+const express = require('express');
+const { verifyAdmin } = require('../middleware/auth');
+const Course = require('../models/Course');
+const contentRepo = require('../services/contentRepo');
+const { extractHeadings } = require('../utils/markdown');
+const { readDraftContent, saveCourseContent, updateIndexJson } = require('../services/courseContent');
+const { claimVersion } = require('../utils/concurrency');
+const router = express.Router();
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+// Helper: Only super admins push and pull; answers 400/403 itself
+function checkAccess(req, res) {
+  if (!contentRepo.isEnabled()) {
+    res.status(400).json({ error: 'The git content repository is not enabled (CONTENT_GIT_ENABLED)' });
+    return false;
+  }
+  if (req.admin.role !== 'super_admin') {
+    res.status(403).json({ error: 'Only super admins can sync the content repository' });
+    return false;
+  }
+  return true;
+}
+
+// Helper: Apply pulled changes of one topic to its working copy
+// Topics someone else holds the edit lock of are skipped; otherwise the version
+// is bumped first, so editors still on the old version get a 409 instead of
+// overwriting the synced pages. `synced` is false while something is left that
+// a later sync should apply (the topic then stays pending in the repository).
+async function applyTopicChanges(projectId, changes, { actor, commit }) {
+  const course = await Course.findOne({ projectId });
+  if (!course) {
+    return { synced: false, results: changes.map(c => ({ projectId, file: c.file, skipped: 'Unknown topic' })) };
+  }
+
+  const lock = course.getActiveLock();
+  if (lock && lock.email !== actor) {
+    return {
+      synced: false,
+      results: changes.map(c => ({ projectId, file: c.file, skipped: `Being edited by ${lock.name || lock.email}; sync again later` }))
+    };
+  }
+
+  const results = [];
+  const pending = [];
+  let synced = true;
+  const existing = course.getPages();
+
+  for (const change of changes) {
+    const isPage = existing.some(p => p.file === change.file);
+    if (change.file === '_sidebar.md') {
+      results.push({ projectId, file: change.file, skipped: 'The sidebar is generated from the pages' });
+      continue;
+    }
+    if (change.status === 'deleted') {
+      // Already gone from the topic: nothing left to do
+      if (!isPage) continue;
+      synced = false;
+      results.push({ projectId, file: change.file, skipped: 'Deleted pages are not synced; delete the page in the editor' });
+      continue;
+    }
+    if (!/^[\w.-]+\.md$/.test(change.file)) {
+      results.push({ projectId, file: change.file, skipped: 'Unsupported file name' });
+      continue;
+    }
+    // Pending topics are listed again in full; skip what is already applied
+    if (isPage && await readDraftContent(projectId, change.file) === change.content) continue;
+    pending.push(change);
+  }
+
+  if (pending.length === 0) return { synced, results };
+
+  const claimed = await claimVersion(Course, { projectId }, null, {
+    lastModifiedBy: actor,
+    lastModifiedAt: new Date()
+  });
+  if (!claimed) {
+    return { synced: false, results: [...results, ...pending.map(c => ({ projectId, file: c.file, skipped: 'Unknown topic' }))] };
+  }
+
+  const pages = claimed.getPages();
+  for (const change of pending) {
+    if (!pages.some(p => p.file === change.file)) {
+      const heading = extractHeadings(change.content)[0];
+      pages.push({ file: change.file, title: heading ? heading.text : change.file.replace(/\.md$/, '') });
+    }
+
+    await saveCourseContent(projectId, change.content, {
+      author: actor,
+      message: `Synced from git (${commit.slice(0, 7)})`,
+      file: change.file,
+      pages
+    });
+    results.push({ projectId, file: change.file, status: change.status });
+  }
+
+  claimed.pages = pages.length > 1 ? pages : [];
+  claimed.markContentChanged();
+  await claimed.save();
+
+  return { synced, results };
+}
+
+// ============================================
+// CONTENT REPOSITORY ROUTES
+// ============================================
+
+// GET /api/content-repo => branch, remote, head, commits ahead/behind the remote
+router.get('/', verifyAdmin, async (req, res) => {
+  try {
+    if (!contentRepo.isEnabled()) {
+      return res.json({ success: true, status: { enabled: false } });
+    }
+
+    res.json({ success: true, status: await contentRepo.status() });
+
+  } catch (error) {
+    console.error('Error reading content repository status:', error);
+    res.status(500).json({ error: 'Failed to read content repository status' });
+  }
+});
+
+// POST /api/content-repo/push => push saved changes to the configured remote
+router.post('/push', verifyAdmin, async (req, res) => {
+  try {
+    if (!checkAccess(req, res)) return;
+
+    const result = await contentRepo.push();
+
+    console.log(`⬆️ Content repository pushed to ${result.remote} by ${req.admin.email}`);
+
+    res.json({ success: true, ...result });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error pushing content repository:', error);
+    res.status(500).json({ error: 'Failed to push: ' + error.message });
+  }
+});
+
+// POST /api/content-repo/sync => pull edits made outside the app into the working copies
+router.post('/sync', verifyAdmin, async (req, res) => {
+  try {
+    if (!checkAccess(req, res)) return;
+
+    const { before, after, changes } = await contentRepo.pull();
+
+    const byTopic = new Map();
+    for (const change of changes) {
+      if (!byTopic.has(change.projectId)) byTopic.set(change.projectId, []);
+      byTopic.get(change.projectId).push(change);
+    }
+
+    const results = [];
+    for (const [projectId, topicChanges] of byTopic) {
+      const applied = await applyTopicChanges(projectId, topicChanges, { actor: req.admin.email, commit: after });
+      results.push(...applied.results);
+      if (applied.synced) await contentRepo.markSynced(projectId);
+    }
+
+    if (results.some(r => !r.skipped)) {
+      await updateIndexJson();
+    }
+
+    console.log(`⬇️ Content repository synced (${before.slice(0, 7)}..${after.slice(0, 7)}) by ${req.admin.email}`);
+
+    res.json({
+      success: true,
+      before,
+      after,
+      applied: results.filter(r => !r.skipped),
+      skipped: results.filter(r => r.skipped)
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error syncing content repository:', error);
+    res.status(500).json({ error: 'Failed to sync: ' + error.message });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const path = require('path');
 const fs = require('fs').promises;
+const mongoose = require('mongoose');
 const { verifyAdmin } = require('../middleware/auth');
 const multer = require('multer');
 const crypto = require('crypto');
@@ -8,57 +9,74 @@ const { sendEmail } = require('../utils/email');
 const Course = require('../models/Course');
 const User = require('../models/User');
 const router = express.Router();
-const CourseId = require('../models/CourseId');
 const Admin = require('../models/Admin');
+const CourseRevision = require('../models/CourseRevision');
+const CommentThread = require('../models/CommentThread');
+const { diffLines, summarizeDiff } = require('../utils/diff');
+const { generateSidebar, extractHeadings } = require('../utils/markdown');
+const { extractMentions } = require('../utils/mentions');
+const { indexCourse, removeCourseFromIndex } = require('../services/searchIndex');
+const { validateContent, extractReferences, localImageName } = require('../utils/contentValidator');
+const { versionEtag, claimVersionOrRespond, releaseVersion } = require('../utils/concurrency');
+const { parseSchedule } = require('../utils/schedule');
+const { REVIEW_OPTIONS, canReview, isPublishable } = require('../utils/reviewWorkflow');
+const { recordTransition, applyReviewTransition, formatReview } = require('../services/reviewWorkflow');
+const ReviewEvent = require('../models/ReviewEvent');
+const Question = require('../models/Quiz/Question');
+const { moveToTrash } = require('../services/trash');
+const { allocateId, releaseId } = require('../services/idAllocator');
+const { matchAny, parseListOptions, findPage } = require('../utils/listQuery');
+const { normalizeTag, canonicalizeTags, buildTagFilter, facetCounts } = require('../services/taxonomy');
+const { MAX_BUNDLE_SIZE, buildTopicBundle, unzipBundle, stripCommonFolder, readTopicBundle } = require('../utils/topicBundle');
+// Topic files: storage.docs holds the live files, storage.drafts the working
+// copies (kept outside /docs so learners never see them)
+const storage = require('../services/storage');
+const contentRepo = require('../services/contentRepo');
+const {
+  generateSlug,
+  getCourseTemplate,
+  createCourseFilesOnDisk,
+  readCourseContent,
+  hasDraft,
+  listPages,
+  ensureDraft,
+  readDraftContent,
+  regenerateSidebar,
+  publishCourseDraft,
+  discardCourseDraft,
+  commitToContentRepo,
+  saveCourseContent,
+  updateIndexJson,
+  publishCourse,
+  unpublishCourse
+} = require('../services/courseContent');
+const webhooks = require('../services/webhooks');
+const audit = require('../services/audit');
 // Multer configuration - memory storage for flexibility
-const storage = multer.memoryStorage();
-const upload = multer({ storage });
+const upload = multer({ storage: multer.memoryStorage() });
 
-// Constants
-const DOCS_ROOT = path.join(process.cwd(), 'client/public/docs');
+// Images: accepted file types and size, for uploads and imported bundles
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.svg'];
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024;
 
-// Helper: pad number to 4 digits
-function padId(num) {
-  return String(num).padStart(4, '0');
-}
-
-// Helper: slug generation (fixed on creation)
-function generateSlug(title) {
-  return title
-    .toLowerCase()
-    .replace(/[^a-z0-9\s-]/g, '')
-    .trim()
-    .replace(/\s+/g, '-')
-    .slice(0, 50);
-}
-
-// Assign next available (lowest) 4-digit ID, reusing deleted ones
-async function assignNextAvailableCourseId() {
-  const doc = await CourseId.findOne() || new CourseId();
-  const usedSet = new Set(doc.used || []);
-
-  let candidate = 1;
-  while (true) {
-    const pid = padId(candidate);
-    if (!usedSet.has(pid)) {
-      doc.used.push(pid);
-      await doc.save();
-      return pid;
-    }
-    candidate += 1;
-    if (candidate > 9999) throw new Error('No available course IDs');
-  }
-}
+// Topic imports: a ZIP bundle or the files of a markdown folder
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_BUNDLE_SIZE }
+});
 
-// Free (make reusable) a courseId
-async function freeCourseId(projectId) {
-  const doc = await CourseId.findOne();
-  if (!doc) return;
-  const idx = (doc.used || []).indexOf(projectId);
-  if (idx !== -1) {
-    doc.used.splice(idx, 1);
-    await doc.save();
-  }
+// Topic fields compared in audit entries
+const AUDIT_FIELDS = ['title', 'description', 'keywords', 'status', 'reviewStatus'];
+
+// Helper: Audit entry for an action on a topic
+function auditCourse(req, course, action, details = {}) {
+  return audit.record(req, {
+    action: `course.${action}`,
+    targetType: 'course',
+    targetId: course.projectId,
+    targetTitle: course.title,
+    ...details
+  });
 }
 
 // Helper functions for HTML escaping
@@ -70,128 +88,34 @@ function escapeQuotes(str = '') {
   return String(str).replace(/"/g, '\\"').replace(/'/g, "\\'");
 }
 
-// Docsify template generator
-const TEMPLATE_PATH = path.join(__dirname, '../utils/indexTemplate.html');
-
-async function getCourseTemplate(title) {
-  try {
-    let html = await fs.readFile(TEMPLATE_PATH, 'utf8');
-    html = html.replace(/__COURSE_TITLE__/g, escapeHtml(title));
-    return html;
-  } catch (err) {
-    console.error("⚠️ Error reading course template:", err);
-    throw new Error("Template file missing or unreadable");
-  }
-}
-
-
-/**
- * Create course files on disk: README.md, _sidebar.md, index.html, images dir
- * @param {String} projectId  // "0001"
- * @param {String} title
- * @param {String} readmeContent - optional initial content
- */
-async function createCourseFilesOnDisk(projectId, title, readmeContent = null) {
-  const courseDir = path.join(DOCS_ROOT, projectId);
-  try {
-    await fs.mkdir(courseDir, { recursive: true });
-    await fs.mkdir(path.join(courseDir, 'images'), { recursive: true });
-
-    const readme = readmeContent || `# ${title}\n\nStart writing your course content here...\n`;
-    await fs.writeFile(path.join(courseDir, 'README.md'), readme, 'utf8');
-
-    const sidebar = `* [Home](README.md)\n`;
-    await fs.writeFile(path.join(courseDir, '_sidebar.md'), sidebar, 'utf8');
-
-    const indexHtml = await getCourseTemplate(title);
-    await fs.writeFile(path.join(courseDir, 'index.html'), indexHtml, 'utf8');
-
-    console.log(`✅ Files created on disk for ${projectId}`);
-    return true;
-  } catch (err) {
-    console.error('Error creating course files on disk:', err);
-    throw err;
-  }
-}
-
 /**
- * Read README.md content from disk
- * @param {String} projectId
- * @returns {String} content
+ * Check page content for missing images, broken anchors/page links and unknown topics
+ * @param {Object} course - Course document
+ * @param {String} content - markdown about to be saved
+ * @param {String} file - page being saved
+ * @returns {Array} warnings (see utils/contentValidator)
  */
-async function readCourseContent(projectId) {
-  const readmePath = path.join(DOCS_ROOT, projectId, 'README.md');
-  try {
-    const content = await fs.readFile(readmePath, 'utf8');
-    return content;
-  } catch (err) {
-    console.error(`Error reading README for ${projectId}:`, err);
-    return '';
+async function validateCourseContent(course, content, file = 'README.md') {
+  const projectId = course.projectId;
+  const images = await storage.docs.list(`${projectId}/images`);
+
+  const pages = [];
+  for (const page of course.getPages()) {
+    pages.push({
+      file: page.file,
+      content: page.file === file ? content : await readDraftContent(projectId, page.file)
+    });
   }
-}
-
-/**
- * Update README.md content on disk and regenerate sidebar
- * @param {String} projectId
- * @param {String} content
- */
-async function updateCourseContent(projectId, content) {
-  const readmePath = path.join(DOCS_ROOT, projectId, 'README.md');
-  const sidebarPath = path.join(DOCS_ROOT, projectId, '_sidebar.md');
-  
-  try {
-    // Write README.md
-    await fs.writeFile(readmePath, content, 'utf8');
 
-    // Regenerate sidebar from headers
-    const lines = content.split('\n');
-    const headers = [];
-    for (const line of lines) {
-      const match = line.match(/^##\s+(.+)$/);
-      if (match) {
-        const title = match[1].trim();
-        const anchor = title.toLowerCase().replace(/[^a-z0-9\s-]/g, '').replace(/\s+/g, '-');
-        headers.push(`* [${title}](README.md#${anchor})`);
-      }
-    }
-    const sidebar = headers.length > 0 ? headers.join('\n') : '* [Home](README.md)';
-    await fs.writeFile(sidebarPath, sidebar, 'utf8');
+  const courseIds = (await Course.find({}).select('projectId')).map(c => c.projectId);
 
-    console.log(`✅ Course content updated on disk: ${projectId}`);
-    return true;
-  } catch (err) {
-    console.error(`Error updating course content for ${projectId}:`, err);
-    throw err;
-  }
+  return validateContent(content, { projectId, file, images, pages, courseIds });
 }
 
-// Helper: Update index.json for backward compatibility
-async function updateIndexJson() {
-  try {
-    const indexPath = path.join(DOCS_ROOT, 'index.json');
-    
-    const courses = await Course.find({}).sort({ projectId: 1 });
-    
-    const indexData = courses.map(course => ({
-      proj: course.projectId,
-      slug: course.slug || '',
-      title: course.title,
-      description: course.description,
-      keywords: course.keywords,
-      createdBy: course.createdBy,
-      createdAt: course.createdAt,
-      lastModifiedBy: course.lastModifiedBy,
-      lastModifiedAt: course.lastModifiedAt,
-      collaborators: course.collaborators
-    }));
-    
-    await fs.writeFile(indexPath, JSON.stringify(indexData, null, 2));
-    console.log('✅ index.json updated');
-    return true;
-  } catch (error) {
-    console.error('Error updating index.json:', error);
-    return false;
-  }
+// Helper: Strict validation is requested with ?strict=true or { strict: true }
+function isStrictSave(req) {
+  const { strict } = req.body || {};
+  return req.query.strict === 'true' || strict === true || strict === 'true';
 }
 
 // Helper: Load collaboration invites
@@ -244,18 +168,27 @@ async function savePendingUserInvitations(invitations) {
   await fs.writeFile(invitesPath, JSON.stringify(invitations, null, 2));
 }
 
-async function readCourseContent(projectId) {
-  const path = require('path');
-  const fs = require('fs').promises;
-  const DOCS_ROOT = path.join(process.cwd(), 'client/public/docs');
-  const readmePath = path.join(DOCS_ROOT, projectId, 'README.md');
-  try {
-    const content = await fs.readFile(readmePath, 'utf8');
-    return content;
-  } catch (err) {
-    console.error(`Error reading README for ${projectId}:`, err);
-    return '';
-  }
+// Edit locks expire unless the editor renews them
+const EDIT_LOCK_TTL_MS = 5 * 60 * 1000;
+
+// Helper: Public shape of an edit lock
+function formatEditLock(lock, userEmail) {
+  if (!lock) return null;
+  return {
+    heldBy: lock.email,
+    heldByName: lock.name,
+    since: lock.acquiredAt,
+    renewedAt: lock.renewedAt,
+    expiresAt: lock.expiresAt,
+    isMine: lock.email === userEmail
+  };
+}
+
+// Helper: Resolve the admin behind an optional Authorization header (null for the public)
+async function getOptionalAdmin(req) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return null;
+  return Admin.findOne({ email: authHeader.replace('Bearer ', '') });
 }
 
 // ============================================
@@ -277,115 +210,509 @@ router.post("/create", verifyAdmin, async (req, res) => {
           .json({ error: "File upload error: " + err.message });
       }
 
-      const { title, description, keywords, videoLink } = req.body;
+      let projectId = null;
+      try {
+        const { title, description, keywords, videoLink } = req.body;
 
-      if (!title) {
-        return res.status(400).json({ error: "Title is required" });
-      }
+        if (!title) {
+          return res.status(400).json({ error: "Title is required" });
+        }
 
-      // Assign numeric ID and slug
-      const projectId = await assignNextAvailableCourseId(); // e.g. "0001"
-      const slug = generateSlug(title);
+        // Assign numeric ID and slug (the allocator never hands out an ID twice)
+        projectId = await allocateId('course'); // e.g. "0001"
+        const slug = generateSlug(title);
 
-      // Check if course already exists
-      const existing = await Course.findOne({ projectId });
-      if (existing) {
-        return res
-          .status(400)
-          .json({ error: "Course with this ID already exists" });
+        // Handle README content
+        let readmeContent = null;
+        if (req.files && req.files["readme"] && req.files["readme"][0]) {
+          readmeContent = req.files["readme"][0].buffer.toString("utf-8");
+        }
+
+        // Build metadata for MongoDB (NO CONTENT!)
+        const newCourse = new Course({
+          projectId,
+          slug,
+          title,
+          description: description || "",
+          keywords: await canonicalizeTags(keywords),
+          videoLink: videoLink || '',
+          createdBy: req.admin.email,
+          lastModifiedBy: req.admin.email,
+          collaborators: [],
+        });
+
+        // Save metadata to MongoDB
+        await newCourse.save();
+
+        // Create files on disk (README, _sidebar.md, index.html, images folder)
+        await createCourseFilesOnDisk(projectId, title, readmeContent);
+
+        // Start revision history with the initial README
+        const initialContent = await readCourseContent(projectId);
+        await CourseRevision.record(projectId, {
+          content: initialContent,
+          author: req.admin.email,
+          message: 'Topic created'
+        });
+        await indexCourse(projectId, 'live', [{ file: 'README.md', content: initialContent }])
+          .catch(err => console.error(`Error indexing ${projectId}:`, err));
+        await commitToContentRepo(projectId, repo => repo.commitFiles(projectId, [{ file: 'README.md', content: initialContent }], {
+          author: req.admin.email,
+          message: `Create topic ${projectId}: ${title}`
+        }));
+
+        // Handle uploaded images (if any)
+        if (req.files && req.files["images"] && req.files["images"].length > 0) {
+          const imagesDir = `${projectId}/images`;
+
+          for (const imageFile of req.files["images"]) {
+            let originalName = imageFile.originalname;
+
+            // Ensure predictable, clean file names
+            originalName = originalName.replace(/\s+/g, "-").toLowerCase();
+
+            let finalPath = `${imagesDir}/${originalName}`;
+
+            // If file exists, auto-increment filename
+            let counter = 1;
+            const ext = path.extname(originalName);
+            const base = path.basename(originalName, ext);
+
+            while (await storage.docs.exists(finalPath)) {
+              finalPath = `${imagesDir}/${base}-${counter}${ext}`;
+              counter++;
+            }
+
+            // Save the file
+            await storage.docs.write(finalPath, imageFile.buffer);
+          }
+
+          console.log(
+            `✅ ${req.files["images"].length} image(s) uploaded for new course ${projectId}`
+          );
+        }
+
+        // Update index.json for backward compatibility
+        await updateIndexJson();
+
+        webhooks.emit('course.created', webhooks.courseData(newCourse), req.admin.email);
+        await auditCourse(req, newCourse, 'create', { after: audit.pick(newCourse, AUDIT_FIELDS) });
+
+        console.log(`✅ Course created: ${projectId} by ${req.admin.email}`);
+
+        res.json({
+          success: true,
+          message: "Course created successfully",
+          course: {
+            id: projectId,
+            title,
+            description,
+            keywords: newCourse.keywords,
+          },
+        });
+      } catch (error) {
+        console.error("Error creating course:", error);
+
+        // Roll back a half-finished creation
+        if (projectId) {
+          await Course.deleteOne({ projectId }).catch(() => {});
+          await CourseRevision.deleteMany({ projectId }).catch(() => {});
+          await removeCourseFromIndex(projectId).catch(() => {});
+          await storage.docs.removeAll(projectId).catch(() => {});
+          await releaseId('course', projectId).catch(() => {});
+        }
+
+        res
+          .status(500)
+          .json({ error: "Failed to create course: " + error.message });
+      }
+    });
+  } catch (error) {
+    console.error("Error creating course:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to create course: " + error.message });
+  }
+});
+
+// POST /api/courses/import
+// Accepts a ZIP bundle ("bundle") or the files of a markdown folder ("files")
+router.post('/import', verifyAdmin, (req, res, next) => {
+  importUpload.fields([
+    { name: 'bundle', maxCount: 1 },
+    { name: 'files', maxCount: 500 }
+  ])(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ error: 'File upload error: ' + err.message });
+    }
+    next();
+  });
+}, async (req, res) => {
+  let projectId = null;
+  try {
+    // Collect uploaded files as { relativePath: Buffer }
+    let files;
+    if (req.files && req.files['bundle'] && req.files['bundle'][0]) {
+      try {
+        files = unzipBundle(req.files['bundle'][0].buffer);
+      } catch (err) {
+        return res.status(400).json({
+          error: 'Invalid topic bundle',
+          report: { errors: [`Could not read ZIP file: ${err.message}`], warnings: [] }
+        });
       }
+    } else if (req.files && req.files['files'] && req.files['files'].length > 0) {
+      files = {};
+      for (const file of req.files['files']) {
+        files[file.originalname.replace(/\\/g, '/')] = file.buffer;
+      }
+      files = stripCommonFolder(files);
+    } else {
+      return res.status(400).json({ error: 'Upload a ZIP bundle or markdown files to import' });
+    }
 
-      // Handle README content
-      let readmeContent = null;
-      if (req.files && req.files["readme"] && req.files["readme"][0]) {
-        readmeContent = req.files["readme"][0].buffer.toString("utf-8");
+    const { manifest, pages, images: bundleImages, report } = readTopicBundle(files, { title: req.body.title });
+
+    // Images are served from /docs, so only the types and sizes an upload accepts
+    const images = [];
+    for (const image of bundleImages) {
+      if (!IMAGE_EXTENSIONS.includes(path.extname(image.name).toLowerCase())) {
+        report.warnings.push(`images/${image.name} was skipped: not an image file`);
+      } else if (image.data.length > MAX_IMAGE_SIZE) {
+        report.warnings.push(`images/${image.name} was skipped: larger than ${MAX_IMAGE_SIZE / (1024 * 1024)} MB`);
+      } else {
+        images.push(image);
       }
+    }
+
+    if (report.errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid topic bundle', report });
+    }
+
+    // Reserve an ID and write the files
+    projectId = await allocateId('course');
+    const oldId = manifest.projectId;
+
+    // Point image references at the new project ID
+    const rewrite = (content) => oldId && oldId !== projectId
+      ? content.split(`/${oldId}/images/`).join(`/${projectId}/images/`)
+      : content;
+
+    const readme = pages.find(p => p.file === 'README.md');
+    await createCourseFilesOnDisk(projectId, manifest.title, rewrite(readme.content));
+
+    for (const page of pages.filter(p => p.file !== 'README.md')) {
+      await storage.docs.write(`${projectId}/${page.file}`, rewrite(page.content));
+    }
+    const sidebar = generateSidebar(pages.map(p => ({ ...p, content: rewrite(p.content) })));
+    await storage.docs.write(`${projectId}/_sidebar.md`, sidebar);
+
+    for (const image of images) {
+      await storage.docs.write(`${projectId}/images/${path.basename(image.name)}`, image.data);
+    }
+
+    // Fill in metadata from the manifest. Collaborators are not carried over:
+    // access to the new topic is granted through the usual invitations.
+    if (Array.isArray(manifest.collaborators) && manifest.collaborators.length > 0) {
+      report.warnings.push(`${manifest.collaborators.length} collaborator(s) in the manifest were not imported; invite them to the new topic`);
+    }
+
+    const course = await Course.create({
+      projectId,
+      slug: manifest.slug || generateSlug(manifest.title),
+      title: manifest.title,
+      description: manifest.description || '',
+      keywords: await canonicalizeTags(Array.isArray(manifest.keywords) ? manifest.keywords : []),
+      videoLink: manifest.videoLink || '',
+      pages: pages.length > 1 ? pages.map(p => ({ file: p.file, title: p.title })) : [],
+      createdBy: req.admin.email,
+      lastModifiedBy: req.admin.email
+    });
 
-      // Build metadata for MongoDB (NO CONTENT!)
-      const newCourse = new Course({
-        projectId,
-        slug,
-        title,
-        description: description || "",
-        keywords: keywords
-          ? Array.isArray(keywords)
-            ? keywords
-            : keywords.split(",").map((k) => k.trim())
-          : [],
-        videoLink: videoLink || '',
-        createdBy: req.admin.email,
-        lastModifiedBy: req.admin.email,
-        collaborators: [],
+    for (const page of pages) {
+      await CourseRevision.record(projectId, {
+        file: page.file,
+        content: rewrite(page.content),
+        author: req.admin.email,
+        message: oldId ? `Imported from topic ${oldId}` : 'Imported'
       });
+    }
+    await indexCourse(projectId, 'live', pages.map(p => ({ file: p.file, content: rewrite(p.content) })))
+      .catch(err => console.error(`Error indexing ${projectId}:`, err));
+    await commitToContentRepo(projectId, repo => repo.commitFiles(projectId, pages.map(p => ({ file: p.file, content: rewrite(p.content) })), {
+      author: req.admin.email,
+      message: oldId ? `Import topic ${projectId} from ${oldId}` : `Import topic ${projectId}`
+    }));
+
+    await updateIndexJson();
+
+    webhooks.emit('course.created', webhooks.courseData(course), req.admin.email);
+    await auditCourse(req, course, 'import', {
+      summary: `Imported ${pages.length} page(s) and ${images.length} image(s)${oldId ? ` from topic ${oldId}` : ''}`,
+      after: audit.pick(course, AUDIT_FIELDS)
+    });
 
-      // Save metadata to MongoDB
-      await newCourse.save();
+    console.log(`📥 Course imported: ${projectId} (from ${oldId || 'folder'}) by ${req.admin.email}`);
 
-      // Create files on disk (README, _sidebar.md, index.html, images folder)
-      await createCourseFilesOnDisk(projectId, title, readmeContent);
+    res.json({
+      success: true,
+      message: 'Topic imported successfully',
+      course: {
+        id: projectId,
+        title: course.title,
+        description: course.description,
+        keywords: course.keywords
+      },
+      report: {
+        ...report,
+        pages: pages.length,
+        images: images.length
+      }
+    });
 
-      // Handle uploaded images (if any)
-      if (req.files && req.files["images"] && req.files["images"].length > 0) {
-        const imagesDir = path.join(DOCS_ROOT, projectId, "images");
-        await fs.mkdir(imagesDir, { recursive: true });
+  } catch (error) {
+    console.error('Error importing course:', error);
+
+    // Roll back a half-finished import
+    if (projectId) {
+      await Course.deleteOne({ projectId }).catch(() => {});
+      await CourseRevision.deleteMany({ projectId }).catch(() => {});
+      await removeCourseFromIndex(projectId).catch(() => {});
+      await storage.docs.removeAll(projectId).catch(() => {});
+      await releaseId('course', projectId).catch(() => {});
+    }
 
-        for (const imageFile of req.files["images"]) {
-          let originalName = imageFile.originalname;
+    res.status(500).json({ error: 'Failed to import course: ' + error.message });
+  }
+});
 
-          // Ensure predictable, clean file names
-          originalName = originalName.replace(/\s+/g, "-").toLowerCase();
+// ============================================
+// BULK OPERATIONS
+// ============================================
 
-          let finalPath = path.join(imagesDir, originalName);
+const BULK_MAX_ITEMS = 500;
 
-          // If file exists, auto-increment filename
-          let counter = 1;
-          const ext = path.extname(originalName);
-          const base = path.basename(originalName, ext);
+// Helper: Author or super admin, the same rule as deleting a single topic
+function isAuthorOrSuperAdmin(course, admin) {
+  return admin.role === 'super_admin' || course.createdBy === admin.email;
+}
 
-          while (
-            await fs
-              .access(finalPath)
-              .then(() => true)
-              .catch(() => false)
-          ) {
-            finalPath = path.join(imagesDir, `${base}-${counter}${ext}`);
-            counter++;
-          }
+// Per-action permission/precondition check (returns a reason to skip, or null)
+// and the change itself (returns a short description). Callers refresh index.json.
+const BULK_ACTIONS = {
+  publish: {
+    audit: 'publish',
+    async check(course, { admin }) {
+      if (!course.canPublish(admin.email, admin.role)) return 'You do not have permission to publish courses';
+      if (course.status === 'published' && !(await hasDraft(course.projectId))) {
+        return 'There are no unpublished changes to publish';
+      }
+      if (!isPublishable(course)) return `This topic has not been approved (review status: ${course.reviewStatus || 'draft'})`;
+      return null;
+    },
+    async apply(course, { admin }) {
+      return (await publishCourse(course, admin.email)) ? 'Changes published' : 'Topic published';
+    }
+  },
 
-          // Save the file
-          await fs.writeFile(finalPath, imageFile.buffer);
-        }
+  unpublish: {
+    audit: 'unpublish',
+    async check(course, { admin }) {
+      if (!course.canPublish(admin.email, admin.role)) return 'You do not have permission to publish courses';
+      if (course.status !== 'published') return 'Topic is not published';
+      return null;
+    },
+    async apply(course, { admin }) {
+      await unpublishCourse(course, admin.email);
+      return 'Topic unpublished';
+    }
+  },
 
-        console.log(
-          `✅ ${req.files["images"].length} image(s) uploaded for new course ${projectId}`
-        );
+  delete: {
+    audit: 'delete',
+    async check(course, { admin }) {
+      return isAuthorOrSuperAdmin(course, admin) ? null : 'Only the course author or super admins can delete courses';
+    },
+    async apply(course, { admin }) {
+      const trashed = await moveToTrash('course', course, { deletedBy: admin.email });
+      webhooks.emit('course.deleted', { ...webhooks.courseData(course), purgeAfter: trashed.purgeAfter }, admin.email);
+      return 'Moved to trash';
+    }
+  },
+
+  add_keywords: {
+    audit: 'update',
+    async check(course, { admin, keywords }) {
+      if (!course.canEditInfo(admin.email, admin.role)) return 'You do not have permission to edit course information';
+      const have = new Set(course.keywords.map(normalizeTag));
+      return keywords.some(k => !have.has(normalizeTag(k))) ? null : 'Topic already has these keywords';
+    },
+    async apply(course, { admin, keywords }) {
+      course.keywords = await canonicalizeTags([...course.keywords, ...keywords]);
+      course.lastModifiedBy = admin.email;
+      course.lastModifiedAt = new Date();
+      await course.save();
+      webhooks.emit('course.updated', { ...webhooks.courseData(course), change: 'info' }, admin.email);
+      return `Keywords: ${course.keywords.join(', ')}`;
+    }
+  },
+
+  remove_keywords: {
+    audit: 'update',
+    async check(course, { admin, keywords }) {
+      if (!course.canEditInfo(admin.email, admin.role)) return 'You do not have permission to edit course information';
+      const remove = new Set(keywords.map(normalizeTag));
+      return course.keywords.some(k => remove.has(normalizeTag(k))) ? null : 'Topic has none of these keywords';
+    },
+    async apply(course, { admin, keywords }) {
+      const remove = new Set(keywords.map(normalizeTag));
+      course.keywords = course.keywords.filter(k => !remove.has(normalizeTag(k)));
+      course.lastModifiedBy = admin.email;
+      course.lastModifiedAt = new Date();
+      await course.save();
+      webhooks.emit('course.updated', { ...webhooks.courseData(course), change: 'info' }, admin.email);
+      return `Keywords: ${course.keywords.join(', ')}`;
+    }
+  },
+
+  add_collaborator: {
+    audit: 'collaborator_add',
+    async check(course, { admin, email }) {
+      if (!course.canEditInfo(admin.email, admin.role)) return 'You do not have permission to manage collaborators';
+      if (course.createdBy === email) return `${email} is the author of this topic`;
+      const existing = course.collaborators.find(c => c.email === email);
+      return existing ? `${email} is already a collaborator (status: ${existing.status})` : null;
+    },
+    async apply(course, { admin, email }) {
+      const result = await inviteCollaborator(course, email, admin);
+      if (result.error) throw new Error(result.error);
+      return result.userExists ? `Invitation sent to ${email}` : `Registration invitation sent to ${email}`;
+    }
+  },
+
+  transfer_ownership: {
+    audit: 'transfer_ownership',
+    async check(course, { admin, email }) {
+      if (!isAuthorOrSuperAdmin(course, admin)) return 'Only the course author or super admins can transfer ownership';
+      return course.createdBy === email ? `${email} already owns this topic` : null;
+    },
+    async apply(course, { admin, email }) {
+      const previous = course.createdBy;
+      const now = new Date();
+
+      // The previous author keeps editing rights as a collaborator
+      course.collaborators = course.collaborators.filter(c => c.email !== email);
+      if (!course.collaborators.some(c => c.email === previous)) {
+        course.collaborators.push({ email: previous, status: 'accepted', addedBy: admin.email, addedAt: now, acceptedAt: now });
+      }
+      course.createdBy = email;
+      course.lastModifiedBy = admin.email;
+      course.lastModifiedAt = now;
+      await course.save();
+      webhooks.emit('course.updated', { ...webhooks.courseData(course), change: 'owner', previousOwner: previous }, admin.email);
+      return `Ownership transferred from ${previous} to ${email}`;
+    }
+  }
+};
+
+// POST /api/courses/bulk
+// Body: { action, ids: ["0001", "0002"], keywords (add_/remove_keywords), email (add_collaborator,
+// transfer_ownership), dryRun } - dryRun (or ?dryRun=true) only reports what would happen
+router.post('/bulk', verifyAdmin, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const { action } = body;
+    const dryRun = body.dryRun === true || body.dryRun === 'true' || req.query.dryRun === 'true';
+    const handler = Object.hasOwn(BULK_ACTIONS, action) ? BULK_ACTIONS[action] : null;
+
+    if (!handler) {
+      return res.status(400).json({ error: `action must be one of: ${Object.keys(BULK_ACTIONS).join(', ')}` });
+    }
+
+    const ids = [...new Set((Array.isArray(body.ids) ? body.ids : []).map(id => String(id).trim()).filter(Boolean))];
+    if (ids.length === 0) {
+      return res.status(400).json({ error: 'ids must be a non-empty array of project IDs' });
+    }
+    if (ids.length > BULK_MAX_ITEMS) {
+      return res.status(400).json({ error: `At most ${BULK_MAX_ITEMS} topics per request` });
+    }
+
+    const context = { admin: req.admin };
+
+    if (action === 'add_keywords' || action === 'remove_keywords') {
+      const keywords = (Array.isArray(body.keywords) ? body.keywords : String(body.keywords || '').split(','))
+        .map(k => String(k).trim())
+        .filter(Boolean);
+      if (keywords.length === 0) {
+        return res.status(400).json({ error: 'keywords are required' });
+      }
+      // Removing "JS" also removes its canonical spelling
+      context.keywords = action === 'remove_keywords'
+        ? [...new Set([...keywords, ...await canonicalizeTags(keywords)])]
+        : keywords;
+    }
+
+    if (action === 'add_collaborator' || action === 'transfer_ownership') {
+      context.email = String(body.email || '').trim().toLowerCase();
+      if (!context.email) {
+        return res.status(400).json({ error: 'Email is required' });
       }
+      if (action === 'add_collaborator' && context.email === req.admin.email) {
+        return res.status(400).json({ error: 'You cannot add yourself as a collaborator' });
+      }
+      if (action === 'transfer_ownership' && !(await Admin.exists({ email: context.email }))) {
+        return res.status(400).json({ error: `${context.email} is not an admin` });
+      }
+    }
+
+    const courses = await Course.find({ projectId: { $in: ids } });
+    const byId = new Map(courses.map(c => [c.projectId, c]));
+
+    const results = [];
+    for (const id of ids) {
+      const course = byId.get(id);
+      if (!course) {
+        results.push({ id, status: 'failed', message: 'Course not found' });
+        continue;
+      }
+
+      try {
+        const reason = await handler.check(course, context);
+        if (reason) {
+          results.push({ id, title: course.title, status: 'skipped', message: reason });
+        } else if (dryRun) {
+          results.push({ id, title: course.title, status: 'would_apply', message: `Would ${action.replace(/_/g, ' ')}` });
+        } else {
+          const message = await handler.apply(course, context);
+          results.push({ id, title: course.title, status: 'done', message });
+          await auditCourse(req, course, handler.audit, { summary: `${message} (bulk ${action})` });
+        }
+      } catch (err) {
+        console.error(`Error applying bulk ${action} to ${id}:`, err);
+        results.push({ id, title: course.title, status: 'failed', message: err.message });
+      }
+    }
+
+    const summary = { done: 0, would_apply: 0, skipped: 0, failed: 0 };
+    results.forEach(r => { summary[r.status]++; });
 
-      // Update index.json for backward compatibility
+    // One index.json rewrite for the whole batch
+    if (summary.done > 0) {
       await updateIndexJson();
+    }
 
-      console.log(`✅ Course created: ${projectId} by ${req.admin.email}`);
+    console.log(`📦 Bulk ${action}${dryRun ? ' (dry run)' : ''} on ${ids.length} topic(s) by ${req.admin.email}: ${summary.done} done, ${summary.skipped} skipped, ${summary.failed} failed`);
+
+    res.json({ success: true, action, dryRun, summary, results });
 
-      res.json({
-        success: true,
-        message: "Course created successfully",
-        course: {
-          id: projectId,
-          title,
-          description,
-          keywords: newCourse.keywords,
-        },
-      });
-    });
   } catch (error) {
-    console.error("Error creating course:", error);
-    res
-      .status(500)
-      .json({ error: "Failed to create course: " + error.message });
+    console.error('Error running bulk operation:', error);
+    res.status(500).json({ error: 'Failed to run bulk operation: ' + error.message });
   }
 });
 
-// GET /api/courses
+// GET /api/courses?page=1&limit=20&sort=-lastModifiedAt&status=draft&createdBy=a@b.c&keyword=js
+// Without page/limit every matching topic is returned
 router.get("/", async (req, res) => {
   try {
     // ⭐ FIXED: Properly check if user is admin
@@ -404,20 +731,41 @@ router.get("/", async (req, res) => {
       }
     }
 
+    const options = parseListOptions(req.query, { defaultSort: 'id', sortFields: { id: 'projectId' } });
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
+
     // ⭐ KEY LOGIC:
     // - If admin: show ALL courses (draft + published)
     // - If not admin: show ONLY published courses
     const query = isAdmin ? {} : { status: 'published' };
+
+    // Filters
+    const { status, createdBy, keyword } = req.query;
+    if (status && isAdmin) query.status = matchAny(status);
+    if (createdBy) query.createdBy = matchAny(createdBy);
+    // keyword also matches synonyms and narrower terms from the taxonomy
+    if (keyword) Object.assign(query, await buildTagFilter('keywords', keyword));
     
     console.log(`📋 Query filter: ${JSON.stringify(query)}, isAdmin: ${isAdmin}`);
     
-    const courses = await Course.find(query)
-      .select('projectId slug title description keywords status createdBy createdAt lastModifiedBy lastModifiedAt collaborators')
-      .sort({ projectId: 1 });
+    const [{ items: courses, total, page, limit, totalPages }, keywordFacets] = await Promise.all([
+      findPage(Course, query, {
+        ...options,
+        select: 'projectId slug title description keywords status hasUnpublishedChanges createdBy createdAt lastModifiedBy lastModifiedAt collaborators'
+      }),
+      facetCounts(Course, 'keywords', query)
+    ]);
 
-    console.log(`📊 Found ${courses.length} courses (isAdmin: ${isAdmin})`);
+    console.log(`📊 Found ${courses.length} of ${total} courses (isAdmin: ${isAdmin})`);
 
     res.json({
+      total,
+      page,
+      limit,
+      totalPages,
+      facets: { keywords: keywordFacets },
       courses: courses.map((c) => ({
         proj: c.projectId,
         slug: c.slug,
@@ -425,6 +773,7 @@ router.get("/", async (req, res) => {
         description: c.description,
         keywords: c.keywords,
         status: c.status || 'draft', // ⭐ Default to draft if missing
+        hasUnpublishedChanges: isAdmin ? !!c.hasUnpublishedChanges : undefined,
         createdBy: c.createdBy,
         createdAt: c.createdAt,
         lastModifiedBy: c.lastModifiedBy,
@@ -448,8 +797,12 @@ router.get("/:id", async (req, res) => {
       return res.status(404).json({ error: "Course not found" });
     }
 
+    // Editors get the working copy, everyone else the live content
+    const admin = await getOptionalAdmin(req);
+    const isEditor = !!admin && course.canEditContent(admin.email, admin.role);
+
     // Read content from disk
-    const content = await readCourseContent(id);
+    const content = isEditor ? await readDraftContent(id) : await readCourseContent(id);
 
     // Normalize metadata
     const courseMeta = {
@@ -459,6 +812,13 @@ router.get("/:id", async (req, res) => {
       description: course.description || "",
       keywords: Array.isArray(course.keywords) ? course.keywords : [],
       videoLink: course.videoLink || "",
+      status: course.status || "draft",
+      reviewStatus: course.reviewStatus || "draft",
+      version: course.version || 0,
+      hasUnpublishedChanges: !!course.hasUnpublishedChanges,
+      publishedAt: course.publishedAt || null,
+      publishAt: course.publishAt || null,
+      unpublishAt: course.unpublishAt || null,
       createdBy: course.createdBy || "",
       createdAt: course.createdAt || null,
       lastModifiedBy: course.lastModifiedBy || "",
@@ -466,10 +826,12 @@ router.get("/:id", async (req, res) => {
       collaborators: course.collaborators || [],
     };
 
+    res.set('ETag', versionEtag(course));
     res.json({
       success: true,
       course: courseMeta,
       content: content, // From disk, not MongoDB!
+      isWorkingCopy: isEditor,
     });
   } catch (error) {
     console.error("Error reading course:", error);
@@ -553,9 +915,15 @@ router.get("/:id/permissions", verifyAdmin, async (req, res) => {  // ← Note t
       canEditContent: course.canEditContent(userEmail, userRole),
       canManageCollaborators: course.canEditInfo(userEmail, userRole),
       canPublish: course.canPublish(userEmail, userRole),
+      canReview: canReview(course, userEmail, userRole),
+      reviewStatus: course.reviewStatus || 'draft',
+      reviewRequired: REVIEW_OPTIONS.required,
       isAuthor: course.createdBy === userEmail,
       isSuperAdmin: userRole === 'super_admin',
-      isCollaborator: course.collaborators.some(c => c.email === userEmail && c.status === 'accepted')
+      isCollaborator: course.collaborators.some(c => c.email === userEmail && c.status === 'accepted'),
+      canBreakLock: course.canBreakLock(userEmail, userRole),
+      // "Being edited by X since 10:42"
+      editLock: formatEditLock(course.getActiveLock(), userEmail)
     };
     
     res.json(permissions);
@@ -566,105 +934,461 @@ router.get("/:id/permissions", verifyAdmin, async (req, res) => {  // ← Note t
   }
 });
 
-router.put('/:id/publish', verifyAdmin, async (req, res) => {
+// ============================================
+// REVIEW WORKFLOW ROUTES
+// ============================================
+
+// GET /api/courses/:id/review => review state and transition history
+router.get('/:id/review', verifyAdmin, async (req, res) => {
   try {
-    const { id } = req.params;
-    const course = await Course.findOne({ projectId: id });
+    const course = await Course.findOne({ projectId: req.params.id });
 
     if (!course) {
       return res.status(404).json({ error: 'Course not found' });
     }
 
-    // Check if admin has permission to publish
-    if (!course.canPublish(req.admin.email, req.admin.role)) {
-      return res.status(403).json({ 
-        error: 'You do not have permission to publish courses',
-        message: 'Only admins can publish or unpublish topics'
-      });
-    }
-
-    // Toggle status
-    const newStatus = course.status === 'draft' ? 'published' : 'draft';
-    course.status = newStatus;
-    course.lastModifiedBy = req.admin.email;
-    course.lastModifiedAt = new Date();
-
-    await course.save();
-
-    // Update index.json
-    await updateIndexJson();
-
-    console.log(`✅ Course ${id} status changed to ${newStatus} by ${req.admin.email}`);
+    const history = await ReviewEvent.findHistory('course', course.projectId);
 
-    res.json({ 
-      success: true, 
-      message: `Topic ${newStatus === 'published' ? 'published' : 'unpublished'} successfully`,
-      status: newStatus
-    });
+    res.json({ success: true, review: formatReview(course, history) });
 
   } catch (error) {
-    console.error('Error toggling publish status:', error);
-    res.status(500).json({ error: 'Failed to update publish status' });
+    console.error('Error getting review state:', error);
+    res.status(500).json({ error: 'Failed to get review state' });
   }
 });
 
-// DELETE /api/courses/:id
-router.delete('/:id', verifyAdmin, async (req, res) => {
+// POST /api/courses/:id/review/:action => submit | withdraw | approve | request_changes
+router.post('/:id/review/:action', verifyAdmin, async (req, res) => {
   try {
-    const { id } = req.params;
-    const userEmail = req.admin.email;
-    const userRole = req.admin.role;
-
+    const { id, action } = req.params;
+    const { comment, reviewers } = req.body || {};
     const course = await Course.findOne({ projectId: id });
 
     if (!course) {
       return res.status(404).json({ error: 'Course not found' });
     }
 
-    const isSuperAdmin = userRole === 'super_admin';
-    const isAuthor = course.createdBy === userEmail;
+    if (action === 'submit' || action === 'withdraw') {
+      if (!course.canEditContent(req.admin.email, req.admin.role)) {
+        return res.status(403).json({ 
+          error: 'You do not have permission to edit this course content'
+        });
+      }
+    } else if (action === 'approve' || action === 'request_changes') {
+      if (!canReview(course, req.admin.email, req.admin.role)) {
+        return res.status(403).json({ 
+          error: 'You are not a reviewer of this topic',
+          message: 'Reviews are done by the assigned reviewers, and never by the person who submitted'
+        });
+      }
+    } else {
+      return res.status(400).json({ error: `Unknown review action "${action}"` });
+    }
 
-    if (!isSuperAdmin && !isAuthor) {
-      return res.status(403).json({
-        error: 'You do not have permission to delete this course',
-        message: 'Only the course author or super admins can delete courses'
-      });
+    const reviewFrom = course.reviewStatus || 'draft';
+    const result = await applyReviewTransition(Course, 'course', course, action, {
+      actor: req.admin.email,
+      comment,
+      reviewers
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
 
-    // Delete from MongoDB
-    await Course.deleteOne({ projectId: id });
+    await auditCourse(req, result.doc, `review_${action}`, {
+      summary: comment || '',
+      before: { reviewStatus: reviewFrom },
+      after: { reviewStatus: result.doc.reviewStatus }
+    });
 
-    // Delete files from disk
-    const courseDir = path.join(DOCS_ROOT, id);
-    await fs.rm(courseDir, { recursive: true, force: true });
+    const history = await ReviewEvent.findHistory('course', id);
 
-    // Update index.json
-    await updateIndexJson();
+    res.json({ success: true, review: formatReview(result.doc, history) });
+
+  } catch (error) {
+    console.error('Error applying review action:', error);
+    res.status(500).json({ error: 'Failed to update review state' });
+  }
+});
 
-    // Free up the courseId for reuse
-    await freeCourseId(id);
+// ============================================
+// EDIT LOCK ROUTES
+// ============================================
 
-    console.log(`🗑️ Course deleted: ${id} by ${userEmail}`);
+// GET /api/courses/:id/lock
+router.get('/:id/lock', verifyAdmin, async (req, res) => {
+  try {
+    const course = await Course.findOne({ projectId: req.params.id }).select('projectId editLock');
+
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
 
-    res.json({ success: true, message: 'Course deleted successfully' });
+    res.json({
+      success: true,
+      lock: formatEditLock(course.getActiveLock(), req.admin.email)
+    });
 
   } catch (error) {
-    console.error('Error deleting course:', error);
-    res.status(500).json({ error: 'Failed to delete course: ' + error.message });
+    console.error('Error getting edit lock:', error);
+    res.status(500).json({ error: 'Failed to get edit lock' });
   }
 });
 
-// GET /api/courses/:id/info
-router.get('/:id/info', async (req, res) => {
+// POST /api/courses/:id/lock => acquire or renew the edit lease
+router.post('/:id/lock', verifyAdmin, async (req, res) => {
   try {
     const { id } = req.params;
     const course = await Course.findOne({ projectId: id });
-    
+
     if (!course) {
       return res.status(404).json({ error: 'Course not found' });
     }
-    
-    res.json({
+
+    if (!course.canEditContent(req.admin.email, req.admin.role)) {
+      return res.status(403).json({ 
+        error: 'You do not have permission to edit this course content'
+      });
+    }
+
+    const locked = await Course.acquireEditLock(id, {
+      email: req.admin.email,
+      name: req.admin.name
+    }, EDIT_LOCK_TTL_MS);
+
+    if (!locked) {
+      const current = await Course.findOne({ projectId: id }).select('editLock');
+      const lock = current && current.getActiveLock();
+      return res.status(423).json({
+        error: 'Topic is being edited by someone else',
+        message: lock
+          ? `Being edited by ${lock.name || lock.email} since ${lock.acquiredAt.toISOString()}`
+          : 'Topic is locked',
+        lock: formatEditLock(lock, req.admin.email)
+      });
+    }
+
+    res.json({
+      success: true,
+      lock: formatEditLock(locked.editLock, req.admin.email)
+    });
+
+  } catch (error) {
+    console.error('Error acquiring edit lock:', error);
+    res.status(500).json({ error: 'Failed to acquire edit lock' });
+  }
+});
+
+// DELETE /api/courses/:id/lock => release own lock; ?force=true breaks someone else's
+router.delete('/:id/lock', verifyAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const course = await Course.findOne({ projectId: id });
+
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    const lock = course.getActiveLock();
+    if (!lock) {
+      course.editLock = null;
+      await course.save();
+      return res.json({ success: true, message: 'Topic is not locked' });
+    }
+
+    if (lock.email !== req.admin.email) {
+      if (req.query.force !== 'true') {
+        return res.status(423).json({
+          error: 'Topic is locked by someone else',
+          lock: formatEditLock(lock, req.admin.email)
+        });
+      }
+      if (!course.canBreakLock(req.admin.email, req.admin.role)) {
+        return res.status(403).json({ 
+          error: 'You do not have permission to break this lock',
+          message: 'Only the topic author or super admins can break edit locks'
+        });
+      }
+    }
+
+    // Only clear the lock we looked at, in case it changed hands meanwhile
+    await Course.updateOne(
+      { projectId: id, 'editLock.email': lock.email },
+      { $set: { editLock: null } }
+    );
+
+    if (lock.email !== req.admin.email) {
+      console.log(`🔓 Edit lock of ${lock.email} on course ${id} broken by ${req.admin.email}`);
+    }
+
+    res.json({
+      success: true,
+      message: lock.email === req.admin.email ? 'Edit lock released' : 'Edit lock broken'
+    });
+
+  } catch (error) {
+    console.error('Error releasing edit lock:', error);
+    res.status(500).json({ error: 'Failed to release edit lock' });
+  }
+});
+
+// PUT /api/courses/:id/publish => promote the working copy to the live files
+router.put('/:id/publish', verifyAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const course = await Course.findOne({ projectId: id });
+
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    // Check if admin has permission to publish
+    if (!course.canPublish(req.admin.email, req.admin.role)) {
+      return res.status(403).json({ 
+        error: 'You do not have permission to publish courses',
+        message: 'Only admins can publish or unpublish topics'
+      });
+    }
+
+    if (!(await hasDraft(id)) && course.status === 'published') {
+      return res.status(400).json({ error: 'There are no unpublished changes to publish' });
+    }
+
+    // Only approved content goes live
+    if (!isPublishable(course)) {
+      return res.status(409).json({ 
+        error: 'This topic has not been approved',
+        message: 'Submit the topic for review and get it approved before publishing',
+        reviewStatus: course.reviewStatus || 'draft'
+      });
+    }
+
+    const wasStatus = course.status;
+    const promoted = await publishCourse(course, req.admin.email);
+
+    // Update index.json
+    await updateIndexJson();
+
+    await auditCourse(req, course, 'publish', {
+      summary: promoted ? 'Published the working copy' : 'Published',
+      before: { status: wasStatus },
+      after: { status: course.status }
+    });
+
+    console.log(`✅ Course ${id} published by ${req.admin.email}`);
+
+    res.json({ 
+      success: true, 
+      message: promoted ? 'Changes published successfully' : 'Topic published successfully',
+      status: course.status,
+      publishedAt: course.publishedAt
+    });
+
+  } catch (error) {
+    console.error('Error publishing course:', error);
+    res.status(500).json({ error: 'Failed to publish course: ' + error.message });
+  }
+});
+
+// PUT /api/courses/:id/unpublish => take the topic offline, keeping the working copy
+router.put('/:id/unpublish', verifyAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const course = await Course.findOne({ projectId: id });
+
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    if (!course.canPublish(req.admin.email, req.admin.role)) {
+      return res.status(403).json({ 
+        error: 'You do not have permission to publish courses',
+        message: 'Only admins can publish or unpublish topics'
+      });
+    }
+
+    if (course.status !== 'published') {
+      return res.status(400).json({ error: 'Topic is not published' });
+    }
+
+    await unpublishCourse(course, req.admin.email);
+
+    await updateIndexJson();
+
+    await auditCourse(req, course, 'unpublish', {
+      before: { status: 'published' },
+      after: { status: course.status }
+    });
+
+    console.log(`✅ Course ${id} unpublished by ${req.admin.email}`);
+
+    res.json({ 
+      success: true, 
+      message: 'Topic unpublished successfully',
+      status: course.status
+    });
+
+  } catch (error) {
+    console.error('Error unpublishing course:', error);
+    res.status(500).json({ error: 'Failed to unpublish course' });
+  }
+});
+
+// PUT /api/courses/:id/schedule => set or clear publishAt / unpublishAt (null clears)
+router.put('/:id/schedule', verifyAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const course = await Course.findOne({ projectId: id });
+
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    if (!course.canPublish(req.admin.email, req.admin.role)) {
+      return res.status(403).json({ 
+        error: 'You do not have permission to publish courses',
+        message: 'Only admins can schedule publishing'
+      });
+    }
+
+    const schedule = parseSchedule(req.body, course);
+    if (schedule.error) {
+      return res.status(400).json({ error: schedule.error });
+    }
+
+    if (schedule.publishAt !== undefined) course.publishAt = schedule.publishAt;
+    if (schedule.unpublishAt !== undefined) course.unpublishAt = schedule.unpublishAt;
+    course.scheduledBy = req.admin.email;
+
+    await course.save();
+
+    await auditCourse(req, course, 'schedule', {
+      after: { publishAt: course.publishAt, unpublishAt: course.unpublishAt }
+    });
+
+    console.log(`⏰ Course ${id} schedule updated by ${req.admin.email}`);
+
+    res.json({ 
+      success: true, 
+      message: 'Schedule updated',
+      publishAt: course.publishAt,
+      unpublishAt: course.unpublishAt
+    });
+
+  } catch (error) {
+    console.error('Error scheduling course:', error);
+    res.status(500).json({ error: 'Failed to update schedule' });
+  }
+});
+
+// DELETE /api/courses/:id/draft => discard unpublished changes
+router.delete('/:id/draft', verifyAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const course = await Course.findOne({ projectId: id });
+
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    if (!course.canEditContent(req.admin.email, req.admin.role)) {
+      return res.status(403).json({ 
+        error: 'You do not have permission to edit this course content'
+      });
+    }
+
+    if (!(await hasDraft(id))) {
+      return res.status(400).json({ error: 'There are no unpublished changes to discard' });
+    }
+
+    await discardCourseDraft(id);
+
+    // Back to the live content, which was reviewed when it was published
+    const reviewFrom = course.reviewStatus || 'draft';
+    const backToPublished = course.status === 'published' && reviewFrom !== 'published';
+    if (backToPublished) course.reviewStatus = 'published';
+
+    course.hasUnpublishedChanges = false;
+    course.lastModifiedBy = req.admin.email;
+    course.lastModifiedAt = new Date();
+    await course.save();
+
+    if (backToPublished) {
+      await recordTransition('course', course, {
+        action: 'discard_changes', from: reviewFrom, to: 'published', actor: req.admin.email
+      });
+    }
+
+    await auditCourse(req, course, 'discard_changes', { summary: 'Discarded unpublished changes' });
+
+    console.log(`🗑️ Working copy discarded for ${id} by ${req.admin.email}`);
+
+    res.json({ success: true, message: 'Unpublished changes discarded' });
+
+  } catch (error) {
+    console.error('Error discarding working copy:', error);
+    res.status(500).json({ error: 'Failed to discard changes' });
+  }
+});
+
+// DELETE /api/courses/:id => move to the trash (see /api/trash to restore or purge)
+router.delete('/:id', verifyAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userEmail = req.admin.email;
+    const userRole = req.admin.role;
+
+    const course = await Course.findOne({ projectId: id });
+
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    const isSuperAdmin = userRole === 'super_admin';
+    const isAuthor = course.createdBy === userEmail;
+
+    if (!isSuperAdmin && !isAuthor) {
+      return res.status(403).json({
+        error: 'You do not have permission to delete this course',
+        message: 'Only the course author or super admins can delete courses'
+      });
+    }
+
+    // Document, files and working copy go to the trash; the ID stays reserved
+    const trashed = await moveToTrash('course', course, { deletedBy: userEmail });
+
+    // Update index.json
+    await updateIndexJson();
+
+    webhooks.emit('course.deleted', { ...webhooks.courseData(course), purgeAfter: trashed.purgeAfter }, userEmail);
+    await auditCourse(req, course, 'delete', { summary: 'Moved to trash', before: audit.pick(course, AUDIT_FIELDS) });
+
+    console.log(`🗑️ Course deleted: ${id} by ${userEmail}`);
+
+    res.json({ 
+      success: true, 
+      message: 'Course moved to trash',
+      purgeAfter: trashed.purgeAfter
+    });
+
+  } catch (error) {
+    console.error('Error deleting course:', error);
+    res.status(500).json({ error: 'Failed to delete course: ' + error.message });
+  }
+});
+
+// GET /api/courses/:id/info
+router.get('/:id/info', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const course = await Course.findOne({ projectId: id });
+    
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+    
+    res.json({
       course: {
         title: course.title,
         description: course.description,
@@ -703,166 +1427,1412 @@ router.put('/:id/info', verifyAdmin, async (req, res) => {
       });
     }
     
+    const before = audit.pick(course, AUDIT_FIELDS);
+
     // Update course info in MongoDB
     if (title) course.title = title;
     if (description !== undefined) course.description = description;
     if (keywords !== undefined) {
-      course.keywords = Array.isArray(keywords) 
-        ? keywords 
-        : (keywords ? keywords.split(',').map(k => k.trim()) : []);
+      // Known spellings are stored under their canonical tag name
+      course.keywords = await canonicalizeTags(keywords);
     }
     
     course.lastModifiedBy = req.admin.email;
     course.lastModifiedAt = new Date();
     
     await course.save();
+
+    // Recorded as soon as the change is saved, before the files are regenerated
+    webhooks.emit('course.updated', { ...webhooks.courseData(course), change: 'info' }, req.admin.email);
+    await auditCourse(req, course, 'update', audit.changes(before, audit.pick(course, AUDIT_FIELDS)));
     
     // Update index.json
     await updateIndexJson();
     
-    // If title changed, regenerate index.html on disk
+    // If title changed, regenerate index.html in storage
     if (title) {
-      const indexHtml = DOCSIFY_TEMPLATE(title);
-      await fs.writeFile(path.join(DOCS_ROOT, id, 'index.html'), indexHtml, 'utf8');
-      console.log("Index.HTML file in courses.js", DOCS_ROOT, indexHtml, path.join(DOCS_ROOT, id, 'index.html'), indexHtml, 'utf8');
-
+      const indexHtml = await getCourseTemplate(title);
+      await storage.docs.write(`${id}/index.html`, indexHtml);
     }
-    
+
     console.log(`✅ Course info updated: ${id} by ${req.admin.email}`);
     
     res.json({ success: true, message: 'Course info updated' });
     
   } catch (error) {
-    console.error('Error updating course info:', error);
-    res.status(500).json({ error: 'Failed to update course info' });
+    console.error('Error updating course info:', error);
+    res.status(500).json({ error: 'Failed to update course info' });
+  }
+});
+
+// PUT /api/courses/:id  => update README content on disk
+router.put('/:id', verifyAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { content, message } = req.body || {};
+
+    if (!content) {
+      return res.status(400).json({ error: 'Content is required' });
+    }
+
+    const course = await Course.findOne({ projectId: id });
+    
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+    
+    // Check permissions
+    if (!course.canEditContent(req.admin.email, req.admin.role)) {
+      return res.status(403).json({ 
+        error: 'You do not have permission to edit this course content',
+        message: 'Only the course author, collaborators, or super admins can edit content'
+      });
+    }
+
+    // Check images, anchors and topic links before saving
+    const warnings = await validateCourseContent(course, content);
+    if (warnings.length > 0 && isStrictSave(req)) {
+      return res.status(422).json({
+        error: 'Content has broken references',
+        message: 'Fix the listed problems or save without strict mode',
+        warnings
+      });
+    }
+
+    // Reject stale edits (If-Match / body.version) before touching the files
+    const claimed = await claimVersionOrRespond(req, res, Course, { projectId: id });
+    if (!claimed) return;
+
+    // Update content on disk (this also regenerates sidebar) and record a revision
+    const revision = await saveCourseContent(id, content, {
+      author: req.admin.email,
+      message,
+      pages: course.getPages()
+    }).catch(async err => {
+      // The save failed: give the version back
+      await releaseVersion(Course, claimed);
+      throw err;
+    });
+
+    // Update metadata in MongoDB
+    claimed.markContentChanged();
+    claimed.lastModifiedBy = req.admin.email;
+    claimed.lastModifiedAt = new Date();
+    await claimed.save();
+
+    // Update index.json
+    await updateIndexJson();
+
+    webhooks.emit('course.updated', { ...webhooks.courseData(claimed), change: 'content', file: 'README.md', revision: revision.revision }, req.admin.email);
+    await auditCourse(req, claimed, 'content_update', {
+      summary: `Edited README.md (revision ${revision.revision})`,
+      after: { file: 'README.md', revision: revision.revision }
+    });
+
+    console.log(`✅ Course content updated: ${id} (revision ${revision.revision}) by ${req.admin.email}`);
+
+    res.set('ETag', versionEtag(claimed));
+    res.json({
+      success: true,
+      message: 'Course content updated successfully',
+      revision: revision.revision,
+      version: claimed.version,
+      warnings
+    });
+
+  } catch (error) {
+    console.error('Error updating course:', error);
+    res.status(500).json({ error: 'Failed to update course: ' + error.message });
+  }
+});
+
+// POST /api/courses/:id/upload-readme
+router.post('/:id/upload-readme', verifyAdmin, upload.single('readme'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const course = await Course.findOne({ projectId: id });
+    
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+    
+    // Check permissions
+    if (!course.canEditContent(req.admin.email, req.admin.role)) {
+      return res.status(403).json({ 
+        error: 'You do not have permission to edit this course content'
+      });
+    }
+
+    const content = req.file.buffer.toString('utf-8');
+
+    const claimed = await claimVersionOrRespond(req, res, Course, { projectId: id });
+    if (!claimed) return;
+    
+    // Update content on disk (this also regenerates sidebar) and record a revision
+    const revision = await saveCourseContent(id, content, {
+      author: req.admin.email,
+      message: req.body.message || `Uploaded ${req.file.originalname}`,
+      pages: course.getPages()
+    }).catch(async err => {
+      // The save failed: give the version back
+      await releaseVersion(Course, claimed);
+      throw err;
+    });
+
+    // Update metadata in MongoDB
+    claimed.markContentChanged();
+    claimed.lastModifiedBy = req.admin.email;
+    claimed.lastModifiedAt = new Date();
+    await claimed.save();
+
+    // Update index.json
+    await updateIndexJson();
+
+    webhooks.emit('course.updated', { ...webhooks.courseData(claimed), change: 'content', file: 'README.md', revision: revision.revision }, req.admin.email);
+    await auditCourse(req, claimed, 'content_update', {
+      summary: `Edited README.md (revision ${revision.revision})`,
+      after: { file: 'README.md', revision: revision.revision }
+    });
+
+    console.log(`✅ README uploaded for course ${id} (revision ${revision.revision}) by ${req.admin.email}`);
+
+    res.set('ETag', versionEtag(claimed));
+    res.json({
+      success: true,
+      message: 'README uploaded successfully',
+      revision: revision.revision,
+      version: claimed.version
+    });
+
+  } catch (error) {
+    console.error('Error uploading README:', error);
+    res.status(500).json({ error: 'Failed to upload README: ' + error.message });
+  }
+});
+
+// GET /api/courses/:id/download
+router.get('/:id/download', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const course = await Course.findOne({ projectId: id });
+
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    // Read content from storage
+    const content = await readCourseContent(id);
+
+    res.attachment(`${id}_README.md`);
+    res.type('text/markdown');
+    res.send(content);
+
+  } catch (error) {
+    console.error('Error downloading README:', error);
+    res.status(500).json({ error: 'Failed to download README' });
+  }
+});
+
+// GET /api/courses/:id/export  => ZIP bundle (pages, sidebar, index.html, images, manifest)
+// ?source=draft exports the working copy instead of the live files
+router.get('/:id/export', verifyAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const course = await Course.findOne({ projectId: id });
+
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    const useDraft = req.query.source === 'draft';
+    if (useDraft && !course.canEditContent(req.admin.email, req.admin.role)) {
+      return res.status(403).json({ 
+        error: 'You do not have permission to export the working copy of this course'
+      });
+    }
+
+    const bundle = await buildTopicBundle({
+      dir: id,
+      contentArea: useDraft && await hasDraft(id) ? storage.drafts : storage.docs,
+      assetsArea: storage.docs,
+      manifest: {
+        projectId: course.projectId,
+        slug: course.slug,
+        title: course.title,
+        description: course.description,
+        keywords: course.keywords,
+        videoLink: course.videoLink,
+        status: course.status,
+        pages: course.getPages(),
+        collaborators: course.collaborators.map(c => ({
+          email: c.email,
+          status: c.status,
+          addedBy: c.addedBy,
+          addedAt: c.addedAt
+        })),
+        createdBy: course.createdBy,
+        createdAt: course.createdAt,
+        source: useDraft ? 'draft' : 'live',
+        exportedBy: req.admin.email,
+        exportedAt: new Date()
+      }
+    });
+
+    console.log(`📦 Course ${id} exported (${useDraft ? 'draft' : 'live'}) by ${req.admin.email}`);
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${id}_${course.slug || 'topic'}.zip"`
+    });
+    res.send(bundle);
+
+  } catch (error) {
+    console.error('Error exporting course:', error);
+    res.status(500).json({ error: 'Failed to export course: ' + error.message });
+  }
+});
+
+// POST /api/courses/:id/clone => copy pages, sidebar and images into a new topic
+// Body: { title, copyKeywords, copyVideoLink, copyQuiz }; ?source=draft clones the working copy
+router.post('/:id/clone', verifyAdmin, async (req, res) => {
+  let projectId = null;
+  try {
+    const { id } = req.params;
+    const source = await Course.findOne({ projectId: id });
+
+    if (!source) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    const useDraft = req.query.source === 'draft';
+    if (useDraft && !source.canEditContent(req.admin.email, req.admin.role)) {
+      return res.status(403).json({ 
+        error: 'You do not have permission to clone the working copy of this course'
+      });
+    }
+
+    const body = req.body || {};
+    const isOn = (value) => value === true || value === 'true';
+    const copyKeywords = isOn(body.copyKeywords);
+    const copyVideoLink = isOn(body.copyVideoLink);
+    const copyQuiz = isOn(body.copyQuiz);
+    const title = String(body.title || `${source.title} (Copy)`).trim();
+
+    if (!title) {
+      return res.status(400).json({ error: 'Title is required' });
+    }
+
+    const contentArea = useDraft && await hasDraft(id) ? storage.drafts : storage.docs;
+
+    // The page list follows the working copy; live files lack pages added since
+    // the last publish
+    let sourcePages = source.getPages();
+    if (contentArea === storage.docs) {
+      const liveFiles = await listPages(storage.docs, id);
+      sourcePages = sourcePages.filter(p => liveFiles.includes(p.file));
+    }
+    const pages = [];
+    for (const page of sourcePages) {
+      const content = await contentArea.readText(`${id}/${page.file}`).catch(() => '');
+      pages.push({ ...page, content });
+    }
+
+    // Reserve an ID and write the files
+    projectId = await allocateId('course');
+
+    // Point image references at the new project ID
+    const rewrite = (content) => content.split(`/${id}/images/`).join(`/${projectId}/images/`);
+    pages.forEach(p => { p.content = rewrite(p.content); });
+
+    // README, index.html with the new title, images folder
+    const readme = pages.find(p => p.file === 'README.md');
+    await createCourseFilesOnDisk(projectId, title, readme ? readme.content : null);
+
+    for (const page of pages.filter(p => p.file !== 'README.md')) {
+      await storage.docs.write(`${projectId}/${page.file}`, page.content);
+    }
+    await storage.docs.write(`${projectId}/_sidebar.md`, generateSidebar(pages));
+
+    await storage.copyAll(storage.docs, `${id}/images`, storage.docs, `${projectId}/images`);
+
+    const course = await Course.create({
+      projectId,
+      slug: generateSlug(title),
+      title,
+      description: source.description || '',
+      keywords: copyKeywords ? source.keywords : [],
+      videoLink: copyVideoLink ? source.videoLink || '' : '',
+      pages: sourcePages.length > 1 ? sourcePages : [],
+      createdBy: req.admin.email,
+      lastModifiedBy: req.admin.email,
+      collaborators: []
+    });
+
+    for (const page of pages) {
+      await CourseRevision.record(projectId, {
+        file: page.file,
+        content: page.content,
+        author: req.admin.email,
+        message: `Cloned from topic ${id}`
+      });
+    }
+    await indexCourse(projectId, 'live', pages)
+      .catch(err => console.error(`Error indexing ${projectId}:`, err));
+    await commitToContentRepo(projectId, repo => repo.commitFiles(projectId, pages, {
+      author: req.admin.email,
+      message: `Clone topic ${id} as ${projectId}`
+    }));
+
+    let quizQuestions = 0;
+    if (copyQuiz) {
+      const questions = await Question.find({ courseId: id }).lean();
+      await Question.insertMany(questions.map(q => ({
+        courseId: projectId,
+        question: q.question,
+        options: q.options,
+        correctAnswer: q.correctAnswer,
+        explanation: q.explanation,
+        difficulty: q.difficulty,
+        source: q.source,
+        sourceContent: q.sourceContent,
+        createdBy: req.admin.email
+      })));
+      quizQuestions = questions.length;
+    }
+
+    await updateIndexJson();
+
+    webhooks.emit('course.created', { ...webhooks.courseData(course), clonedFrom: id }, req.admin.email);
+    await auditCourse(req, course, 'clone', {
+      summary: `Cloned from topic ${id} (${useDraft ? 'working copy' : 'live'})`,
+      after: audit.pick(course, AUDIT_FIELDS)
+    });
+
+    console.log(`🧬 Course ${id} cloned to ${projectId} by ${req.admin.email}`);
+
+    res.json({
+      success: true,
+      message: 'Topic cloned successfully',
+      course: {
+        id: projectId,
+        title: course.title,
+        description: course.description,
+        keywords: course.keywords
+      },
+      copied: {
+        pages: pages.length,
+        keywords: copyKeywords,
+        videoLink: copyVideoLink,
+        quizQuestions
+      }
+    });
+
+  } catch (error) {
+    console.error('Error cloning course:', error);
+
+    // Roll back a half-finished clone
+    if (projectId) {
+      await Course.deleteOne({ projectId }).catch(() => {});
+      await CourseRevision.deleteMany({ projectId }).catch(() => {});
+      await Question.deleteMany({ courseId: projectId }).catch(() => {});
+      await removeCourseFromIndex(projectId).catch(() => {});
+      await storage.docs.removeAll(projectId).catch(() => {});
+      await releaseId('course', projectId).catch(() => {});
+    }
+
+    res.status(500).json({ error: 'Failed to clone course: ' + error.message });
+  }
+});
+
+// ============================================
+// PAGE MANAGEMENT ROUTES
+// ============================================
+
+// Helper: Load course and check the admin may view/edit its content
+async function findEditableCourse(req, res) {
+  const course = await Course.findOne({ projectId: req.params.id });
+
+  if (!course) {
+    res.status(404).json({ error: 'Course not found' });
+    return null;
+  }
+
+  if (!course.canEditContent(req.admin.email, req.admin.role)) {
+    res.status(403).json({
+      error: 'You do not have permission to edit this course content'
+    });
+    return null;
+  }
+
+  return course;
+}
+
+// Helper: Pick an unused page file name for a title
+function pageFileForTitle(title, pages) {
+  const base = generateSlug(title) || 'page';
+  let file = `${base}.md`;
+  let counter = 1;
+  while (pages.some(p => p.file === file) || file === 'readme.md') {
+    file = `${base}-${counter}.md`;
+    counter++;
+  }
+  return file;
+}
+
+// GET /api/courses/:id/pages
+router.get('/:id/pages', verifyAdmin, async (req, res) => {
+  try {
+    const course = await findEditableCourse(req, res);
+    if (!course) return;
+
+    res.json({
+      success: true,
+      pages: course.getPages().map((p, order) => ({ ...p, order }))
+    });
+
+  } catch (error) {
+    console.error('Error listing pages:', error);
+    res.status(500).json({ error: 'Failed to list pages' });
+  }
+});
+
+// POST /api/courses/:id/pages  { title, content }
+router.post('/:id/pages', verifyAdmin, async (req, res) => {
+  try {
+    const { title, content } = req.body || {};
+
+    if (!title || !title.trim()) {
+      return res.status(400).json({ error: 'Page title is required' });
+    }
+
+    const course = await findEditableCourse(req, res);
+    if (!course) return;
+
+    // Changing the page list is an edit of the topic like any content save
+    const claimed = await claimVersionOrRespond(req, res, Course, { projectId: course.projectId });
+    if (!claimed) return;
+
+    const pages = claimed.getPages();
+    const file = pageFileForTitle(title, pages);
+    pages.push({ file, title: title.trim() });
+
+    const revision = await saveCourseContent(course.projectId, content || `# ${title.trim()}\n`, {
+      author: req.admin.email,
+      message: `Added page ${file}`,
+      file,
+      pages
+    }).catch(async err => {
+      await releaseVersion(Course, claimed);
+      throw err;
+    });
+
+    claimed.pages = pages;
+    claimed.markContentChanged();
+    claimed.lastModifiedBy = req.admin.email;
+    claimed.lastModifiedAt = new Date();
+    await claimed.save();
+
+    webhooks.emit('course.updated', { ...webhooks.courseData(claimed), change: 'page_added', file }, req.admin.email);
+    await auditCourse(req, claimed, 'page_add', { summary: `Added page ${file}`, after: { file } });
+
+    console.log(`✅ Page ${file} added to course ${course.projectId} by ${req.admin.email}`);
+
+    res.set('ETag', versionEtag(claimed));
+    res.json({
+      success: true,
+      message: 'Page added successfully',
+      page: { file, title: title.trim(), order: pages.length - 1 },
+      revision: revision.revision,
+      version: claimed.version
+    });
+
+  } catch (error) {
+    console.error('Error adding page:', error);
+    res.status(500).json({ error: 'Failed to add page: ' + error.message });
+  }
+});
+
+// PUT /api/courses/:id/pages/order  { files: ["README.md", "setup.md", ...] }
+router.put('/:id/pages/order', verifyAdmin, async (req, res) => {
+  try {
+    const { files } = req.body || {};
+
+    if (!Array.isArray(files)) {
+      return res.status(400).json({ error: 'files array is required' });
+    }
+
+    const course = await findEditableCourse(req, res);
+    if (!course) return;
+
+    const claimed = await claimVersionOrRespond(req, res, Course, { projectId: course.projectId });
+    if (!claimed) return;
+
+    const pages = claimed.getPages();
+    const sameSet = files.length === pages.length &&
+      new Set(files).size === files.length &&
+      files.every(f => pages.some(p => p.file === f));
+
+    if (!sameSet) {
+      await releaseVersion(Course, claimed);
+      return res.status(400).json({ error: 'files must list every page of the topic exactly once' });
+    }
+
+    const reordered = files.map(f => pages.find(p => p.file === f));
+    await regenerateSidebar(course.projectId, reordered).catch(async err => {
+      await releaseVersion(Course, claimed);
+      throw err;
+    });
+
+    claimed.pages = reordered;
+    claimed.markContentChanged();
+    claimed.lastModifiedBy = req.admin.email;
+    claimed.lastModifiedAt = new Date();
+    await claimed.save();
+
+    webhooks.emit('course.updated', { ...webhooks.courseData(claimed), change: 'pages_reordered' }, req.admin.email);
+    await auditCourse(req, claimed, 'page_reorder', {
+      before: { pages: pages.map(p => p.file) },
+      after: { pages: files }
+    });
+
+    console.log(`✅ Pages reordered for course ${course.projectId}`);
+
+    res.set('ETag', versionEtag(claimed));
+    res.json({
+      success: true,
+      message: 'Pages reordered successfully',
+      pages: reordered.map((p, order) => ({ ...p, order })),
+      version: claimed.version
+    });
+
+  } catch (error) {
+    console.error('Error reordering pages:', error);
+    res.status(500).json({ error: 'Failed to reorder pages: ' + error.message });
+  }
+});
+
+// GET /api/courses/:id/pages/:file  => working copy content of one page
+router.get('/:id/pages/:file', verifyAdmin, async (req, res) => {
+  try {
+    const { file } = req.params;
+
+    const course = await findEditableCourse(req, res);
+    if (!course) return;
+
+    const page = course.getPages().find(p => p.file === file);
+    if (!page) {
+      return res.status(404).json({ error: 'Page not found' });
+    }
+
+    res.set('ETag', versionEtag(course));
+    res.json({
+      success: true,
+      page,
+      version: course.version || 0,
+      content: await readDraftContent(course.projectId, file)
+    });
+
+  } catch (error) {
+    console.error('Error reading page:', error);
+    res.status(500).json({ error: 'Failed to read page' });
+  }
+});
+
+// PUT /api/courses/:id/pages/:file  { content, message }
+router.put('/:id/pages/:file', verifyAdmin, async (req, res) => {
+  try {
+    const { file } = req.params;
+    const { content, message } = req.body || {};
+
+    if (!content) {
+      return res.status(400).json({ error: 'Content is required' });
+    }
+
+    const course = await findEditableCourse(req, res);
+    if (!course) return;
+
+    const pages = course.getPages();
+    if (!pages.some(p => p.file === file)) {
+      return res.status(404).json({ error: 'Page not found' });
+    }
+
+    const warnings = await validateCourseContent(course, content, file);
+    if (warnings.length > 0 && isStrictSave(req)) {
+      return res.status(422).json({
+        error: 'Content has broken references',
+        message: 'Fix the listed problems or save without strict mode',
+        warnings
+      });
+    }
+
+    const claimed = await claimVersionOrRespond(req, res, Course, { projectId: course.projectId });
+    if (!claimed) return;
+
+    const revision = await saveCourseContent(course.projectId, content, {
+      author: req.admin.email,
+      message,
+      file,
+      pages
+    }).catch(async err => {
+      // The save failed: give the version back
+      await releaseVersion(Course, claimed);
+      throw err;
+    });
+
+    claimed.markContentChanged();
+    claimed.lastModifiedBy = req.admin.email;
+    claimed.lastModifiedAt = new Date();
+    await claimed.save();
+
+    await updateIndexJson();
+
+    webhooks.emit('course.updated', { ...webhooks.courseData(claimed), change: 'content', file }, req.admin.email);
+    await auditCourse(req, claimed, 'content_update', {
+      summary: `Edited ${file} (revision ${revision.revision})`,
+      after: { file, revision: revision.revision }
+    });
+
+    console.log(`✅ Page ${file} of course ${course.projectId} updated by ${req.admin.email}`);
+
+    res.set('ETag', versionEtag(claimed));
+    res.json({
+      success: true,
+      message: 'Page updated successfully',
+      revision: revision.revision,
+      version: claimed.version,
+      warnings
+    });
+
+  } catch (error) {
+    console.error('Error updating page:', error);
+    res.status(500).json({ error: 'Failed to update page: ' + error.message });
+  }
+});
+
+// PATCH /api/courses/:id/pages/:file  { title } => rename page (README.md keeps its file name)
+router.patch('/:id/pages/:file', verifyAdmin, async (req, res) => {
+  try {
+    const { file } = req.params;
+    const { title } = req.body || {};
+
+    if (!title || !title.trim()) {
+      return res.status(400).json({ error: 'Page title is required' });
+    }
+
+    const course = await findEditableCourse(req, res);
+    if (!course) return;
+
+    if (!course.getPages().some(p => p.file === file)) {
+      return res.status(404).json({ error: 'Page not found' });
+    }
+
+    const claimed = await claimVersionOrRespond(req, res, Course, { projectId: course.projectId });
+    if (!claimed) return;
+
+    const pages = claimed.getPages();
+    const page = pages.find(p => p.file === file);
+    if (!page) {
+      await releaseVersion(Course, claimed);
+      return res.status(404).json({ error: 'Page not found' });
+    }
+
+    const newFile = file === 'README.md'
+      ? file
+      : pageFileForTitle(title, pages.filter(p => p.file !== file));
+
+    try {
+      if (newFile !== file) {
+        await ensureDraft(course.projectId);
+        await storage.copyFile(storage.drafts, `${course.projectId}/${file}`, storage.drafts, `${course.projectId}/${newFile}`);
+        await storage.drafts.remove(`${course.projectId}/${file}`);
+        // Keep the page's history attached to it
+        await CourseRevision.updateMany({ projectId: course.projectId, file }, { file: newFile });
+        await CommentThread.updateMany({ projectId: course.projectId, file }, { file: newFile });
+        await commitToContentRepo(course.projectId, repo => repo.renameFile(course.projectId, file, newFile, {
+          author: req.admin.email
+        }));
+      }
+
+      page.file = newFile;
+      page.title = title.trim();
+      await regenerateSidebar(course.projectId, pages);
+    } catch (err) {
+      await releaseVersion(Course, claimed);
+      throw err;
+    }
+
+    claimed.pages = pages;
+    claimed.markContentChanged();
+    claimed.lastModifiedBy = req.admin.email;
+    claimed.lastModifiedAt = new Date();
+    await claimed.save();
+
+    webhooks.emit('course.updated', { ...webhooks.courseData(claimed), change: 'page_renamed', file: newFile, previousFile: file }, req.admin.email);
+    await auditCourse(req, claimed, 'page_rename', { before: { file }, after: { file: newFile, title: page.title } });
+
+    console.log(`✅ Page ${file} renamed to ${newFile} in course ${course.projectId}`);
+
+    res.set('ETag', versionEtag(claimed));
+    res.json({
+      success: true,
+      message: 'Page renamed successfully',
+      page: { file: newFile, title: page.title },
+      version: claimed.version
+    });
+
+  } catch (error) {
+    console.error('Error renaming page:', error);
+    res.status(500).json({ error: 'Failed to rename page: ' + error.message });
+  }
+});
+
+// DELETE /api/courses/:id/pages/:file
+router.delete('/:id/pages/:file', verifyAdmin, async (req, res) => {
+  try {
+    const { file } = req.params;
+
+    if (file === 'README.md') {
+      return res.status(400).json({ error: 'The home page (README.md) cannot be deleted' });
+    }
+
+    const course = await findEditableCourse(req, res);
+    if (!course) return;
+
+    if (!course.getPages().some(p => p.file === file)) {
+      return res.status(404).json({ error: 'Page not found' });
+    }
+
+    const claimed = await claimVersionOrRespond(req, res, Course, { projectId: course.projectId });
+    if (!claimed) return;
+
+    const pages = claimed.getPages();
+    if (!pages.some(p => p.file === file)) {
+      await releaseVersion(Course, claimed);
+      return res.status(404).json({ error: 'Page not found' });
+    }
+
+    const remaining = pages.filter(p => p.file !== file);
+    try {
+      await ensureDraft(course.projectId);
+      await storage.drafts.remove(`${course.projectId}/${file}`);
+      await regenerateSidebar(course.projectId, remaining);
+      await commitToContentRepo(course.projectId, repo => repo.removeFiles(course.projectId, file, {
+        author: req.admin.email
+      }));
+    } catch (err) {
+      await releaseVersion(Course, claimed);
+      throw err;
+    }
+
+    claimed.pages = remaining;
+    claimed.markContentChanged();
+    claimed.lastModifiedBy = req.admin.email;
+    claimed.lastModifiedAt = new Date();
+    await claimed.save();
+
+    webhooks.emit('course.updated', { ...webhooks.courseData(claimed), change: 'page_deleted', file }, req.admin.email);
+    await auditCourse(req, claimed, 'page_delete', { summary: `Deleted page ${file}`, before: { file } });
+
+    console.log(`🗑️ Page ${file} deleted from course ${course.projectId} by ${req.admin.email}`);
+
+    res.set('ETag', versionEtag(claimed));
+    res.json({ success: true, message: 'Page deleted successfully', version: claimed.version });
+
+  } catch (error) {
+    console.error('Error deleting page:', error);
+    res.status(500).json({ error: 'Failed to delete page: ' + error.message });
+  }
+});
+
+// ============================================
+// REVISION HISTORY ROUTES
+// ============================================
+
+// GET /api/courses/:id/revisions
+router.get('/:id/revisions', verifyAdmin, async (req, res) => {
+  try {
+    const course = await findEditableCourse(req, res);
+    if (!course) return;
+
+    const query = { projectId: course.projectId };
+    if (req.query.file) query.file = req.query.file;
+
+    const revisions = await CourseRevision.find(query)
+      .sort({ revision: -1 });
+
+    res.json({
+      success: true,
+      revisions: revisions.map(r => ({
+        revision: r.revision,
+        file: r.file,
+        author: r.author,
+        message: r.message,
+        restoredFrom: r.restoredFrom,
+        createdAt: r.createdAt,
+        size: r.content.length
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error listing revisions:', error);
+    res.status(500).json({ error: 'Failed to list revisions' });
+  }
+});
+
+// GET /api/courses/:id/revisions/diff?from=1&to=2
+// "to" defaults to the latest revision, "from" to the one before "to"
+router.get('/:id/revisions/diff', verifyAdmin, async (req, res) => {
+  try {
+    const course = await findEditableCourse(req, res);
+    if (!course) return;
+
+    let to = req.query.to !== undefined ? parseInt(req.query.to, 10) : null;
+    if (to === null) {
+      const latest = await CourseRevision.findLatest(course.projectId).select('revision');
+      if (!latest) {
+        return res.status(404).json({ error: 'This course has no revisions yet' });
+      }
+      to = latest.revision;
+    }
+    const from = req.query.from !== undefined ? parseInt(req.query.from, 10) : null;
+
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      return res.status(400).json({ error: 'from and to must be revision numbers' });
+    }
+
+    const toRev = await CourseRevision.findOne({ projectId: course.projectId, revision: to });
+    if (!toRev) {
+      return res.status(404).json({ error: `Revision ${to} not found` });
+    }
+
+    // Revision numbers are shared by all pages: by default compare with the
+    // previous revision of the same page (README.md revisions saved before
+    // topics had pages carry no file)
+    const sameFile = toRev.file === 'README.md' ? { $in: ['README.md', null] } : toRev.file;
+    const fromRev = from !== null
+      ? await CourseRevision.findOne({ projectId: course.projectId, revision: from })
+      : await CourseRevision.findOne({ projectId: course.projectId, file: sameFile, revision: { $lt: to } })
+        .sort({ revision: -1 });
+
+    if (!fromRev) {
+      return res.status(404).json({
+        error: from !== null ? `Revision ${from} not found` : `No earlier revision of ${toRev.file}`
+      });
+    }
+    if (fromRev.file !== toRev.file) {
+      return res.status(400).json({ error: `Revisions ${fromRev.revision} and ${to} belong to different pages (${fromRev.file}, ${toRev.file})` });
+    }
+
+    const diff = diffLines(fromRev.content, toRev.content);
+
+    res.json({
+      success: true,
+      from: fromRev.revision,
+      to,
+      files: { from: fromRev.file, to: toRev.file },
+      summary: summarizeDiff(diff),
+      diff
+    });
+
+  } catch (error) {
+    console.error('Error diffing revisions:', error);
+    res.status(500).json({ error: 'Failed to diff revisions' });
+  }
+});
+
+// GET /api/courses/:id/revisions/:revision
+router.get('/:id/revisions/:revision', verifyAdmin, async (req, res) => {
+  try {
+    const course = await findEditableCourse(req, res);
+    if (!course) return;
+
+    const revision = await CourseRevision.findOne({
+      projectId: course.projectId,
+      revision: parseInt(req.params.revision, 10)
+    });
+
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json({
+      success: true,
+      revision: {
+        revision: revision.revision,
+        file: revision.file,
+        author: revision.author,
+        message: revision.message,
+        restoredFrom: revision.restoredFrom,
+        createdAt: revision.createdAt,
+        content: revision.content
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching revision:', error);
+    res.status(500).json({ error: 'Failed to fetch revision' });
+  }
+});
+
+// POST /api/courses/:id/revisions/:revision/restore
+// Restoring writes the old content as a new revision, so nothing is lost
+router.post('/:id/revisions/:revision/restore', verifyAdmin, async (req, res) => {
+  try {
+    const course = await findEditableCourse(req, res);
+    if (!course) return;
+
+    const target = await CourseRevision.findOne({
+      projectId: course.projectId,
+      revision: parseInt(req.params.revision, 10)
+    });
+
+    if (!target) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    const pages = course.getPages();
+    if (!pages.some(p => p.file === target.file)) {
+      return res.status(400).json({ error: `Page ${target.file} no longer exists in this topic` });
+    }
+
+    const claimed = await claimVersionOrRespond(req, res, Course, { projectId: course.projectId });
+    if (!claimed) return;
+
+    const revision = await saveCourseContent(course.projectId, target.content, {
+      author: req.admin.email,
+      message: (req.body || {}).message || `Restored revision ${target.revision}`,
+      restoredFrom: target.revision,
+      file: target.file,
+      pages
+    }).catch(async err => {
+      // The save failed: give the version back
+      await releaseVersion(Course, claimed);
+      throw err;
+    });
+
+    claimed.markContentChanged();
+    claimed.lastModifiedBy = req.admin.email;
+    claimed.lastModifiedAt = new Date();
+    await claimed.save();
+
+    await updateIndexJson();
+
+    webhooks.emit('course.updated', { ...webhooks.courseData(claimed), change: 'content', file: target.file, restoredFrom: target.revision }, req.admin.email);
+    await auditCourse(req, claimed, 'revision_restore', {
+      summary: `Restored ${target.file} to revision ${target.revision}`,
+      after: { file: target.file, restoredFrom: target.revision }
+    });
+
+    console.log(`⏪ Course ${course.projectId} restored to revision ${target.revision} by ${req.admin.email}`);
+
+    res.json({
+      success: true,
+      message: `Revision ${target.revision} restored`,
+      revision: revision.revision,
+      version: claimed.version
+    });
+
+  } catch (error) {
+    console.error('Error restoring revision:', error);
+    res.status(500).json({ error: 'Failed to restore revision: ' + error.message });
+  }
+});
+
+// ============================================
+// GIT CONTENT REPOSITORY ROUTES
+// ============================================
+
+// Helper: Answer 400 when the git content repository is switched off
+function requireContentRepo(res) {
+  if (contentRepo.isEnabled()) return true;
+  res.status(400).json({ error: 'The git content repository is not enabled (CONTENT_GIT_ENABLED)' });
+  return false;
+}
+
+// GET /api/courses/:id/git/log?file=setup.md&limit=50&skip=0
+router.get('/:id/git/log', verifyAdmin, async (req, res) => {
+  try {
+    if (!requireContentRepo(res)) return;
+    const course = await findEditableCourse(req, res);
+    if (!course) return;
+
+    const commits = await contentRepo.history(course.projectId, {
+      file: req.query.file,
+      limit: Math.min(parseInt(req.query.limit, 10) || 50, 200),
+      skip: parseInt(req.query.skip, 10) || 0
+    });
+
+    res.json({ success: true, commits });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error reading git history:', error);
+    res.status(500).json({ error: 'Failed to read git history' });
+  }
+});
+
+// GET /api/courses/:id/git/show?file=README.md&rev=<commit>
+router.get('/:id/git/show', verifyAdmin, async (req, res) => {
+  try {
+    if (!requireContentRepo(res)) return;
+    const course = await findEditableCourse(req, res);
+    if (!course) return;
+
+    const file = req.query.file || 'README.md';
+    const rev = req.query.rev || 'HEAD';
+    const content = await contentRepo.showFile(course.projectId, file, rev);
+
+    res.json({ success: true, file, rev, content });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error reading file from git:', error);
+    res.status(500).json({ error: 'Failed to read file from git' });
+  }
+});
+
+// GET /api/courses/:id/git/blame?file=README.md&rev=<commit>
+router.get('/:id/git/blame', verifyAdmin, async (req, res) => {
+  try {
+    if (!requireContentRepo(res)) return;
+    const course = await findEditableCourse(req, res);
+    if (!course) return;
+
+    const file = req.query.file || 'README.md';
+    const lines = await contentRepo.blame(course.projectId, file, req.query.rev || 'HEAD');
+
+    res.json({ success: true, file, lines });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error blaming file:', error);
+    res.status(500).json({ error: 'Failed to blame file' });
+  }
+});
+
+// ============================================
+// REVIEW COMMENT ROUTES
+// ============================================
+
+const COMMENT_MAX_LENGTH = 10000;
+
+// Helper: Comment text from a request body; returns { body } or { error }
+function readCommentBody(value) {
+  const body = typeof value === 'string' ? value.trim() : '';
+  if (!body) return { error: 'Comment text is required' };
+  if (body.length > COMMENT_MAX_LENGTH) return { error: `Comments are limited to ${COMMENT_MAX_LENGTH} characters` };
+  return { body };
+}
+
+// Helper: Load a thread of the topic from :threadId, answering 404 itself
+async function findThread(req, res, course) {
+  const thread = mongoose.isValidObjectId(req.params.threadId)
+    ? await CommentThread.findOne({ _id: req.params.threadId, projectId: course.projectId })
+    : null;
+  if (!thread) {
+    res.status(404).json({ error: 'Comment thread not found' });
+    return null;
+  }
+  return thread;
+}
+
+/**
+ * Email the people mentioned in a comment who can see the topic's comments
+ * @param {Object} course - Course document
+ * @param {Object} thread - CommentThread document
+ * @param {String} body - comment text
+ * @param {Object} author - req.admin
+ * @param {Array<String>} skip - emails not to notify again (e.g. before an edit)
+ * @returns {Object} { notified: [emails], ignored: [emails without access], failed: [emails the mail could not be sent to] }
+ */
+async function notifyMentions(course, thread, body, author, skip = []) {
+  const mentioned = extractMentions(body).filter(email => email !== author.email && !skip.includes(email));
+  const admins = await Admin.find({ email: { $in: mentioned } }).select('email name role');
+
+  const notified = [];
+  const ignored = [];
+  const failed = [];
+  for (const email of mentioned) {
+    const admin = admins.find(a => a.email === email);
+    if (!admin || !course.canEditContent(admin.email, admin.role)) {
+      ignored.push(email);
+      continue;
+    }
+
+    const link = `${process.env.CLIENT_URL}/admin?course=${course.projectId}&file=${encodeURIComponent(thread.file)}&thread=${thread._id}`;
+    const sent = await sendEmail({
+      to: email,
+      subject: `${author.name || author.email} mentioned you on "${course.title}"`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #646cff;">You were mentioned in a review comment</h2>
+          <p>Hello ${escapeHtml(admin.name)},</p>
+          <p><strong>${escapeHtml(author.name || author.email)}</strong> mentioned you on <strong>${escapeHtml(thread.file)}</strong> of:</p>
+          <h3 style="color: #333;">${escapeHtml(course.title)}</h3>
+          ${thread.anchor && thread.anchor.quote ? `<pre style="background: #f5f5f5; padding: 12px; border-radius: 6px; white-space: pre-wrap;">${escapeHtml(thread.anchor.quote)}</pre>` : ''}
+          <blockquote style="border-left: 4px solid #646cff; margin: 16px 0; padding: 8px 16px; color: #333;">${escapeHtml(body).replace(/\n/g, '<br>')}</blockquote>
+          <a href="${link}"
+             style="display: inline-block; padding: 12px 24px; background: #646cff; color: white; text-decoration: none; border-radius: 8px; margin: 20px 0;">
+            View Comment
+          </a>
+        </div>
+      `
+    });
+    // Unsent mentions aren't recorded, so editing the comment tries them again
+    (sent.success ? notified : failed).push(email);
+  }
+
+  if (notified.length > 0) {
+    console.log(`📣 ${notified.join(', ')} mentioned on course ${course.projectId} by ${author.email}`);
+  }
+  if (failed.length > 0) {
+    console.error(`Error emailing mentions of ${failed.join(', ')} on course ${course.projectId}`);
+  }
+  return { notified, ignored, failed };
+}
+
+// GET /api/courses/:id/comments?file=README.md&status=open|resolved
+router.get('/:id/comments', verifyAdmin, async (req, res) => {
+  try {
+    const course = await findEditableCourse(req, res);
+    if (!course) return;
+
+    const { file, status } = req.query;
+    if (status && !['open', 'resolved'].includes(status)) {
+      return res.status(400).json({ error: 'status must be open or resolved' });
+    }
+
+    const query = { projectId: course.projectId };
+    if (file) query.file = file;
+
+    const threads = await CommentThread.find(query).sort({ file: 1, 'anchor.lineStart': 1, createdAt: 1 });
+
+    res.json({
+      success: true,
+      threads: status ? threads.filter(t => t.status === status) : threads,
+      counts: {
+        open: threads.filter(t => t.status === 'open').length,
+        resolved: threads.filter(t => t.status === 'resolved').length
+      }
+    });
+
+  } catch (error) {
+    console.error('Error listing comments:', error);
+    res.status(500).json({ error: 'Failed to list comments' });
+  }
+});
+
+// POST /api/courses/:id/comments  { file, heading, lineStart, lineEnd, body }
+// Opens a thread on a page, optionally anchored to a heading and/or a line range
+// of the working copy; "@email" mentions of collaborators are notified by email
+router.post('/:id/comments', verifyAdmin, async (req, res) => {
+  try {
+    const course = await findEditableCourse(req, res);
+    if (!course) return;
+
+    const input = req.body || {};
+    const { file = 'README.md', heading } = input;
+    const { body, error } = readCommentBody(input.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (!course.getPages().some(p => p.file === file)) {
+      return res.status(404).json({ error: 'Page not found' });
+    }
+
+    const content = await readDraftContent(course.projectId, file);
+    const lines = content.split('\n');
+    const anchor = {};
+
+    if (heading) {
+      const match = extractHeadings(content).find(h => h.text.toLowerCase() === String(heading).trim().toLowerCase());
+      if (!match) {
+        return res.status(400).json({ error: `Heading "${heading}" not found on ${file}` });
+      }
+      anchor.heading = match.text;
+    }
+
+    if (input.lineStart !== undefined) {
+      const lineStart = Number(input.lineStart);
+      const lineEnd = input.lineEnd !== undefined ? Number(input.lineEnd) : lineStart;
+      if (!Number.isInteger(lineStart) || !Number.isInteger(lineEnd) || lineStart < 1 || lineEnd < lineStart) {
+        return res.status(400).json({ error: 'lineStart and lineEnd must be line numbers with lineStart <= lineEnd' });
+      }
+      if (lineEnd > lines.length) {
+        return res.status(400).json({ error: `${file} has only ${lines.length} line(s)` });
+      }
+      anchor.lineStart = lineStart;
+      anchor.lineEnd = lineEnd;
+      anchor.quote = lines.slice(lineStart - 1, lineEnd).join('\n').slice(0, 2000);
+    }
+
+    const now = new Date();
+    const thread = new CommentThread({
+      projectId: course.projectId,
+      file,
+      anchor,
+      comments: [{ author: req.admin.email, body, createdAt: now }],
+      createdBy: req.admin.email,
+      createdAt: now,
+      lastActivityAt: now
+    });
+
+    const mentions = await notifyMentions(course, thread, body, req.admin);
+    thread.comments[0].mentions = mentions.notified;
+    await thread.save();
+
+    console.log(`💬 Comment thread opened on ${course.projectId}/${file} by ${req.admin.email}`);
+
+    res.status(201).json({ success: true, thread, mentions });
+
+  } catch (error) {
+    console.error('Error adding comment:', error);
+    res.status(500).json({ error: 'Failed to add comment' });
   }
 });
 
-// PUT /api/courses/:id  => update README content on disk
-router.put('/:id', verifyAdmin, async (req, res) => {
+// POST /api/courses/:id/comments/:threadId/replies  { body }
+// Replying to a resolved thread reopens it
+router.post('/:id/comments/:threadId/replies', verifyAdmin, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { content } = req.body;
+    const course = await findEditableCourse(req, res);
+    if (!course) return;
 
-    if (!content) {
-      return res.status(400).json({ error: 'Content is required' });
-    }
+    const thread = await findThread(req, res, course);
+    if (!thread) return;
 
-    const course = await Course.findOne({ projectId: id });
-    
-    if (!course) {
-      return res.status(404).json({ error: 'Course not found' });
+    const { body, error } = readCommentBody((req.body || {}).body);
+    if (error) {
+      return res.status(400).json({ error });
     }
-    
-    // Check permissions
-    if (!course.canEditContent(req.admin.email, req.admin.role)) {
-      return res.status(403).json({ 
-        error: 'You do not have permission to edit this course content',
-        message: 'Only the course author, collaborators, or super admins can edit content'
-      });
+
+    const mentions = await notifyMentions(course, thread, body, req.admin);
+    const now = new Date();
+    thread.comments.push({ author: req.admin.email, body, mentions: mentions.notified, createdAt: now });
+    if (thread.status === 'resolved') {
+      thread.status = 'open';
+      thread.resolvedBy = null;
+      thread.resolvedAt = null;
     }
+    thread.lastActivityAt = now;
+    await thread.save();
 
-    // Update content on disk (this also regenerates sidebar)
-    await updateCourseContent(id, content);
+    res.status(201).json({ success: true, thread, mentions });
 
-    // Update metadata in MongoDB
-    course.lastModifiedBy = req.admin.email;
-    course.lastModifiedAt = new Date();
-    await course.save();
+  } catch (error) {
+    console.error('Error replying to comment:', error);
+    res.status(500).json({ error: 'Failed to reply' });
+  }
+});
 
-    // Update index.json
-    await updateIndexJson();
+// PUT /api/courses/:id/comments/:threadId/replies/:commentId  { body } => edit your own comment
+router.put('/:id/comments/:threadId/replies/:commentId', verifyAdmin, async (req, res) => {
+  try {
+    const course = await findEditableCourse(req, res);
+    if (!course) return;
+
+    const thread = await findThread(req, res, course);
+    if (!thread) return;
+
+    const comment = mongoose.isValidObjectId(req.params.commentId) ? thread.comments.id(req.params.commentId) : null;
+    if (!comment) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+    if (comment.author !== req.admin.email) {
+      return res.status(403).json({ error: 'You can only edit your own comments' });
+    }
+
+    const { body, error } = readCommentBody((req.body || {}).body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
 
-    console.log(`✅ Course content updated: ${id} by ${req.admin.email}`);
+    // Only people newly mentioned by the edit are notified
+    const mentions = await notifyMentions(course, thread, body, req.admin, comment.mentions);
+    comment.body = body;
+    comment.mentions = [...new Set([...comment.mentions, ...mentions.notified])];
+    comment.editedAt = new Date();
+    thread.lastActivityAt = comment.editedAt;
+    await thread.save();
 
-    res.json({ success: true, message: 'Course content updated successfully' });
+    res.json({ success: true, thread, mentions });
 
   } catch (error) {
-    console.error('Error updating course:', error);
-    res.status(500).json({ error: 'Failed to update course: ' + error.message });
+    console.error('Error editing comment:', error);
+    res.status(500).json({ error: 'Failed to edit comment' });
   }
 });
 
-// POST /api/courses/:id/upload-readme
-router.post('/:id/upload-readme', verifyAdmin, upload.single('readme'), async (req, res) => {
+// POST /api/courses/:id/comments/:threadId/resolve
+// POST /api/courses/:id/comments/:threadId/reopen
+router.post('/:id/comments/:threadId/:action', verifyAdmin, async (req, res) => {
   try {
-    const { id } = req.params;
-    
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
+    const { action } = req.params;
+    if (action !== 'resolve' && action !== 'reopen') {
+      return res.status(400).json({ error: `Unknown comment action "${action}"` });
     }
 
-    const course = await Course.findOne({ projectId: id });
-    
-    if (!course) {
-      return res.status(404).json({ error: 'Course not found' });
-    }
-    
-    // Check permissions
-    if (!course.canEditContent(req.admin.email, req.admin.role)) {
-      return res.status(403).json({ 
-        error: 'You do not have permission to edit this course content'
-      });
-    }
+    const course = await findEditableCourse(req, res);
+    if (!course) return;
 
-    const content = req.file.buffer.toString('utf-8');
-    
-    // Update content on disk (this also regenerates sidebar)
-    await updateCourseContent(id, content);
+    const thread = await findThread(req, res, course);
+    if (!thread) return;
 
-    // Update metadata in MongoDB
-    course.lastModifiedBy = req.admin.email;
-    course.lastModifiedAt = new Date();
-    await course.save();
+    const resolving = action === 'resolve';
+    if ((thread.status === 'resolved') === resolving) {
+      return res.status(409).json({ error: `Thread is already ${thread.status}` });
+    }
 
-    // Update index.json
-    await updateIndexJson();
+    thread.status = resolving ? 'resolved' : 'open';
+    thread.resolvedBy = resolving ? req.admin.email : null;
+    thread.resolvedAt = resolving ? new Date() : null;
+    thread.lastActivityAt = new Date();
+    await thread.save();
 
-    console.log(`✅ README uploaded for course ${id} by ${req.admin.email}`);
+    console.log(`💬 Comment thread ${thread._id} on ${course.projectId} ${resolving ? 'resolved' : 'reopened'} by ${req.admin.email}`);
 
-    res.json({ success: true, message: 'README uploaded successfully' });
+    res.json({ success: true, thread });
 
   } catch (error) {
-    console.error('Error uploading README:', error);
-    res.status(500).json({ error: 'Failed to upload README: ' + error.message });
+    console.error('Error updating comment thread:', error);
+    res.status(500).json({ error: 'Failed to update comment thread' });
   }
 });
 
-// GET /api/courses/:id/download
-router.get('/:id/download', async (req, res) => {
+// DELETE /api/courses/:id/comments/:threadId => thread creator, topic author or super admin
+router.delete('/:id/comments/:threadId', verifyAdmin, async (req, res) => {
   try {
-    const { id } = req.params;
-    const course = await Course.findOne({ projectId: id });
+    const course = await findEditableCourse(req, res);
+    if (!course) return;
 
-    if (!course) {
-      return res.status(404).json({ error: 'Course not found' });
+    const thread = await findThread(req, res, course);
+    if (!thread) return;
+
+    if (thread.createdBy !== req.admin.email && !course.canEditInfo(req.admin.email, req.admin.role)) {
+      return res.status(403).json({ error: 'Only the person who opened the thread or the topic author can delete it' });
     }
 
-    // Read content from disk
-    const content = await readCourseContent(id);
+    await thread.deleteOne();
 
-    // Create temporary file
-    const tempPath = path.join(__dirname, '../temp', `${id}_README.md`);
-    const tempDir = path.join(__dirname, '../temp');
-    
-    await fs.mkdir(tempDir, { recursive: true });
-    await fs.writeFile(tempPath, content);
+    console.log(`🗑️ Comment thread ${thread._id} deleted from ${course.projectId} by ${req.admin.email}`);
 
-    res.download(tempPath, `${id}_README.md`, async (err) => {
-      // Clean up temp file
-      try {
-        await fs.unlink(tempPath);
-      } catch (e) {}
-      
-      if (err) {
-        console.error('Error downloading file:', err);
-        res.status(500).json({ error: 'Failed to download file' });
-      }
-    });
+    res.json({ success: true, message: 'Comment thread deleted' });
 
   } catch (error) {
-    console.error('Error downloading README:', error);
-    res.status(500).json({ error: 'Failed to download README' });
+    console.error('Error deleting comment thread:', error);
+    res.status(500).json({ error: 'Failed to delete comment thread' });
   }
 });
 
@@ -870,6 +2840,154 @@ router.get('/:id/download', async (req, res) => {
 // COLLABORATOR MANAGEMENT ROUTES
 // ============================================
 
+/**
+ * Invite someone to collaborate on a topic
+ * Registered users are added as pending collaborators; others get a
+ * registration invite. Callers refresh index.json.
+ * @param {Object} course - Course document
+ * @param {String} collaboratorEmail - lowercased email
+ * @param {Object} inviter - { email, name } of the admin
+ * @returns {Object} { userExists, collaborator } or { status, error }
+ */
+async function inviteCollaborator(course, collaboratorEmail, inviter) {
+  // Check if already a collaborator
+  const existingCollab = course.collaborators.find(c => c.email === collaboratorEmail);
+  if (existingCollab) {
+    return { status: 400, error: `${collaboratorEmail} is already a collaborator (status: ${existingCollab.status})` };
+  }
+  
+  // Check if user exists
+  const existingUser = await User.findOne({ email: collaboratorEmail });
+  
+  if (existingUser) {
+    // User exists - add as collaborator with pending status
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = new Date();
+    
+    course.collaborators.push({
+      email: collaboratorEmail,
+      status: 'pending',
+      addedBy: inviter.email,
+      addedAt: now,
+      inviteToken: token
+    });
+    
+    await course.save();
+    
+    // Create invitation record
+    const invites = await loadInvites();
+    invites.push({
+      id: `invite_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      courseId: course.projectId,
+      courseTitle: course.title,
+      invitedEmail: collaboratorEmail,
+      invitedBy: inviter.email,
+      inviterName: inviter.name,
+      status: 'pending',
+      token,
+      createdAt: now.toISOString(),
+      expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString()
+    });
+    await saveInvites(invites);
+    
+    // Send email
+    const acceptLink = `${process.env.CLIENT_URL}/invite/accept?token=${token}`;
+    
+    await sendEmail({
+      to: collaboratorEmail,
+      subject: `Collaboration Invitation: ${course.title}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #646cff;">Course Collaboration Invitation</h2>
+          <p>Hello ${existingUser.name},</p>
+          <p><strong>${inviter.name}</strong> (${inviter.email}) has invited you to collaborate on the course:</p>
+          <h3 style="color: #333;">${course.title}</h3>
+          ${course.description ? `<p style="color: #666;">${course.description}</p>` : ''}
+          <p>As a collaborator, you will be able to:</p>
+          <ul>
+            <li>✅ Edit course content</li>
+            <li>✅ Upload and modify README files</li>
+            <li>✅ Update course materials</li>
+          </ul>
+          <p>Click the button below to accept this invitation:</p>
+          <a href="${acceptLink}" 
+             style="display: inline-block; padding: 12px 24px; background: #646cff; color: white; text-decoration: none; border-radius: 8px; margin: 20px 0;">
+            Accept Invitation
+          </a>
+          <p style="color: #666; font-size: 12px;">This invitation expires in 7 days.</p>
+        </div>
+      `
+    });
+    
+    console.log(`✅ Collaboration invite sent to existing user ${collaboratorEmail} for course ${course.projectId}`);
+    
+    return {
+      userExists: true,
+      collaborator: {
+        email: collaboratorEmail,
+        status: 'pending',
+        addedAt: now
+      }
+    };
+    
+  } else {
+    // User doesn't exist - create pending invitation
+    const inviteToken = crypto.randomBytes(32).toString('hex');
+    const now = new Date();
+    const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+    
+    const pendingInvites = await loadPendingUserInvitations();
+    const existingInvite = pendingInvites.find(
+      inv => inv.email === collaboratorEmail && inv.courseId === course.projectId && inv.status === 'pending'
+    );
+    
+    if (existingInvite) {
+      return { status: 400, error: 'Invitation already sent to this email' };
+    }
+    
+    pendingInvites.push({
+      id: `user_invite_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      email: collaboratorEmail,
+      courseId: course.projectId,
+      courseTitle: course.title,
+      invitedBy: inviter.email,
+      inviterName: inviter.name,
+      token: inviteToken,
+      createdAt: now.toISOString(),
+      expiresAt: expiresAt.toISOString(),
+      status: 'pending'
+    });
+    await savePendingUserInvitations(pendingInvites);
+    
+    const registerLink = `${process.env.CLIENT_URL}/register?invite=${inviteToken}`;
+    
+    await sendEmail({
+      to: collaboratorEmail,
+      subject: `You're invited to collaborate on "${course.title}"`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #646cff;">🎓 Course Collaboration Invitation</h2>
+          <p>Hello!</p>
+          <p><strong>${inviter.name}</strong> has invited you to collaborate on the course:</p>
+          <h3 style="color: #333;">${course.title}</h3>
+          ${course.description ? `<p style="color: #666;">${course.description}</p>` : ''}
+          <p>As a collaborator, you will be able to edit course content and materials.</p>
+          <p><strong>To accept this invitation, you need to create a LearnHub account first:</strong></p>
+          <a href="${registerLink}" 
+             style="display: inline-block; padding: 12px 24px; background: #667eea; color: white; text-decoration: none; border-radius: 8px; margin: 20px 0;">
+            Create Account & Accept Invitation
+          </a>
+          <p style="color: #666; font-size: 12px;">This invitation expires in 7 days.</p>
+        </div>
+      `
+    });
+    
+    console.log(`✅ Registration invitation sent to ${collaboratorEmail} for course ${course.projectId}`);
+    
+    return { userExists: false };
+  }
+}
+
 // POST /api/courses/:id/collaborators
 router.post('/:id/collaborators', verifyAdmin, async (req, res) => {
   try {
@@ -899,152 +3017,32 @@ router.post('/:id/collaborators', verifyAdmin, async (req, res) => {
       });
     }
     
-    // Check if already a collaborator
-    const existingCollab = course.collaborators.find(c => c.email === collaboratorEmail);
-    if (existingCollab) {
-      return res.status(400).json({ 
-        error: `${collaboratorEmail} is already a collaborator (status: ${existingCollab.status})` 
-      });
+    const result = await inviteCollaborator(course, collaboratorEmail, req.admin);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
-    
-    // Check if user exists
-    const existingUser = await User.findOne({ email: collaboratorEmail });
-    
-    if (existingUser) {
-      // User exists - add as collaborator with pending status
-      const token = crypto.randomBytes(32).toString('hex');
-      const now = new Date();
-      
-      course.collaborators.push({
-        email: collaboratorEmail,
-        status: 'pending',
-        addedBy: req.admin.email,
-        addedAt: now,
-        inviteToken: token
-      });
-      
-      await course.save();
+
+    await auditCourse(req, course, 'collaborator_add', {
+      summary: result.userExists ? `Invited ${collaboratorEmail}` : `Invited ${collaboratorEmail} to register`
+    });
+
+    if (result.userExists) {
       await updateIndexJson();
-      
-      // Create invitation record
-      const invites = await loadInvites();
-      invites.push({
-        id: `invite_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-        courseId: id,
-        courseTitle: course.title,
-        invitedEmail: collaboratorEmail,
-        invitedBy: req.admin.email,
-        inviterName: req.admin.name,
-        status: 'pending',
-        token,
-        createdAt: now.toISOString(),
-        expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString()
-      });
-      await saveInvites(invites);
-      
-      // Send email
-      const acceptLink = `${process.env.CLIENT_URL}/invite/accept?token=${token}`;
-      
-      await sendEmail({
-        to: collaboratorEmail,
-        subject: `Collaboration Invitation: ${course.title}`,
-        html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <h2 style="color: #646cff;">Course Collaboration Invitation</h2>
-            <p>Hello ${existingUser.name},</p>
-            <p><strong>${req.admin.name}</strong> (${req.admin.email}) has invited you to collaborate on the course:</p>
-            <h3 style="color: #333;">${course.title}</h3>
-            ${course.description ? `<p style="color: #666;">${course.description}</p>` : ''}
-            <p>As a collaborator, you will be able to:</p>
-            <ul>
-              <li>✅ Edit course content</li>
-              <li>✅ Upload and modify README files</li>
-              <li>✅ Update course materials</li>
-            </ul>
-            <p>Click the button below to accept this invitation:</p>
-            <a href="${acceptLink}" 
-               style="display: inline-block; padding: 12px 24px; background: #646cff; color: white; text-decoration: none; border-radius: 8px; margin: 20px 0;">
-              Accept Invitation
-            </a>
-            <p style="color: #666; font-size: 12px;">This invitation expires in 7 days.</p>
-          </div>
-        `
-      });
-      
-      console.log(`✅ Collaboration invite sent to existing user ${collaboratorEmail} for course ${id}`);
-      
+
       return res.json({ 
         success: true, 
         message: `Invitation sent to ${collaboratorEmail}`,
         userExists: true,
-        collaborator: {
-          email: collaboratorEmail,
-          status: 'pending',
-          addedAt: now
-        }
-      });
-      
-    } else {
-      // User doesn't exist - create pending invitation
-      const inviteToken = crypto.randomBytes(32).toString('hex');
-      const now = new Date();
-      const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
-      
-      const pendingInvites = await loadPendingUserInvitations();
-      const existingInvite = pendingInvites.find(
-        inv => inv.email === collaboratorEmail && inv.courseId === id && inv.status === 'pending'
-      );
-      
-      if (existingInvite) {
-        return res.status(400).json({ error: 'Invitation already sent to this email' });
-      }
-      
-      pendingInvites.push({
-        id: `user_invite_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-        email: collaboratorEmail,
-        courseId: id,
-        courseTitle: course.title,
-        invitedBy: req.admin.email,
-        inviterName: req.admin.name,
-        token: inviteToken,
-        createdAt: now.toISOString(),
-        expiresAt: expiresAt.toISOString(),
-        status: 'pending'
-      });
-      await savePendingUserInvitations(pendingInvites);
-      
-      const registerLink = `${process.env.CLIENT_URL}/register?invite=${inviteToken}`;
-      
-      await sendEmail({
-        to: collaboratorEmail,
-        subject: `You're invited to collaborate on "${course.title}"`,
-        html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <h2 style="color: #646cff;">🎓 Course Collaboration Invitation</h2>
-            <p>Hello!</p>
-            <p><strong>${req.admin.name}</strong> has invited you to collaborate on the course:</p>
-            <h3 style="color: #333;">${course.title}</h3>
-            ${course.description ? `<p style="color: #666;">${course.description}</p>` : ''}
-            <p>As a collaborator, you will be able to edit course content and materials.</p>
-            <p><strong>To accept this invitation, you need to create a LearnHub account first:</strong></p>
-            <a href="${registerLink}" 
-               style="display: inline-block; padding: 12px 24px; background: #667eea; color: white; text-decoration: none; border-radius: 8px; margin: 20px 0;">
-              Create Account & Accept Invitation
-            </a>
-            <p style="color: #666; font-size: 12px;">This invitation expires in 7 days.</p>
-          </div>
-        `
-      });
-      
-      console.log(`✅ Registration invitation sent to ${collaboratorEmail} for course ${id}`);
-      
-      return res.json({ 
-        success: true, 
-        message: `Invitation sent to ${collaboratorEmail}. They need to register first.`,
-        userExists: false,
-        requiresRegistration: true
+        collaborator: result.collaborator
       });
     }
+
+    return res.json({ 
+      success: true, 
+      message: `Invitation sent to ${collaboratorEmail}. They need to register first.`,
+      userExists: false,
+      requiresRegistration: true
+    });
     
   } catch (error) {
     console.error('Error adding collaborator:', error);
@@ -1087,6 +3085,8 @@ router.delete('/:id/collaborators/:email', verifyAdmin, async (req, res) => {
     );
     await saveInvites(updatedInvites);
     
+    await auditCourse(req, course, 'collaborator_remove', { summary: `Removed collaborator ${email}` });
+
     console.log(`✅ Collaborator ${email} removed from course ${id}`);
     
     res.json({ success: true, message: 'Collaborator removed' });
@@ -1157,6 +3157,8 @@ router.delete('/:id/pending-user-invitations/:email', verifyAdmin, async (req, r
     
     await savePendingUserInvitations(filteredInvites);
     
+    await auditCourse(req, course, 'invitation_cancel', { summary: `Cancelled invitation of ${decodeURIComponent(email)}` });
+
     console.log(`✅ Pending user invitation cancelled for ${email} on course ${id}`);
     
     res.json({ success: true, message: 'Invitation cancelled' });
@@ -1255,6 +3257,14 @@ router.post('/invitations/accept', verifyAdmin, async (req, res) => {
       `
     });
 
+    await audit.record(req, {
+      action: 'course.invitation_accept',
+      targetType: 'course',
+      targetId: invitation.courseId,
+      targetTitle: invitation.courseTitle,
+      summary: `Accepted invitation from ${invitation.invitedBy}`
+    });
+
     console.log(`✅ User ${userEmail} accepted invitation for course ${invitation.courseId}`);
 
     res.json({ 
@@ -1273,47 +3283,28 @@ router.post('/invitations/accept', verifyAdmin, async (req, res) => {
 // IMAGE MANAGEMENT ROUTES
 // ============================================
 
-// Configure multer for image uploads
-const imageStorage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const courseId = req.params.id;
-    const uploadDir = path.join(DOCS_ROOT, courseId, 'images');
-    
-    const fsSync = require('fs');
-    fsSync.mkdirSync(uploadDir, { recursive: true });
-    cb(null, uploadDir);
-  },
-  filename: async (req, file, cb) => {
-    try {
-      const courseId = req.params.id;
-      const imagesDir = path.join(DOCS_ROOT, courseId, 'images');
-      
-      // Clean up the original filename
-      let originalName = file.originalname.replace(/\s+/g, '-').toLowerCase();
-      let finalPath = path.join(imagesDir, originalName);
-      
-      // Check if file exists and auto-increment if needed
-      let counter = 1;
-      const ext = path.extname(originalName);
-      const base = path.basename(originalName, ext);
-      
-      const fsSync = require('fs');
-      while (fsSync.existsSync(finalPath)) {
-        originalName = `${base}-${counter}${ext}`;
-        finalPath = path.join(imagesDir, originalName);
-        counter++;
-      }
-      
-      cb(null, originalName);
-    } catch (error) {
-      cb(error);
-    }
+// Helper: Store an uploaded image under a clean, unused file name
+async function saveUploadedImage(projectId, file) {
+  let originalName = path.basename(file.originalname).replace(/\s+/g, '-').toLowerCase();
+
+  // Check if file exists and auto-increment if needed
+  let counter = 1;
+  const ext = path.extname(originalName);
+  const base = path.basename(originalName, ext);
+
+  while (await storage.docs.exists(`${projectId}/images/${originalName}`)) {
+    originalName = `${base}-${counter}${ext}`;
+    counter++;
   }
-});
 
+  await storage.docs.write(`${projectId}/images/${originalName}`, file.buffer);
+  return originalName;
+}
+
+// Configure multer for image uploads (kept in memory, then written to storage)
 const imageUpload = multer({ 
-  storage: imageStorage,
-  limits: { fileSize: 5 * 1024 * 1024 },
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_SIZE },
   fileFilter: (req, file, cb) => {
     if (file.mimetype.startsWith('image/')) {
       cb(null, true);
@@ -1345,8 +3336,16 @@ router.post('/:id/images', verifyAdmin, imageUpload.array('images', 10), async (
       return res.status(400).json({ error: 'No images uploaded' });
     }
 
-    const uploadedFiles = req.files.map(file => file.filename);
+    const uploadedFiles = [];
+    for (const file of req.files) {
+      uploadedFiles.push(await saveUploadedImage(id, file));
+    }
     
+    await auditCourse(req, course, 'image_upload', {
+      summary: `Uploaded ${uploadedFiles.length} image(s)`,
+      after: { images: uploadedFiles }
+    });
+
     console.log(`✅ ${uploadedFiles.length} image(s) uploaded for course ${id}`);
     
     res.json({ 
@@ -1365,10 +3364,8 @@ router.post('/:id/images', verifyAdmin, imageUpload.array('images', 10), async (
 router.get('/:id/images', async (req, res) => {
   try {
     const { id } = req.params;
-    const imagesDir = path.join(DOCS_ROOT, id, 'images');
-
     try {
-      const files = await fs.readdir(imagesDir);
+      const files = await storage.docs.list(`${id}/images`);
       const imageFiles = files.filter(file => {
         const ext = path.extname(file).toLowerCase();
         return ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.svg'].includes(ext);
@@ -1385,15 +3382,138 @@ router.get('/:id/images', async (req, res) => {
   }
 });
 
+/**
+ * Map each image of a topic to the pages that embed it
+ * Both the live files and the working copy are scanned.
+ * @param {String} projectId
+ * @returns {Object} { images: [names], usage: Map(name => [{ file, source, lines }]) }
+ */
+async function getImageUsage(projectId) {
+  const images = (await storage.docs.list(`${projectId}/images`)).filter(file => {
+    return IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase());
+  });
+
+  const usage = new Map(images.map(name => [name, []]));
+  const sources = [{ source: 'live', area: storage.docs }];
+  if (await hasDraft(projectId)) {
+    sources.push({ source: 'draft', area: storage.drafts });
+  }
+
+  for (const { source, area } of sources) {
+    const files = await listPages(area, projectId);
+    for (const file of files) {
+      const content = await area.readText(`${projectId}/${file}`).catch(() => '');
+      const lines = new Map();
+      for (const ref of extractReferences(content).filter(r => r.kind === 'image')) {
+        const name = localImageName(ref.target, projectId);
+        if (name === null) continue;
+        if (!lines.has(name)) lines.set(name, []);
+        lines.get(name).push(ref.line);
+      }
+      for (const [name, refLines] of lines) {
+        if (usage.has(name)) usage.get(name).push({ file, source, lines: refLines });
+      }
+    }
+  }
+
+  return { images, usage };
+}
+
+// GET /api/courses/:id/images/usage
+router.get('/:id/images/usage', verifyAdmin, async (req, res) => {
+  try {
+    const course = await findEditableCourse(req, res);
+    if (!course) return;
+
+    const { images, usage } = await getImageUsage(course.projectId);
+
+    res.json({
+      success: true,
+      images: images.map(name => ({
+        name,
+        usedBy: usage.get(name),
+        isUsed: usage.get(name).length > 0
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error getting image usage:', error);
+    res.status(500).json({ error: 'Failed to get image usage' });
+  }
+});
+
+// GET /api/courses/:id/images/orphans
+router.get('/:id/images/orphans', verifyAdmin, async (req, res) => {
+  try {
+    const course = await findEditableCourse(req, res);
+    if (!course) return;
+
+    const { images, usage } = await getImageUsage(course.projectId);
+
+    res.json({
+      success: true,
+      orphans: images.filter(name => usage.get(name).length === 0)
+    });
+
+  } catch (error) {
+    console.error('Error listing orphaned images:', error);
+    res.status(500).json({ error: 'Failed to list orphaned images' });
+  }
+});
+
+// DELETE /api/courses/:id/images/orphans  { names?: [...] } => bulk delete unreferenced images
+// Without names every orphan is deleted; referenced images in names are skipped
+router.delete('/:id/images/orphans', verifyAdmin, async (req, res) => {
+  try {
+    const course = await findEditableCourse(req, res);
+    if (!course) return;
+
+    const { images, usage } = await getImageUsage(course.projectId);
+    const orphans = images.filter(name => usage.get(name).length === 0);
+
+    const requested = req.body && Array.isArray(req.body.names) ? req.body.names : orphans;
+    const deleted = [];
+    const skipped = [];
+
+    for (const name of requested) {
+      if (!orphans.includes(name)) {
+        skipped.push({
+          name,
+          reason: usage.has(name) ? 'Image is still referenced' : 'Image not found'
+        });
+        continue;
+      }
+      await storage.docs.remove(`${course.projectId}/images/${name}`);
+      deleted.push(name);
+    }
+
+    if (deleted.length > 0) {
+      await auditCourse(req, course, 'image_delete', { summary: `Deleted ${deleted.length} orphaned image(s)`, before: { images: deleted } });
+    }
+
+    console.log(`🧹 ${deleted.length} orphaned image(s) deleted from course ${course.projectId} by ${req.admin.email}`);
+
+    res.json({
+      success: true,
+      message: `${deleted.length} orphaned image(s) deleted`,
+      deleted,
+      skipped
+    });
+
+  } catch (error) {
+    console.error('Error deleting orphaned images:', error);
+    res.status(500).json({ error: 'Failed to delete orphaned images' });
+  }
+});
+
 // GET /api/courses/:id/images/:name
 router.get('/:id/images/:name', async (req, res) => {
   try {
     const { id, name } = req.params;
-    const imagePath = path.join(DOCS_ROOT, id, 'images', name);
-
     try {
-      await fs.access(imagePath);
-      res.sendFile(imagePath);
+      const image = await storage.docs.read(`${id}/images/${path.basename(name)}`);
+      res.type(path.extname(name) || 'application/octet-stream');
+      res.send(image);
     } catch (err) {
       res.status(404).json({ error: 'Image not found' });
     }
@@ -1422,16 +3542,32 @@ router.delete('/:id/images/:name', verifyAdmin, async (req, res) => {
       });
     }
     
-    const imagePath = path.join(DOCS_ROOT, id, 'images', name);
+    const imageKey = `${id}/images/${path.basename(name)}`;
+
+    // Refuse to break pages that still embed the image unless forced
+    const { usage } = await getImageUsage(id);
+    const usedBy = usage.get(name) || [];
+    const force = req.query.force === 'true';
+    if (usedBy.length > 0 && !force) {
+      return res.status(409).json({
+        error: 'Image is still referenced',
+        message: 'Remove the references first or delete with ?force=true',
+        usedBy
+      });
+    }
 
-    try {
-      await fs.unlink(imagePath);
-      console.log(`✅ Image deleted: ${name} from course ${id}`);
-      res.json({ success: true, message: 'Image deleted successfully' });
-    } catch (err) {
-      res.status(404).json({ error: 'Image not found' });
+    if (!(await storage.docs.exists(imageKey))) {
+      return res.status(404).json({ error: 'Image not found' });
     }
 
+    await storage.docs.remove(imageKey);
+    await auditCourse(req, course, 'image_delete', {
+      summary: usedBy.length > 0 ? `Deleted image ${name} (still referenced)` : `Deleted image ${name}`,
+      before: { images: [name] }
+    });
+    console.log(`✅ Image deleted: ${name} from course ${id}`);
+    res.json({ success: true, message: 'Image deleted successfully' });
+
   } catch (error) {
     console.error('Error deleting image:', error);
     res.status(500).json({ error: 'Failed to delete image' });
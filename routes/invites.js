@@ -2,6 +2,7 @@ const express = require('express');
 const path = require('path');
 const fs = require('fs').promises;
 const Course = require('../models/Course');
+const { updateIndexJson } = require('../services/courseContent');
 
 const router = express.Router();
 
@@ -30,34 +31,6 @@ async function saveInvites(invites) {
   await fs.writeFile(invitesPath, JSON.stringify(invites, null, 2));
 }
 
-// Helper: Update index.json for backward compatibility
-async function updateIndexJson() {
-  try {
-    const docsDir = path.join(process.cwd(), 'client/public/docs');
-    const indexPath = path.join(docsDir, 'index.json');
-    
-    const courses = await Course.find({}).sort({ projectId: 1 });
-    
-    const indexData = courses.map(course => ({
-      proj: course.projectId,
-      title: course.title,
-      description: course.description,
-      keywords: course.keywords,
-      createdBy: course.createdBy,
-      createdAt: course.createdAt,
-      lastModifiedBy: course.lastModifiedBy,
-      lastModifiedAt: course.lastModifiedAt,
-      collaborators: course.collaborators
-    }));
-    
-    await fs.writeFile(indexPath, JSON.stringify(indexData, null, 2));
-    return true;
-  } catch (error) {
-    console.error('Error updating index.json:', error);
-    return false;
-  }
-}
-
 // GET /api/invites/:token
 router.get('/:token', async (req, res) => {
   try {
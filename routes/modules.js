@@ -2,49 +2,18 @@
 const express = require('express');
 const { verifyAdmin } = require('../middleware/auth');
 const Module = require('../models/Module');
-const ModuleId = require('../models/ModuleId');
 const Program = require('../models/Programs');
 const Course = require('../models/Course');
+const { versionEtag, claimVersionOrRespond, releaseVersion } = require('../utils/concurrency');
+const { moveToTrash } = require('../services/trash');
+const { allocateId } = require('../services/idAllocator');
+const webhooks = require('../services/webhooks');
+const audit = require('../services/audit');
+
+// Module fields compared in audit entries
+const AUDIT_FIELDS = ['title', 'description', 'order', 'topicIds'];
 const router = express.Router();
 
-// ============================================
-// HELPER FUNCTIONS
-// ============================================
-
-// Helper: pad number to 4 digits
-function padId(num) {
-  return String(num).padStart(4, '0');
-}
-
-// Assign next available module ID (M0001, M0002, etc.)
-async function assignNextAvailableModuleId() {
-  const doc = await ModuleId.findOne() || new ModuleId();
-  const usedSet = new Set(doc.used || []);
-
-  let candidate = 1;
-  while (true) {
-    const mid = 'M' + padId(candidate);
-    if (!usedSet.has(mid)) {
-      doc.used.push(mid);
-      await doc.save();
-      return mid;
-    }
-    candidate += 1;
-    if (candidate > 9999) throw new Error('No available module IDs');
-  }
-}
-
-// Free (make reusable) a moduleId
-async function freeModuleId(moduleId) {
-  const doc = await ModuleId.findOne();
-  if (!doc) return;
-  const idx = (doc.used || []).indexOf(moduleId);
-  if (idx !== -1) {
-    doc.used.splice(idx, 1);
-    await doc.save();
-  }
-}
-
 // ============================================
 // MODULE CRUD ROUTES
 // ============================================
@@ -76,7 +45,7 @@ router.post('/create', verifyAdmin, async (req, res) => {
     }
 
     // Assign module ID
-    const moduleId = await assignNextAvailableModuleId();
+    const moduleId = await allocateId('module');
 
     // Determine order (if not provided, put at end)
     let moduleOrder = order;
@@ -109,6 +78,17 @@ router.post('/create', verifyAdmin, async (req, res) => {
     program.lastModifiedAt = new Date();
     await program.save();
 
+    webhooks.emit('module.created', webhooks.moduleData(module), req.admin.email);
+
+    await audit.record(req, {
+      action: 'module.create',
+      targetType: 'module',
+      targetId: moduleId,
+      targetTitle: module.title,
+      summary: `Created in program ${programId}`,
+      after: audit.pick(module, AUDIT_FIELDS)
+    });
+
     console.log(`✅ Module created: ${moduleId} for program ${programId} by ${req.admin.email}`);
 
     res.json({
@@ -190,10 +170,12 @@ router.get('/:moduleId', async (req, res) => {
       projectId: { $in: module.topicIds } 
     });
 
+    res.set('ETag', versionEtag(module));
     res.json({
       success: true,
       module: {
         ...module.toObject(),
+        version: module.version || 0,
         topics
       }
     });
@@ -210,7 +192,7 @@ router.put('/:moduleId', verifyAdmin, async (req, res) => {
     const { moduleId } = req.params;
     const { title, description, topicIds, order } = req.body;
 
-    const module = await Module.findOne({ moduleId });
+    let module = await Module.findOne({ moduleId });
     if (!module) {
       return res.status(404).json({ error: 'Module not found' });
     }
@@ -223,6 +205,12 @@ router.put('/:moduleId', verifyAdmin, async (req, res) => {
       });
     }
 
+    // Reject stale edits (If-Match / body.version)
+    module = await claimVersionOrRespond(req, res, Module, { moduleId });
+    if (!module) return;
+
+    const before = audit.pick(module, AUDIT_FIELDS);
+
     // Update fields
     if (title !== undefined) module.title = title.trim();
     if (description !== undefined) module.description = description.trim();
@@ -232,10 +220,25 @@ router.put('/:moduleId', verifyAdmin, async (req, res) => {
     module.lastModifiedBy = req.admin.email;
     module.lastModifiedAt = new Date();
 
-    await module.save();
+    await module.save().catch(async err => {
+      // The save failed: give the version back
+      await releaseVersion(Module, module);
+      throw err;
+    });
+
+    webhooks.emit('module.updated', webhooks.moduleData(module), req.admin.email);
+
+    await audit.record(req, {
+      action: 'module.update',
+      targetType: 'module',
+      targetId: moduleId,
+      targetTitle: module.title,
+      ...audit.changes(before, audit.pick(module, AUDIT_FIELDS))
+    });
 
     console.log(`✅ Module updated: ${moduleId} by ${req.admin.email}`);
 
+    res.set('ETag', versionEtag(module));
     res.json({ 
       success: true, 
       message: 'Module updated successfully',
@@ -244,7 +247,8 @@ router.put('/:moduleId', verifyAdmin, async (req, res) => {
         title: module.title,
         description: module.description,
         order: module.order,
-        topicIds: module.topicIds
+        topicIds: module.topicIds,
+        version: module.version
       }
     });
 
@@ -254,7 +258,7 @@ router.put('/:moduleId', verifyAdmin, async (req, res) => {
   }
 });
 
-// DELETE /api/modules/:moduleId
+// DELETE /api/modules/:moduleId - Move to the trash (see /api/trash to restore or purge)
 router.delete('/:moduleId', verifyAdmin, async (req, res) => {
   try {
     const { moduleId } = req.params;
@@ -272,23 +276,38 @@ router.delete('/:moduleId', verifyAdmin, async (req, res) => {
       });
     }
 
+    // Remember the module's position so a restore puts it back in place
+    const ref = program.modules.find(m => m.moduleId === moduleId);
+
     // Remove from program's modules array
     program.modules = program.modules.filter(m => m.moduleId !== moduleId);
     program.lastModifiedBy = req.admin.email;
     program.lastModifiedAt = new Date();
     await program.save();
 
-    // Delete module
-    await Module.deleteOne({ moduleId });
+    // Move to the trash; the moduleId stays reserved until purged
+    const trashed = await moveToTrash('module', module, {
+      deletedBy: req.admin.email,
+      context: { order: ref ? ref.order : module.order }
+    });
 
-    // Free up the moduleId for reuse
-    await freeModuleId(moduleId);
+    webhooks.emit('module.deleted', { ...webhooks.moduleData(module), purgeAfter: trashed.purgeAfter }, req.admin.email);
+
+    await audit.record(req, {
+      action: 'module.delete',
+      targetType: 'module',
+      targetId: moduleId,
+      targetTitle: module.title,
+      summary: `Moved to trash from program ${module.programId}`,
+      before: audit.pick(module, AUDIT_FIELDS)
+    });
 
     console.log(`🗑️ Module deleted: ${moduleId} by ${req.admin.email}`);
 
     res.json({ 
       success: true, 
-      message: 'Module deleted successfully' 
+      message: 'Module moved to trash',
+      purgeAfter: trashed.purgeAfter
     });
 
   } catch (error) {
@@ -321,6 +340,8 @@ router.post('/reorder', verifyAdmin, async (req, res) => {
       });
     }
 
+    const previousOrder = program.modules.map(m => m.moduleId);
+
     // Update each module's order
     for (const { moduleId, order } of moduleOrders) {
       await Module.updateOne({ moduleId }, { order });
@@ -336,6 +357,17 @@ router.post('/reorder', verifyAdmin, async (req, res) => {
     program.lastModifiedAt = new Date();
     await program.save();
 
+    webhooks.emit('module.reordered', { programId, modules: program.modules.map(m => ({ moduleId: m.moduleId, order: m.order })) }, req.admin.email);
+
+    await audit.record(req, {
+      action: 'module.reorder',
+      targetType: 'program',
+      targetId: programId,
+      targetTitle: program.title,
+      before: { modules: previousOrder },
+      after: { modules: program.modules.map(m => m.moduleId) }
+    });
+
     console.log(`✅ Modules reordered for program ${programId}`);
 
     res.json({ 
@@ -2,20 +2,28 @@
 const express = require('express');
 const { verifyAdmin } = require('../middleware/auth');
 const Program = require('../models/Programs');
-const ProgramId = require('../models/ProgramsId');
 const Course = require('../models/Course');
 const router = express.Router();
 const Module = require('../models/Module');
+const { versionEtag, claimVersionOrRespond, releaseVersion } = require('../utils/concurrency');
+const { parseSchedule } = require('../utils/schedule');
+const { REVIEW_OPTIONS, canReview, isPublishable } = require('../utils/reviewWorkflow');
+const { recordTransition, applyReviewTransition, formatReview } = require('../services/reviewWorkflow');
+const ReviewEvent = require('../models/ReviewEvent');
+const { moveToTrash } = require('../services/trash');
+const { allocateId } = require('../services/idAllocator');
+const { matchAny, parseListOptions, findPage } = require('../utils/listQuery');
+const { canonicalizeTags, buildTagFilter, facetCounts } = require('../services/taxonomy');
+const webhooks = require('../services/webhooks');
+const audit = require('../services/audit');
+
+// Program fields compared in audit entries
+const AUDIT_FIELDS = ['title', 'description', 'thumbnail', 'duration', 'difficulty', 'category', 'status', 'reviewStatus', 'topicIds'];
 
 // ============================================
 // HELPER FUNCTIONS
 // ============================================
 
-// Helper: pad number to 4 digits
-function padId(num) {
-  return String(num).padStart(4, '0');
-}
-
 // Helper: slug generation
 function generateSlug(title) {
   return title
@@ -26,35 +34,6 @@ function generateSlug(title) {
     .slice(0, 50);
 }
 
-// Assign next available program ID (P0001, P0002, etc.)
-async function assignNextAvailableProgramId() {
-  const doc = await ProgramId.findOne() || new ProgramId();
-  const usedSet = new Set(doc.used || []);
-
-  let candidate = 1;
-  while (true) {
-    const pid = 'P' + padId(candidate);
-    if (!usedSet.has(pid)) {
-      doc.used.push(pid);
-      await doc.save();
-      return pid;
-    }
-    candidate += 1;
-    if (candidate > 9999) throw new Error('No available program IDs');
-  }
-}
-
-// Free (make reusable) a programId
-async function freeProgramId(programId) {
-  const doc = await ProgramId.findOne();
-  if (!doc) return;
-  const idx = (doc.used || []).indexOf(programId);
-  if (idx !== -1) {
-    doc.used.splice(idx, 1);
-    await doc.save();
-  }
-}
-
 // ============================================
 // PROGRAM CRUD ROUTES
 // ============================================
@@ -77,6 +56,13 @@ router.post('/create', verifyAdmin, async (req, res) => {
       return res.status(400).json({ error: 'Title is required' });
     }
 
+    if (status === 'published' && REVIEW_OPTIONS.required) {
+      return res.status(409).json({ 
+        error: 'New programs must be reviewed before publishing',
+        message: 'Create the program as a draft and submit it for review'
+      });
+    }
+
     if (!topicIds || !Array.isArray(topicIds)) {
       return res.status(400).json({ error: 'Abn error occurred. Try again later.' });
     }
@@ -88,7 +74,7 @@ router.post('/create', verifyAdmin, async (req, res) => {
     }
 
     // Assign program ID
-    const programId = await assignNextAvailableProgramId();
+    const programId = await allocateId('program');
     const slug = generateSlug(title);
 
     // Create new program
@@ -100,7 +86,7 @@ router.post('/create', verifyAdmin, async (req, res) => {
       thumbnail: thumbnail || '',
       duration: duration || '',
       difficulty: difficulty || 'Beginner',
-      category: Array.isArray(category) ? category : [],
+      category: await canonicalizeTags(Array.isArray(category) ? category : []),
       status: status || 'draft',
       topicIds,
       createdBy: req.admin.email,
@@ -110,6 +96,19 @@ router.post('/create', verifyAdmin, async (req, res) => {
 
     await newProgram.save();
 
+    webhooks.emit('program.created', webhooks.programData(newProgram), req.admin.email);
+
+    await audit.record(req, {
+      action: 'program.create',
+      targetType: 'program',
+      targetId: programId,
+      targetTitle: newProgram.title,
+      after: audit.pick(newProgram, AUDIT_FIELDS)
+    });
+    if (newProgram.status === 'published') {
+      webhooks.emit('program.published', webhooks.programData(newProgram), req.admin.email);
+    }
+
     console.log(`✅ Program created: ${programId} by ${req.admin.email}`);
 
     res.json({
@@ -132,9 +131,16 @@ router.post('/create', verifyAdmin, async (req, res) => {
 });
 
 // GET /api/programs - Get all programs (admins see all, public sees only published)
+// ?page=1&limit=20&sort=title&status=published&createdBy=a@b.c&difficulty=Beginner&category=web
+// Without page/limit every matching program is returned
 router.get('/', async (req, res) => {
   try {
     const isAdmin = req.headers.authorization;
+
+    const options = parseListOptions(req.query, { defaultSort: '-createdAt', sortFields: { id: 'programId' } });
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
     
     let query = {};
     // if (!isAdmin) {
@@ -142,12 +148,29 @@ router.get('/', async (req, res) => {
     //   query.status = 'published';
     // }
 
-    const programs = await Program.find(query)
-      .select('programId slug title description thumbnail duration difficulty category status topicIds createdBy createdAt lastModifiedBy lastModifiedAt collaborators')
-      .sort({ createdAt: -1 });
+    // Filters
+    const { status, createdBy, difficulty, category } = req.query;
+    if (status) query.status = matchAny(status);
+    if (createdBy) query.createdBy = matchAny(createdBy);
+    if (difficulty) query.difficulty = matchAny(difficulty);
+    // category also matches synonyms and narrower terms from the taxonomy
+    if (category) Object.assign(query, await buildTagFilter('category', category));
+
+    const [{ items: programs, total, page, limit, totalPages }, categoryFacets] = await Promise.all([
+      findPage(Program, query, {
+        ...options,
+        select: 'programId slug title description thumbnail duration difficulty category status topicIds createdBy createdAt lastModifiedBy lastModifiedAt collaborators'
+      }),
+      facetCounts(Program, 'category', query)
+    ]);
 
     res.json({
       success: true,
+      total,
+      page,
+      limit,
+      totalPages,
+      facets: { category: categoryFacets },
       programs: programs.map(p => ({
         programId: p.programId,
         slug: p.slug,
@@ -241,6 +264,10 @@ router.get('/:id', async (req, res) => {
         difficulty: program.difficulty,
         category: program.category,
         status: program.status,
+        reviewStatus: program.reviewStatus || 'draft',
+        version: program.version || 0,
+        publishAt: program.publishAt || null,
+        unpublishAt: program.unpublishAt || null,
         topicIds: program.topicIds || [],
         modules: modulesWithTopics.length > 0 ? modulesWithTopics : undefined,
         createdBy: program.createdBy,
@@ -251,6 +278,7 @@ router.get('/:id', async (req, res) => {
       }
     };
 
+    res.set('ETag', versionEtag(program));
     res.json(response);
 
   } catch (error) {
@@ -277,7 +305,7 @@ router.put('/:id', verifyAdmin, async (req, res) => {
       topicIds 
     } = req.body;
 
-    const program = await Program.findOne({ programId: id });
+    let program = await Program.findOne({ programId: id });
 
     if (!program) {
       return res.status(404).json({ error: 'Course not found' });
@@ -290,36 +318,99 @@ router.put('/:id', verifyAdmin, async (req, res) => {
       });
     }
 
+    // Verify all topics exist
+    if (topicIds && Array.isArray(topicIds)) {
+      const topics = await Course.find({ projectId: { $in: topicIds } });
+      if (topics.length !== topicIds.length) {
+        return res.status(400).json({ error: 'One or more topics not found' });
+      }
+    }
+
+    // Only approved programs go live; other edits void an approval
+    const publishing = status === 'published' && program.status !== 'published';
+    const unpublishing = status === 'draft' && program.status === 'published';
+    // Known spellings are stored under their canonical tag name
+    const categories = category !== undefined
+      ? await canonicalizeTags(Array.isArray(category) ? category : [])
+      : undefined;
+
+    const contentEdited = Object.entries({ title, description, thumbnail, duration, difficulty, category: categories, topicIds })
+      .some(([key, value]) => value !== undefined && JSON.stringify(value) !== JSON.stringify(program[key]));
+
+    if (publishing && (contentEdited || !isPublishable(program))) {
+      return res.status(409).json({ 
+        error: 'This program has not been approved',
+        message: 'Submit the program for review and get it approved before publishing, without other edits',
+        reviewStatus: program.reviewStatus || 'draft'
+      });
+    }
+
+    // Reject stale edits (If-Match / body.version)
+    program = await claimVersionOrRespond(req, res, Program, { programId: id });
+    if (!program) return;
+
+    const before = audit.pick(program, AUDIT_FIELDS);
+
     // Update fields
     if (title) program.title = title;
     if (description !== undefined) program.description = description;
     if (thumbnail !== undefined) program.thumbnail = thumbnail;
     if (duration !== undefined) program.duration = duration;
     if (difficulty) program.difficulty = difficulty;
-    if (category !== undefined) program.category = Array.isArray(category) ? category : [];
-    if (status) program.status = status;
+    if (categories !== undefined) program.category = categories;
+    const reviewFrom = program.reviewStatus || 'draft';
+    if (contentEdited) program.markContentChanged();
+    if (status) {
+      // A manual status change overrides the pending schedule for that direction
+      if (status === 'published') program.publishAt = null;
+      if (status === 'draft') program.unpublishAt = null;
+      program.status = status;
+    }
+    if (publishing) program.reviewStatus = 'published';
+    if (unpublishing && program.reviewStatus === 'published') program.reviewStatus = 'approved';
     
     if (topicIds && Array.isArray(topicIds)) {
       // if (topicIds.length < 2) {
       //   return res.status(400).json({ error: 'At least 2 topics are required' });
       // }
       
-      // Verify all topics exist
-      const topics = await Course.find({ projectId: { $in: topicIds } });
-      if (topics.length !== topicIds.length) {
-        return res.status(400).json({ error: 'One or more topics not found' });
-      }
-      
       program.topicIds = topicIds;
     }
 
     program.lastModifiedBy = req.admin.email;
     program.lastModifiedAt = new Date();
 
-    await program.save();
+    await program.save().catch(async err => {
+      // The save failed: give the version back
+      await releaseVersion(Program, program);
+      throw err;
+    });
+
+    if (publishing || (unpublishing && reviewFrom === 'published')) {
+      await recordTransition('program', program, {
+        action: publishing ? 'publish' : 'unpublish',
+        from: reviewFrom,
+        to: program.reviewStatus,
+        actor: req.admin.email
+      });
+    }
+
+    webhooks.emit('program.updated', webhooks.programData(program), req.admin.email);
+
+    await audit.record(req, {
+      action: publishing ? 'program.publish' : unpublishing ? 'program.unpublish' : 'program.update',
+      targetType: 'program',
+      targetId: id,
+      targetTitle: program.title,
+      ...audit.changes(before, audit.pick(program, AUDIT_FIELDS))
+    });
+    if (publishing || unpublishing) {
+      webhooks.emit(publishing ? 'program.published' : 'program.unpublished', webhooks.programData(program), req.admin.email);
+    }
 
     console.log(`✅ Program updated: ${id} by ${req.admin.email}`);
 
+    res.set('ETag', versionEtag(program));
     res.json({ 
       success: true, 
       message: 'Course updated successfully',
@@ -327,7 +418,8 @@ router.put('/:id', verifyAdmin, async (req, res) => {
         programId: program.programId,
         title: program.title,
         description: program.description,
-        topicIds: program.topicIds
+        topicIds: program.topicIds,
+        version: program.version
       }
     });
 
@@ -337,7 +429,135 @@ router.put('/:id', verifyAdmin, async (req, res) => {
   }
 });
 
-// DELETE /api/programs/:id
+// GET /api/programs/:id/review - Review state and transition history
+router.get('/:id/review', verifyAdmin, async (req, res) => {
+  try {
+    const program = await Program.findOne({ programId: req.params.id });
+
+    if (!program) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    const history = await ReviewEvent.findHistory('program', program.programId);
+
+    res.json({ success: true, review: formatReview(program, history) });
+
+  } catch (error) {
+    console.error('Error getting review state:', error);
+    res.status(500).json({ error: 'Failed to get review state' });
+  }
+});
+
+// POST /api/programs/:id/review/:action - submit | withdraw | approve | request_changes
+router.post('/:id/review/:action', verifyAdmin, async (req, res) => {
+  try {
+    const { id, action } = req.params;
+    const { comment, reviewers } = req.body || {};
+    const program = await Program.findOne({ programId: id });
+
+    if (!program) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    if (action === 'submit' || action === 'withdraw') {
+      if (!program.canEditContent(req.admin.email, req.admin.role)) {
+        return res.status(403).json({ 
+          error: 'You do not have permission to edit this course'
+        });
+      }
+    } else if (action === 'approve' || action === 'request_changes') {
+      if (!canReview(program, req.admin.email, req.admin.role)) {
+        return res.status(403).json({ 
+          error: 'You are not a reviewer of this program',
+          message: 'Reviews are done by the assigned reviewers, and never by the person who submitted'
+        });
+      }
+    } else {
+      return res.status(400).json({ error: `Unknown review action "${action}"` });
+    }
+
+    const reviewFrom = program.reviewStatus || 'draft';
+    const result = await applyReviewTransition(Program, 'program', program, action, {
+      actor: req.admin.email,
+      comment,
+      reviewers
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await audit.record(req, {
+      action: `program.review_${action}`,
+      targetType: 'program',
+      targetId: id,
+      targetTitle: result.doc.title,
+      summary: comment || '',
+      before: { reviewStatus: reviewFrom },
+      after: { reviewStatus: result.doc.reviewStatus }
+    });
+
+    const history = await ReviewEvent.findHistory('program', id);
+
+    res.json({ success: true, review: formatReview(result.doc, history) });
+
+  } catch (error) {
+    console.error('Error applying review action:', error);
+    res.status(500).json({ error: 'Failed to update review state' });
+  }
+});
+
+// PUT /api/programs/:id/schedule - Set or clear publishAt / unpublishAt (null clears)
+router.put('/:id/schedule', verifyAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const program = await Program.findOne({ programId: id });
+
+    if (!program) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    if (!program.canEditInfo(req.admin.email, req.admin.role)) {
+      return res.status(403).json({ 
+        error: 'You do not have permission to edit this course'
+      });
+    }
+
+    const schedule = parseSchedule(req.body, program);
+    if (schedule.error) {
+      return res.status(400).json({ error: schedule.error });
+    }
+
+    if (schedule.publishAt !== undefined) program.publishAt = schedule.publishAt;
+    if (schedule.unpublishAt !== undefined) program.unpublishAt = schedule.unpublishAt;
+    program.scheduledBy = req.admin.email;
+
+    await program.save();
+
+    await audit.record(req, {
+      action: 'program.schedule',
+      targetType: 'program',
+      targetId: id,
+      targetTitle: program.title,
+      after: { publishAt: program.publishAt, unpublishAt: program.unpublishAt }
+    });
+
+    console.log(`⏰ Program ${id} schedule updated by ${req.admin.email}`);
+
+    res.json({ 
+      success: true, 
+      message: 'Schedule updated',
+      publishAt: program.publishAt,
+      unpublishAt: program.unpublishAt
+    });
+
+  } catch (error) {
+    console.error('Error scheduling program:', error);
+    res.status(500).json({ error: 'Failed to update schedule' });
+  }
+});
+
+// DELETE /api/programs/:id - Move to the trash (see /api/trash to restore or purge)
 router.delete('/:id', verifyAdmin, async (req, res) => {
   try {
     const { id } = req.params;
@@ -355,17 +575,26 @@ router.delete('/:id', verifyAdmin, async (req, res) => {
       });
     }
 
-    // Delete from MongoDB
-    await Program.deleteOne({ programId: id });
+    // Move to the trash; the programId stays reserved until purged
+    const trashed = await moveToTrash('program', program, { deletedBy: req.admin.email });
+
+    webhooks.emit('program.deleted', { ...webhooks.programData(program), purgeAfter: trashed.purgeAfter }, req.admin.email);
 
-    // Free up the programId for reuse
-    await freeProgramId(id);
+    await audit.record(req, {
+      action: 'program.delete',
+      targetType: 'program',
+      targetId: id,
+      targetTitle: program.title,
+      summary: 'Moved to trash',
+      before: audit.pick(program, AUDIT_FIELDS)
+    });
 
     console.log(`🗑️ Program deleted: ${id} by ${req.admin.email}`);
 
     res.json({ 
       success: true, 
-      message: 'Course deleted successfully' 
+      message: 'Course moved to trash',
+      purgeAfter: trashed.purgeAfter
     });
 
   } catch (error) {
@@ -464,6 +693,14 @@ router.post('/:id/collaborators', verifyAdmin, async (req, res) => {
     
     await program.save();
     
+    await audit.record(req, {
+      action: 'program.collaborator_add',
+      targetType: 'program',
+      targetId: id,
+      targetTitle: program.title,
+      summary: `Added collaborator ${collaboratorEmail}`
+    });
+
     console.log(`✅ Collaborator ${collaboratorEmail} added to program ${id}`);
     
     res.json({ 
@@ -507,6 +744,14 @@ router.delete('/:id/collaborators/:email', verifyAdmin, async (req, res) => {
     
     await program.save();
     
+    await audit.record(req, {
+      action: 'program.collaborator_remove',
+      targetType: 'program',
+      targetId: id,
+      targetTitle: program.title,
+      summary: `Removed collaborator ${email}`
+    });
+
     console.log(`✅ Collaborator ${email} removed from program ${id}`);
     
     res.json({ success: true, message: 'Collaborator removed' });
@@ -0,0 +1,516 @@
+// server/routes/qa.js
+// Learner questions and answers on published topics. Learners and admins post
+// with their usual token (verifyAuth); the topic's author and collaborators
+// (Course.canEditContent) accept answers and moderate.
+const express = require('express');
+const mongoose = require('mongoose');
+const { verifyAuth } = require('../middleware/auth');
+const Course = require('../models/Course');
+const QaThread = require('../models/QaThread');
+const QaAnswer = require('../models/QaAnswer');
+const { sendEmail } = require('../utils/email');
+const audit = require('../services/audit');
+const router = express.Router();
+
+const TITLE_MAX_LENGTH = 200;
+const BODY_MAX_LENGTH = 10000;
+// Reports from this many people hide a post until a moderator looks at it
+const AUTO_HIDE_REPORTS = Number(process.env.QA_AUTO_HIDE_REPORTS) || 5;
+
+const KINDS = {
+  questions: { Model: QaThread, targetType: 'question' },
+  answers: { Model: QaAnswer, targetType: 'answer' }
+};
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+// Helper: Escape text for notification emails
+function escapeHtml(str = '') {
+  return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Helper: Trimmed text from a request body; returns { text } or { error }
+function readText(value, name, maxLength) {
+  const text = typeof value === 'string' ? value.trim() : '';
+  if (!text) return { error: `${name} is required` };
+  if (text.length > maxLength) return { error: `${name} is limited to ${maxLength} characters` };
+  return { text };
+}
+
+// Helper: Load a published topic from :projectId, answering 404 itself
+async function findPublishedCourse(req, res) {
+  const course = await Course.findOne({ projectId: req.params.projectId, status: 'published' });
+  if (!course) {
+    res.status(404).json({ error: 'Course not found' });
+    return null;
+  }
+  return course;
+}
+
+// Helper: Load a question or answer of the topic, answering 400/404 itself
+// Hidden posts, and answers of hidden questions, are only found with includeHidden (moderators).
+async function findPost(req, res, course, { includeHidden = false } = {}) {
+  const kind = Object.hasOwn(KINDS, req.params.kind) ? KINDS[req.params.kind] : null;
+  if (!kind) {
+    res.status(400).json({ error: `Unknown post type "${req.params.kind}"` });
+    return null;
+  }
+  let post = mongoose.isValidObjectId(req.params.postId)
+    ? await kind.Model.findOne({ _id: req.params.postId, projectId: course.projectId })
+    : null;
+  if (post && !includeHidden) {
+    const parentHidden = post.thread && !(await QaThread.exists({ _id: post.thread, hidden: false }));
+    if (post.hidden || parentHidden) post = null;
+  }
+  if (!post) {
+    res.status(404).json({ error: `${kind.targetType === 'question' ? 'Question' : 'Answer'} not found` });
+    return null;
+  }
+  return post;
+}
+
+// Helper: Topic author, collaborators and super admins moderate
+function isModerator(course, user) {
+  return course.canEditContent(user.email, user.adminRole);
+}
+
+// Helper: Question or answer as shown to everyone (no voter or reporter lists)
+function formatPost(post) {
+  const formatted = {
+    id: post._id,
+    body: post.body,
+    author: { name: post.authorName, isAdmin: post.authorIsAdmin },
+    upvotes: post.upvotes,
+    createdAt: post.createdAt
+  };
+  if (post.title !== undefined) {
+    Object.assign(formatted, {
+      title: post.title,
+      answerCount: post.answerCount,
+      acceptedAnswer: post.acceptedAnswer,
+      locked: post.locked,
+      lastActivityAt: post.lastActivityAt
+    });
+  } else {
+    formatted.questionId = post.thread;
+  }
+  return formatted;
+}
+
+// Helper: Moderation fields, for the moderation queue
+function formatModeration(post) {
+  return {
+    ...formatPost(post),
+    authorEmail: post.authorEmail,
+    hidden: post.hidden,
+    hiddenBy: post.hiddenBy,
+    hiddenAt: post.hiddenAt,
+    hiddenReason: post.hiddenReason,
+    reports: post.reports
+  };
+}
+
+// Helper: Email the topic author about a new question
+async function notifyAuthor(course, thread) {
+  if (thread.authorEmail === course.createdBy) return;
+
+  const link = `${process.env.CLIENT_URL}/course/${course.projectId}?question=${thread._id}`;
+  await sendEmail({
+    to: course.createdBy,
+    subject: `New question on "${course.title}"`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #646cff;">New Question</h2>
+        <p><strong>${escapeHtml(thread.authorName || 'A learner')}</strong> asked a question about:</p>
+        <h3 style="color: #333;">${escapeHtml(course.title)}</h3>
+        <p><strong>${escapeHtml(thread.title)}</strong></p>
+        <blockquote style="border-left: 4px solid #646cff; margin: 16px 0; padding: 8px 16px; color: #333;">${escapeHtml(thread.body).replace(/\n/g, '<br>')}</blockquote>
+        <a href="${link}"
+           style="display: inline-block; padding: 12px 24px; background: #646cff; color: white; text-decoration: none; border-radius: 8px; margin: 20px 0;">
+          View Question
+        </a>
+      </div>
+    `
+  });
+}
+
+// ============================================
+// QUESTION & ANSWER ROUTES
+// ============================================
+
+// GET /api/qa/:projectId/questions?sort=active|newest|votes|unanswered&page=1&limit=20
+router.get('/:projectId/questions', async (req, res) => {
+  try {
+    const course = await findPublishedCourse(req, res);
+    if (!course) return;
+
+    const sorts = {
+      active: { lastActivityAt: -1 },
+      newest: { createdAt: -1 },
+      votes: { upvotes: -1, createdAt: -1 },
+      unanswered: { createdAt: -1 }
+    };
+    const sortKey = req.query.sort || 'active';
+    if (!sorts[sortKey]) {
+      return res.status(400).json({ error: `sort must be one of: ${Object.keys(sorts).join(', ')}` });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const query = { projectId: course.projectId, hidden: false };
+    if (sortKey === 'unanswered') query.answerCount = 0;
+
+    const [threads, total] = await Promise.all([
+      QaThread.find(query).sort({ ...sorts[sortKey], _id: -1 }).skip((page - 1) * limit).limit(limit),
+      QaThread.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      questions: threads.map(formatPost),
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit)
+    });
+
+  } catch (error) {
+    console.error('Error listing questions:', error);
+    res.status(500).json({ error: 'Failed to list questions' });
+  }
+});
+
+// POST /api/qa/:projectId/questions  { title, body } => the topic author is notified by email
+router.post('/:projectId/questions', verifyAuth, async (req, res) => {
+  try {
+    const course = await findPublishedCourse(req, res);
+    if (!course) return;
+
+    const input = req.body || {};
+    const title = readText(input.title, 'Title', TITLE_MAX_LENGTH);
+    const body = readText(input.body, 'Question', BODY_MAX_LENGTH);
+    if (title.error || body.error) {
+      return res.status(400).json({ error: title.error || body.error });
+    }
+
+    const thread = await QaThread.create({
+      projectId: course.projectId,
+      title: title.text,
+      body: body.text,
+      authorEmail: req.user.email,
+      authorName: req.user.name,
+      authorIsAdmin: !!req.user.isAdmin
+    });
+
+    await notifyAuthor(course, thread);
+
+    console.log(`❓ Question asked on course ${course.projectId} by ${req.user.email}`);
+
+    res.status(201).json({ success: true, question: formatPost(thread) });
+
+  } catch (error) {
+    console.error('Error asking question:', error);
+    res.status(500).json({ error: 'Failed to post question' });
+  }
+});
+
+// GET /api/qa/:projectId/questions/:questionId => question with its answers (accepted first)
+router.get('/:projectId/questions/:questionId', async (req, res) => {
+  try {
+    const course = await findPublishedCourse(req, res);
+    if (!course) return;
+
+    const thread = mongoose.isValidObjectId(req.params.questionId)
+      ? await QaThread.findOne({ _id: req.params.questionId, projectId: course.projectId, hidden: false })
+      : null;
+    if (!thread) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+
+    const answers = await QaAnswer.find({ thread: thread._id, hidden: false }).sort({ upvotes: -1, createdAt: 1 });
+    const accepted = String(thread.acceptedAnswer);
+    answers.sort((a, b) => (String(b._id) === accepted) - (String(a._id) === accepted));
+
+    res.json({
+      success: true,
+      question: formatPost(thread),
+      answers: answers.map(a => ({ ...formatPost(a), accepted: String(a._id) === accepted }))
+    });
+
+  } catch (error) {
+    console.error('Error getting question:', error);
+    res.status(500).json({ error: 'Failed to get question' });
+  }
+});
+
+// POST /api/qa/:projectId/questions/:questionId/answers  { body }
+router.post('/:projectId/questions/:questionId/answers', verifyAuth, async (req, res) => {
+  try {
+    const course = await findPublishedCourse(req, res);
+    if (!course) return;
+
+    const thread = mongoose.isValidObjectId(req.params.questionId)
+      ? await QaThread.findOne({ _id: req.params.questionId, projectId: course.projectId, hidden: false })
+      : null;
+    if (!thread) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+    if (thread.locked) {
+      return res.status(409).json({ error: 'This question is locked' });
+    }
+
+    const body = readText((req.body || {}).body, 'Answer', BODY_MAX_LENGTH);
+    if (body.error) {
+      return res.status(400).json({ error: body.error });
+    }
+
+    const answer = await QaAnswer.create({
+      thread: thread._id,
+      projectId: course.projectId,
+      body: body.text,
+      authorEmail: req.user.email,
+      authorName: req.user.name,
+      authorIsAdmin: !!req.user.isAdmin
+    });
+    await QaThread.updateOne({ _id: thread._id }, { $inc: { answerCount: 1 }, $set: { lastActivityAt: answer.createdAt } });
+
+    res.status(201).json({ success: true, answer: formatPost(answer) });
+
+  } catch (error) {
+    console.error('Error answering question:', error);
+    res.status(500).json({ error: 'Failed to post answer' });
+  }
+});
+
+// ============================================
+// VOTING, ACCEPTANCE & MODERATION ROUTES
+// ============================================
+
+// Actions on a question or answer: who may run them and what they change.
+// run() returns the response fields, or { status, error }.
+const POST_ACTIONS = {
+  // POST /api/qa/:projectId/:kind/:postId/upvote
+  upvote: {
+    async run({ post, Model, user }) {
+      if (post.authorEmail === user.email) return { status: 400, error: 'You cannot upvote your own post' };
+      await Model.updateOne({ _id: post._id, upvotedBy: { $ne: user.email } }, {
+        $addToSet: { upvotedBy: user.email },
+        $inc: { upvotes: 1 }
+      });
+      const { upvotes } = await Model.findById(post._id).select('upvotes');
+      return { upvoted: true, upvotes };
+    }
+  },
+
+  // POST /api/qa/:projectId/:kind/:postId/unvote
+  unvote: {
+    async run({ post, Model, user }) {
+      await Model.updateOne({ _id: post._id, upvotedBy: user.email }, {
+        $pull: { upvotedBy: user.email },
+        $inc: { upvotes: -1 }
+      });
+      const { upvotes } = await Model.findById(post._id).select('upvotes');
+      return { upvoted: false, upvotes };
+    }
+  },
+
+  // POST /api/qa/:projectId/:kind/:postId/report  { reason }
+  report: {
+    async run({ post, Model, user, body }) {
+      if (post.reports.some(r => r.by === user.email)) {
+        return { status: 409, error: 'You have already reported this post' };
+      }
+      post.reports.push({ by: user.email, reason: String(body.reason || '').trim().slice(0, 500) });
+      await post.save();
+      if (!post.hidden && post.reports.length >= AUTO_HIDE_REPORTS) {
+        await hidePost(post, Model, 'system', `Hidden after ${post.reports.length} reports`);
+      }
+      console.log(`🚩 Post ${post._id} on course ${post.projectId} reported by ${user.email}`);
+      return { message: 'Thank you, the moderators will review this post' };
+    }
+  },
+
+  // POST /api/qa/:projectId/:kind/:postId/hide  { reason }
+  hide: {
+    moderator: true,
+    async run({ post, Model, user, body }) {
+      if (!await hidePost(post, Model, user.email, String(body.reason || '').trim())) {
+        return { status: 409, error: 'Post is already hidden' };
+      }
+      return { hidden: true };
+    }
+  },
+
+  // POST /api/qa/:projectId/:kind/:postId/unhide
+  unhide: {
+    moderator: true,
+    async run({ post, Model }) {
+      // Conditional, so concurrent unhides count the answer back only once
+      const { modifiedCount } = await Model.updateOne({ _id: post._id, hidden: true }, {
+        $set: {
+          hidden: false,
+          hiddenBy: null,
+          hiddenAt: null,
+          hiddenReason: '',
+          reports: [] // reviewed and kept
+        }
+      });
+      if (modifiedCount !== 1) return { status: 409, error: 'Post is not hidden' };
+      if (post.thread) await QaThread.updateOne({ _id: post.thread }, { $inc: { answerCount: 1 } });
+      return { hidden: false };
+    }
+  },
+
+  // POST /api/qa/:projectId/questions/:postId/lock
+  lock: {
+    kinds: ['questions'],
+    moderator: true,
+    async run({ post, user }) {
+      if (post.locked) return { status: 409, error: 'Question is already locked' };
+      post.locked = true;
+      post.lockedBy = user.email;
+      post.lockedAt = new Date();
+      await post.save();
+      return { locked: true };
+    }
+  },
+
+  // POST /api/qa/:projectId/questions/:postId/unlock
+  unlock: {
+    kinds: ['questions'],
+    moderator: true,
+    async run({ post }) {
+      if (!post.locked) return { status: 409, error: 'Question is not locked' };
+      post.locked = false;
+      post.lockedBy = null;
+      post.lockedAt = null;
+      await post.save();
+      return { locked: false };
+    }
+  },
+
+  // POST /api/qa/:projectId/answers/:postId/accept => replaces an earlier accepted answer
+  accept: {
+    kinds: ['answers'],
+    moderator: true,
+    async run({ post, user }) {
+      if (post.hidden) return { status: 409, error: 'Hidden answers cannot be accepted' };
+      await QaThread.updateOne({ _id: post.thread }, { $set: { acceptedAnswer: post._id, acceptedBy: user.email } });
+      return { accepted: true };
+    }
+  },
+
+  // POST /api/qa/:projectId/answers/:postId/unaccept
+  unaccept: {
+    kinds: ['answers'],
+    moderator: true,
+    async run({ post }) {
+      await QaThread.updateOne({ _id: post.thread, acceptedAnswer: post._id }, { $set: { acceptedAnswer: null, acceptedBy: null } });
+      return { accepted: false };
+    }
+  }
+};
+
+// Helper: Hide a post; a hidden answer stops counting and loses its accepted mark
+// Only the request that actually flips `hidden` adjusts the count, so
+// concurrent hides (moderators, auto-hide) never decrement it twice.
+// Returns false if the post was already hidden.
+async function hidePost(post, Model, by, reason) {
+  const { modifiedCount } = await Model.updateOne({ _id: post._id, hidden: false }, {
+    $set: { hidden: true, hiddenBy: by, hiddenAt: new Date(), hiddenReason: reason || '' }
+  });
+  if (modifiedCount !== 1) return false;
+  if (post.thread) {
+    await QaThread.updateOne({ _id: post.thread }, { $inc: { answerCount: -1 } });
+    await QaThread.updateOne({ _id: post.thread, acceptedAnswer: post._id }, { $set: { acceptedAnswer: null, acceptedBy: null } });
+  }
+  return true;
+}
+
+// GET /api/qa/:projectId/moderation?status=reported|hidden => moderation queue (topic moderators)
+router.get('/:projectId/moderation', verifyAuth, async (req, res) => {
+  try {
+    const course = await Course.findOne({ projectId: req.params.projectId });
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+    if (!isModerator(course, req.user)) {
+      return res.status(403).json({ error: 'Only the topic author and collaborators can moderate questions' });
+    }
+
+    const { status = 'reported' } = req.query;
+    const filters = {
+      reported: { 'reports.0': { $exists: true } },
+      hidden: { hidden: true }
+    };
+    if (!filters[status]) {
+      return res.status(400).json({ error: 'status must be reported or hidden' });
+    }
+
+    const query = { projectId: course.projectId, ...filters[status] };
+    const [questions, answers] = await Promise.all([
+      QaThread.find(query).sort({ createdAt: -1 }).limit(200),
+      QaAnswer.find(query).sort({ createdAt: -1 }).limit(200)
+    ]);
+
+    res.json({
+      success: true,
+      questions: questions.map(formatModeration),
+      answers: answers.map(formatModeration)
+    });
+
+  } catch (error) {
+    console.error('Error listing moderation queue:', error);
+    res.status(500).json({ error: 'Failed to list moderation queue' });
+  }
+});
+
+// POST /api/qa/:projectId/:kind/:postId/:action  (kind: questions | answers, action: see POST_ACTIONS)
+router.post('/:projectId/:kind/:postId/:action', verifyAuth, async (req, res) => {
+  try {
+    const { kind, action } = req.params;
+    const handler = Object.hasOwn(POST_ACTIONS, action) ? POST_ACTIONS[action] : null;
+    if (!handler || (handler.kinds && !handler.kinds.includes(kind))) {
+      return res.status(400).json({ error: `Unknown action "${action}" for ${kind}` });
+    }
+
+    const course = await findPublishedCourse(req, res);
+    if (!course) return;
+
+    // Learners can only act on what they can see
+    const moderator = isModerator(course, req.user);
+    const post = await findPost(req, res, course, { includeHidden: moderator });
+    if (!post) return;
+
+    if (handler.moderator && !moderator) {
+      return res.status(403).json({ error: 'Only the topic author and collaborators can do this' });
+    }
+
+    const result = await handler.run({ post, Model: KINDS[kind].Model, user: req.user, body: req.body || {} });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    if (handler.moderator) {
+      await audit.record(req, {
+        actorRole: req.user.adminRole || req.user.role,
+        action: `qa.${action}`,
+        targetType: KINDS[kind].targetType,
+        targetId: post._id,
+        targetTitle: post.title || post.body.slice(0, 100),
+        summary: `On course ${course.projectId}${req.body && req.body.reason ? `: ${req.body.reason}` : ''}`
+      });
+    }
+
+    res.json({ success: true, ...result });
+
+  } catch (error) {
+    console.error('Error applying Q&A action:', error);
+    res.status(500).json({ error: 'Failed to update post' });
+  }
+});
+
+module.exports = router;
@@ -6,6 +6,8 @@ const ActiveQuiz = require('../models/Quiz/ActiveQuiz');
 const { generateQuestionWithChatGPT } = require('../services/chatgptService');
 const { fetchContentFromURL, validateContent } = require('../utils/contentFetcher');
 const { verifyAuth } = require('../middleware/auth');
+const webhooks = require('../services/webhooks');
+const audit = require('../services/audit');
 
 // ===== ADMIN: Get list of existing questions for a course =====
 router.get('/questions/list', verifyAuth, async (req, res) => {
@@ -161,6 +163,26 @@ router.post('/questions/activate', verifyAuth, async (req, res) => {
     // Increment usage count
     await question.incrementUsage();
 
+    // The correct answer stays out of the event
+    webhooks.emit('quiz.activated', {
+      courseId,
+      activeQuizId: String(activeQuiz._id),
+      questionId: String(question._id),
+      question: question.question,
+      options: question.options,
+      replacedQuizId: existing ? String(existing._id) : null,
+      activatedAt: activeQuiz.activatedAt
+    }, req.user.email);
+
+    await audit.record(req, {
+      action: 'quiz.activate',
+      targetType: 'quiz',
+      targetId: courseId,
+      targetTitle: question.question.slice(0, 100),
+      summary: existing ? `Activated question ${question._id}, replacing ${existing.questionId}` : `Activated question ${question._id}`,
+      after: { activeQuizId: String(activeQuiz._id), questionId: String(question._id) }
+    });
+
     res.json({
       success: true,
       message: 'Question activated successfully',
@@ -191,6 +213,23 @@ router.post('/questions/close', verifyAuth, async (req, res) => {
     // Delete active quiz
     await ActiveQuiz.deleteOne({ courseId });
 
+    webhooks.emit('quiz.closed', {
+      courseId,
+      activeQuizId: String(activeQuiz._id),
+      questionId: String(activeQuiz.questionId),
+      totalSubmissions: activeQuiz.submissionCount,
+      correctSubmissions: activeQuiz.correctCount
+    }, req.user.email);
+
+    await audit.record(req, {
+      action: 'quiz.close',
+      targetType: 'quiz',
+      targetId: courseId,
+      targetTitle: activeQuiz.question.slice(0, 100),
+      summary: `Closed after ${activeQuiz.submissionCount} submission(s), ${activeQuiz.correctCount} correct`,
+      before: { activeQuizId: String(activeQuiz._id), questionId: String(activeQuiz.questionId) }
+    });
+
     res.json({
       success: true,
       message: 'Question closed successfully',
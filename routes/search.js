@@ -0,0 +1,88 @@
+// server/routes/search.js
+const express = require('express');
+const Course = require('../models/Course');
+const Admin = require('../models/Admin');
+const SearchSection = require('../models/SearchSection');
+const { buildSnippets } = require('../services/searchIndex');
+const router = express.Router();
+
+// GET /api/search?q=closures&limit=20&page=1
+// Public users search published topics; admins also see drafts and working copies
+router.get('/', async (req, res) => {
+  try {
+    const q = (req.query.q || '').trim();
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 50);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+    if (q.length < 2) {
+      return res.status(400).json({ error: 'Search query must be at least 2 characters' });
+    }
+
+    // Check Authorization header for admin token
+    let isAdmin = false;
+    const authHeader = req.headers.authorization;
+    if (authHeader) {
+      const admin = await Admin.findOne({ email: authHeader.replace('Bearer ', '') });
+      isAdmin = !!admin;
+    }
+
+    const courses = await Course.find(isAdmin ? {} : { status: 'published' })
+      .select('projectId slug title status hasUnpublishedChanges');
+    const courseMap = new Map(courses.map(c => [c.projectId, c]));
+
+    // Admins search the working copy of topics that have one, the live files otherwise
+    let sourceFilter;
+    if (isAdmin) {
+      const withDraft = courses.filter(c => c.hasUnpublishedChanges).map(c => c.projectId);
+      const withoutDraft = courses.filter(c => !c.hasUnpublishedChanges).map(c => c.projectId);
+      sourceFilter = {
+        $or: [
+          { projectId: { $in: withDraft }, source: 'draft' },
+          { projectId: { $in: withoutDraft }, source: 'live' }
+        ]
+      };
+    } else {
+      sourceFilter = { projectId: { $in: [...courseMap.keys()] }, source: 'live' };
+    }
+
+    const query = { $text: { $search: q }, ...sourceFilter };
+
+    const [total, sections] = await Promise.all([
+      SearchSection.countDocuments(query),
+      SearchSection.find(query, { score: { $meta: 'textScore' } })
+        .sort({ score: { $meta: 'textScore' }, order: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean()
+    ]);
+
+    res.json({
+      success: true,
+      query: q,
+      total,
+      page,
+      limit,
+      results: sections.map(s => {
+        const course = courseMap.get(s.projectId);
+        return {
+          proj: s.projectId,
+          slug: course ? course.slug : '',
+          title: course ? course.title : '',
+          status: isAdmin && course ? course.status : undefined,
+          file: s.file,
+          heading: s.heading,
+          anchor: s.anchor,
+          link: s.anchor ? `${s.file}#${s.anchor}` : s.file,
+          score: s.score,
+          snippets: buildSnippets(`${s.heading} ${s.text}`.trim(), q)
+        };
+      })
+    });
+
+  } catch (error) {
+    console.error('Error searching content:', error);
+    res.status(500).json({ error: 'Search failed' });
+  }
+});
+
+module.exports = router;
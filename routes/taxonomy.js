@@ -0,0 +1,232 @@
+// server/routes/taxonomy.js
+const express = require('express');
+const { verifyAdmin } = require('../middleware/auth');
+const Tag = require('../models/Tag');
+const { normalizeTag, loadTaxonomy, rewriteTags, mergeTags } = require('../services/taxonomy');
+const router = express.Router();
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+// Helper: Normalized, de-duplicated synonyms without the tag's own key
+function cleanSynonyms(synonyms, key) {
+  const list = Array.isArray(synonyms) ? synonyms : String(synonyms || '').split(',');
+  return [...new Set(list.map(normalizeTag).filter(Boolean))].filter(s => s !== key);
+}
+
+// Helper: Spellings already taken by another tag
+function findConflicts(taxonomy, terms, ownKey = null) {
+  return terms.filter(term => {
+    const tag = taxonomy.byTerm.get(term);
+    return tag && tag.key !== ownKey;
+  });
+}
+
+// Helper: Nested tree of tags for the admin UI
+function buildTree(taxonomy) {
+  const toNode = (tag) => ({
+    name: tag.name,
+    key: tag.key,
+    synonyms: tag.synonyms,
+    description: tag.description,
+    children: (taxonomy.children.get(tag.key) || []).map(k => toNode(taxonomy.byKey.get(k)))
+  });
+  return taxonomy.tags
+    .filter(t => !t.parent || !taxonomy.byKey.has(t.parent))
+    .map(toNode);
+}
+
+// ============================================
+// TAXONOMY ROUTES
+// ============================================
+
+// GET /api/taxonomy => all tags, flat and as a tree
+router.get('/', async (req, res) => {
+  try {
+    const taxonomy = await loadTaxonomy();
+
+    res.json({
+      success: true,
+      tags: taxonomy.tags.map(t => ({
+        name: t.name,
+        key: t.key,
+        synonyms: t.synonyms,
+        parent: t.parent,
+        description: t.description
+      })),
+      tree: buildTree(taxonomy)
+    });
+
+  } catch (error) {
+    console.error('Error fetching taxonomy:', error);
+    res.status(500).json({ error: 'Failed to fetch taxonomy' });
+  }
+});
+
+// POST /api/taxonomy => create a canonical tag { name, synonyms, parent, description }
+router.post('/', verifyAdmin, async (req, res) => {
+  try {
+    const { name, synonyms, parent, description } = req.body;
+    const key = normalizeTag(name);
+
+    if (!key) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+
+    const taxonomy = await loadTaxonomy();
+    const cleaned = cleanSynonyms(synonyms, key);
+
+    const conflicts = findConflicts(taxonomy, [key, ...cleaned]);
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        error: 'Some spellings already belong to another tag',
+        conflicts: conflicts.map(c => ({ term: c, tag: taxonomy.byTerm.get(c).name }))
+      });
+    }
+
+    const parentKey = parent ? normalizeTag(parent) : null;
+    if (parentKey && !taxonomy.byKey.has(parentKey)) {
+      return res.status(400).json({ error: `Parent tag "${parent}" not found` });
+    }
+
+    const tag = await Tag.create({
+      name: String(name).trim().replace(/\s+/g, ' '),
+      key,
+      synonyms: cleaned,
+      parent: parentKey,
+      description: description || '',
+      createdBy: req.admin.email,
+      lastModifiedBy: req.admin.email
+    });
+
+    // Existing documents adopt the canonical spelling
+    const rewritten = await rewriteTags([key, ...cleaned], tag.name);
+
+    console.log(`🏷️ Tag created: ${tag.name} by ${req.admin.email}`);
+
+    res.json({ success: true, tag, rewritten });
+
+  } catch (error) {
+    console.error('Error creating tag:', error);
+    res.status(500).json({ error: 'Failed to create tag: ' + error.message });
+  }
+});
+
+// POST /api/taxonomy/merge => { from: ["JS", "Javascript"], into: "javascript" }
+router.post('/merge', verifyAdmin, async (req, res) => {
+  try {
+    const { from, into } = req.body;
+
+    if (!Array.isArray(from) || from.length === 0 || !into) {
+      return res.status(400).json({ error: 'from (array) and into are required' });
+    }
+
+    const result = await mergeTags(from, into, req.admin.email);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ success: true, ...result });
+
+  } catch (error) {
+    console.error('Error merging tags:', error);
+    res.status(500).json({ error: 'Failed to merge tags: ' + error.message });
+  }
+});
+
+// PUT /api/taxonomy/:key => rename, change synonyms, parent or description
+router.put('/:key', verifyAdmin, async (req, res) => {
+  try {
+    const taxonomy = await loadTaxonomy();
+    const tag = taxonomy.byKey.get(normalizeTag(req.params.key));
+
+    if (!tag) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    const { name, synonyms, parent, description } = req.body;
+    const newName = name !== undefined ? String(name).trim().replace(/\s+/g, ' ') : tag.name;
+    const newKey = normalizeTag(newName);
+
+    if (!newKey) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+
+    // The old key stays reachable as a synonym after a rename
+    let newSynonyms = synonyms !== undefined ? cleanSynonyms(synonyms, newKey) : tag.synonyms;
+    if (newKey !== tag.key) newSynonyms = cleanSynonyms([...newSynonyms, tag.key], newKey);
+
+    const conflicts = findConflicts(taxonomy, [newKey, ...newSynonyms], tag.key);
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        error: 'Some spellings already belong to another tag',
+        conflicts: conflicts.map(c => ({ term: c, tag: taxonomy.byTerm.get(c).name }))
+      });
+    }
+
+    let parentKey = tag.parent;
+    if (parent !== undefined) {
+      parentKey = parent ? normalizeTag(parent) : null;
+      if (parentKey && !taxonomy.byKey.has(parentKey)) {
+        return res.status(400).json({ error: `Parent tag "${parent}" not found` });
+      }
+      // Walk up from the new parent; reaching this tag would create a cycle
+      for (let p = parentKey; p; p = taxonomy.byKey.get(p).parent) {
+        if (p === tag.key) {
+          return res.status(400).json({ error: 'A tag cannot be placed under itself or its narrower terms' });
+        }
+      }
+    }
+
+    await Tag.updateOne({ key: tag.key }, {
+      $set: {
+        name: newName,
+        key: newKey,
+        synonyms: newSynonyms,
+        parent: parentKey,
+        description: description !== undefined ? description : tag.description,
+        lastModifiedBy: req.admin.email,
+        lastModifiedAt: new Date()
+      }
+    });
+    if (newKey !== tag.key) {
+      await Tag.updateMany({ parent: tag.key }, { $set: { parent: newKey } });
+    }
+
+    const rewritten = await rewriteTags([newKey, ...newSynonyms], newName);
+
+    console.log(`🏷️ Tag updated: ${newName} by ${req.admin.email}`);
+
+    res.json({ success: true, tag: await Tag.findOne({ key: newKey }), rewritten });
+
+  } catch (error) {
+    console.error('Error updating tag:', error);
+    res.status(500).json({ error: 'Failed to update tag: ' + error.message });
+  }
+});
+
+// DELETE /api/taxonomy/:key => stop managing a tag (documents keep the text)
+router.delete('/:key', verifyAdmin, async (req, res) => {
+  try {
+    const tag = await Tag.findOne({ key: normalizeTag(req.params.key) });
+
+    if (!tag) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    // Narrower terms move up one level
+    await Tag.updateMany({ parent: tag.key }, { $set: { parent: tag.parent } });
+    await Tag.deleteOne({ key: tag.key });
+
+    console.log(`🗑️ Tag deleted: ${tag.name} by ${req.admin.email}`);
+
+    res.json({ success: true, message: 'Tag deleted' });
+
+  } catch (error) {
+    console.error('Error deleting tag:', error);
+    res.status(500).json({ error: 'Failed to delete tag' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,145 @@
+// server/routes/trash.js
+const express = require('express');
+const { verifyAdmin } = require('../middleware/auth');
+const TrashItem = require('../models/TrashItem');
+const { restoreFromTrash, purgeTrashItem } = require('../services/trash');
+const audit = require('../services/audit');
+const { updateIndexJson } = require('../services/courseContent');
+const router = express.Router();
+
+const TYPES = ['course', 'program', 'module'];
+
+// ============================================
+// TRASH ROUTES
+// ============================================
+
+// Helper: Load a trash item from :type/:id, answering 400/404 itself
+async function findTrashItem(req, res) {
+  const { type, id } = req.params;
+  if (!TYPES.includes(type)) {
+    res.status(400).json({ error: `Unknown type "${type}"` });
+    return null;
+  }
+  const item = await TrashItem.findOne({ type, itemId: id });
+  if (!item) {
+    res.status(404).json({ error: 'Item not found in trash' });
+    return null;
+  }
+  return item;
+}
+
+// GET /api/trash?type=course|program|module
+// Super admins see everything, other admins what they deleted or created
+router.get('/', verifyAdmin, async (req, res) => {
+  try {
+    const { type } = req.query;
+    const query = {};
+
+    if (type) {
+      if (!TYPES.includes(type)) {
+        return res.status(400).json({ error: `Unknown type "${type}"` });
+      }
+      query.type = type;
+    }
+    if (req.admin.role !== 'super_admin') {
+      query.$or = [{ deletedBy: req.admin.email }, { 'data.createdBy': req.admin.email }];
+    }
+
+    const items = await TrashItem.find(query)
+      .select('type itemId title data.createdBy data.programId deletedBy deletedAt purgeAfter')
+      .sort({ deletedAt: -1 });
+
+    res.json({
+      success: true,
+      items: items.map(i => ({
+        type: i.type,
+        id: i.itemId,
+        title: i.title,
+        createdBy: i.data.createdBy,
+        programId: i.type === 'module' ? i.data.programId : undefined,
+        deletedBy: i.deletedBy,
+        deletedAt: i.deletedAt,
+        purgeAfter: i.purgeAfter
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error listing trash:', error);
+    res.status(500).json({ error: 'Failed to list trash' });
+  }
+});
+
+// POST /api/trash/:type/:id/restore
+router.post('/:type/:id/restore', verifyAdmin, async (req, res) => {
+  try {
+    const item = await findTrashItem(req, res);
+    if (!item) return;
+
+    if (!item.canRestore(req.admin.email, req.admin.role)) {
+      return res.status(403).json({
+        error: 'You do not have permission to restore this item',
+        message: 'Only the person who deleted it, its creator or super admins can restore it'
+      });
+    }
+
+    await restoreFromTrash(item);
+
+    if (item.type === 'course') {
+      await updateIndexJson();
+    }
+
+    await audit.record(req, {
+      action: `${item.type}.restore`,
+      targetType: item.type,
+      targetId: item.itemId,
+      targetTitle: item.title,
+      summary: `Restored from trash (deleted by ${item.deletedBy})`
+    });
+
+    console.log(`♻️ ${item.type} ${item.itemId} restored by ${req.admin.email}`);
+
+    res.json({ success: true, message: 'Restored successfully', type: item.type, id: item.itemId });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error restoring from trash:', error);
+    res.status(500).json({ error: 'Failed to restore: ' + error.message });
+  }
+});
+
+// DELETE /api/trash/:type/:id => purge for good and free the ID
+router.delete('/:type/:id', verifyAdmin, async (req, res) => {
+  try {
+    const item = await findTrashItem(req, res);
+    if (!item) return;
+
+    if (!item.canPurge(req.admin.email, req.admin.role)) {
+      return res.status(403).json({
+        error: 'You do not have permission to purge this item',
+        message: 'Only its creator or super admins can purge it'
+      });
+    }
+
+    await purgeTrashItem(item);
+
+    await audit.record(req, {
+      action: `${item.type}.purge`,
+      targetType: item.type,
+      targetId: item.itemId,
+      targetTitle: item.title,
+      summary: 'Deleted permanently from trash'
+    });
+
+    console.log(`🔥 ${item.type} ${item.itemId} purged by ${req.admin.email}`);
+
+    res.json({ success: true, message: 'Deleted permanently' });
+
+  } catch (error) {
+    console.error('Error purging from trash:', error);
+    res.status(500).json({ error: 'Failed to purge: ' + error.message });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const User = require('../models/User');
 const { generateTokenPair, verifyAccessToken } = require('../utils/token');
 const { sendEmail } = require('../utils/email');
+const audit = require('../services/audit');
 
 const router = express.Router();
 
@@ -92,7 +93,21 @@ router.post('/login', async (req, res) => {
     }
 
     // Find user and verify password
-    const user = await User.findByCredentials(email, password);
+    let user;
+    try {
+      user = await User.findByCredentials(email, password);
+    } catch (error) {
+      await audit.record(req, {
+        actor: String(email),
+        actorRole: 'user',
+        action: 'auth.user_login',
+        targetType: 'user',
+        targetTitle: String(email),
+        status: 'failure',
+        summary: error.message
+      });
+      throw error;
+    }
 
     // Update last login
     user.lastLogin = new Date();
@@ -101,6 +116,16 @@ router.post('/login', async (req, res) => {
     // Generate tokens
     const tokens = generateTokenPair(user);
 
+    await audit.record(req, {
+      actor: user.email,
+      actorRole: 'user',
+      action: 'auth.user_login',
+      targetType: 'user',
+      targetId: user._id,
+      targetTitle: user.email,
+      summary: 'Logged in with password'
+    });
+
     console.log(`✅ User logged in: ${user.email}`);
 
     res.json({
@@ -0,0 +1,365 @@
+// server/routes/webhooks.js
+const express = require('express');
+const mongoose = require('mongoose');
+const { verifyAdmin } = require('../middleware/auth');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { EVENTS, generateSecret, checkTarget, ping, redeliver } = require('../services/webhooks');
+const router = express.Router();
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+// Helper: Webhooks receive every topic and program event and call out to
+// arbitrary hosts, so only super admins manage them; answers 403 itself
+function checkAccess(req, res) {
+  if (req.admin.role !== 'super_admin') {
+    res.status(403).json({ error: 'Only super admins can manage webhooks' });
+    return false;
+  }
+  return true;
+}
+
+// Helper: Check url and events from a request body; returns an error message or null
+async function validateSubscription({ url, events }) {
+  if (url !== undefined) {
+    const refused = await checkTarget(url);
+    if (refused) return refused;
+  }
+  if (events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0) {
+      return 'events must be a non-empty array';
+    }
+    const unknown = events.filter(e => e !== '*' && !EVENTS.includes(e));
+    if (unknown.length > 0) {
+      return `Unknown event(s): ${unknown.join(', ')}`;
+    }
+  }
+  return null;
+}
+
+// Helper: Load a subscription from :id, answering 400/403/404 itself
+async function findWebhook(req, res, { withSecret = false } = {}) {
+  if (!checkAccess(req, res)) return null;
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ error: 'Invalid webhook ID' });
+    return null;
+  }
+  const webhook = await Webhook.findById(req.params.id).select(withSecret ? '+secret' : '');
+  if (!webhook) {
+    res.status(404).json({ error: 'Webhook not found' });
+    return null;
+  }
+  return webhook;
+}
+
+// Helper: Subscription as returned by the API (never the secret)
+function formatWebhook(webhook) {
+  return {
+    id: webhook._id,
+    url: webhook.url,
+    events: webhook.events,
+    description: webhook.description,
+    active: webhook.active,
+    lastDeliveryAt: webhook.lastDeliveryAt,
+    lastDeliveryStatus: webhook.lastDeliveryStatus,
+    consecutiveFailures: webhook.consecutiveFailures,
+    createdBy: webhook.createdBy,
+    createdAt: webhook.createdAt,
+    lastModifiedBy: webhook.lastModifiedBy,
+    lastModifiedAt: webhook.lastModifiedAt
+  };
+}
+
+// Helper: One attempt of a delivery (status code only, never the receiver's response)
+function formatAttempt(attempt) {
+  return {
+    at: attempt.at,
+    responseStatus: attempt.responseStatus,
+    error: attempt.error,
+    durationMs: attempt.durationMs
+  };
+}
+
+// Helper: Delivery log entry; the payload only with details
+function formatDelivery(delivery, { details = false } = {}) {
+  const last = delivery.attempts[delivery.attempts.length - 1];
+  return {
+    id: delivery._id,
+    webhookId: delivery.webhook,
+    event: delivery.event,
+    status: delivery.status,
+    attemptCount: delivery.attempts.length,
+    lastResponseStatus: last ? last.responseStatus : null,
+    lastError: last ? last.error : null,
+    nextAttemptAt: delivery.nextAttemptAt,
+    deliveredAt: delivery.deliveredAt,
+    redeliveryOf: delivery.redeliveryOf,
+    requestedBy: delivery.requestedBy,
+    createdAt: delivery.createdAt,
+    ...(details ? { payload: delivery.payload, attempts: delivery.attempts.map(formatAttempt) } : {})
+  };
+}
+
+// ============================================
+// WEBHOOK SUBSCRIPTION ROUTES
+// ============================================
+
+// GET /api/webhooks/events => event names that can be subscribed to
+router.get('/events', verifyAdmin, (req, res) => {
+  if (!checkAccess(req, res)) return;
+  res.json({ success: true, events: EVENTS });
+});
+
+// GET /api/webhooks
+router.get('/', verifyAdmin, async (req, res) => {
+  try {
+    if (!checkAccess(req, res)) return;
+
+    const webhooks = await Webhook.find({}).sort({ createdAt: -1 });
+
+    res.json({ success: true, webhooks: webhooks.map(formatWebhook) });
+
+  } catch (error) {
+    console.error('Error listing webhooks:', error);
+    res.status(500).json({ error: 'Failed to list webhooks' });
+  }
+});
+
+// POST /api/webhooks  { url, events, description, secret? }
+// The secret is only returned here (and by rotate-secret); receivers verify X-Elib-Signature with it
+router.post('/', verifyAdmin, async (req, res) => {
+  try {
+    if (!checkAccess(req, res)) return;
+
+    const { url, events, description, secret } = req.body || {};
+
+    if (!url || !events) {
+      return res.status(400).json({ error: 'url and events are required' });
+    }
+    const invalid = await validateSubscription({ url, events });
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    if (secret !== undefined && String(secret).length < 16) {
+      return res.status(400).json({ error: 'secret must be at least 16 characters' });
+    }
+
+    const webhook = await Webhook.create({
+      url: String(url).trim(),
+      events: [...new Set(events)],
+      secret: secret ? String(secret) : generateSecret(),
+      description: description || '',
+      createdBy: req.admin.email,
+      lastModifiedBy: req.admin.email
+    });
+
+    console.log(`🪝 Webhook created: ${webhook.url} (${webhook.events.join(', ')}) by ${req.admin.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created',
+      webhook: formatWebhook(webhook),
+      secret: webhook.secret
+    });
+
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    res.status(500).json({ error: 'Failed to create webhook: ' + error.message });
+  }
+});
+
+// GET /api/webhooks/:id
+router.get('/:id', verifyAdmin, async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    res.json({ success: true, webhook: formatWebhook(webhook) });
+
+  } catch (error) {
+    console.error('Error getting webhook:', error);
+    res.status(500).json({ error: 'Failed to get webhook' });
+  }
+});
+
+// PUT /api/webhooks/:id  { url, events, description, active }
+router.put('/:id', verifyAdmin, async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    const { url, events, description, active } = req.body || {};
+    const invalid = await validateSubscription({ url, events });
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    if (url !== undefined) webhook.url = String(url).trim();
+    if (events !== undefined) webhook.events = [...new Set(events)];
+    if (description !== undefined) webhook.description = description;
+    if (active !== undefined) {
+      webhook.active = !!active;
+      if (webhook.active) webhook.consecutiveFailures = 0;
+    }
+    webhook.lastModifiedBy = req.admin.email;
+    webhook.lastModifiedAt = new Date();
+
+    await webhook.save();
+
+    console.log(`🪝 Webhook updated: ${webhook._id} by ${req.admin.email}`);
+
+    res.json({ success: true, message: 'Webhook updated', webhook: formatWebhook(webhook) });
+
+  } catch (error) {
+    console.error('Error updating webhook:', error);
+    res.status(500).json({ error: 'Failed to update webhook: ' + error.message });
+  }
+});
+
+// DELETE /api/webhooks/:id => removes the subscription and its delivery log
+router.delete('/:id', verifyAdmin, async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    await WebhookDelivery.deleteMany({ webhook: webhook._id });
+    await webhook.deleteOne();
+
+    console.log(`🗑️ Webhook deleted: ${webhook.url} by ${req.admin.email}`);
+
+    res.json({ success: true, message: 'Webhook deleted' });
+
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+});
+
+// POST /api/webhooks/:id/rotate-secret => new signing secret, returned once
+router.post('/:id/rotate-secret', verifyAdmin, async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res, { withSecret: true });
+    if (!webhook) return;
+
+    webhook.secret = generateSecret();
+    webhook.lastModifiedBy = req.admin.email;
+    webhook.lastModifiedAt = new Date();
+    await webhook.save();
+
+    console.log(`🔑 Webhook secret rotated: ${webhook._id} by ${req.admin.email}`);
+
+    res.json({ success: true, message: 'Secret rotated', secret: webhook.secret });
+
+  } catch (error) {
+    console.error('Error rotating webhook secret:', error);
+    res.status(500).json({ error: 'Failed to rotate secret' });
+  }
+});
+
+// POST /api/webhooks/:id/ping => send a "ping" event and report the status code
+router.post('/:id/ping', verifyAdmin, async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    const delivery = await ping(webhook, req.admin.email);
+
+    res.json({ success: true, delivery: formatDelivery(delivery, { details: true }) });
+
+  } catch (error) {
+    console.error('Error pinging webhook:', error);
+    res.status(500).json({ error: 'Failed to ping webhook' });
+  }
+});
+
+// ============================================
+// DELIVERY LOG ROUTES
+// ============================================
+
+// GET /api/webhooks/:id/deliveries?status=failed&event=course.published&page=1&limit=20
+router.get('/:id/deliveries', verifyAdmin, async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    const { status, event } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const query = { webhook: webhook._id };
+    if (status) query.status = status;
+    if (event) query.event = event;
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(query).select('-payload').sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit).limit(limit),
+      WebhookDelivery.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      deliveries: deliveries.map(d => formatDelivery(d)),
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit)
+    });
+
+  } catch (error) {
+    console.error('Error listing webhook deliveries:', error);
+    res.status(500).json({ error: 'Failed to list deliveries' });
+  }
+});
+
+// GET /api/webhooks/:id/deliveries/:deliveryId => payload and every attempt
+router.get('/:id/deliveries/:deliveryId', verifyAdmin, async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    const delivery = mongoose.isValidObjectId(req.params.deliveryId)
+      ? await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhook: webhook._id })
+      : null;
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    res.json({ success: true, delivery: formatDelivery(delivery, { details: true }) });
+
+  } catch (error) {
+    console.error('Error getting webhook delivery:', error);
+    res.status(500).json({ error: 'Failed to get delivery' });
+  }
+});
+
+// POST /api/webhooks/:id/deliveries/:deliveryId/redeliver => send the same payload again
+router.post('/:id/deliveries/:deliveryId/redeliver', verifyAdmin, async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    const original = mongoose.isValidObjectId(req.params.deliveryId)
+      ? await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhook: webhook._id })
+      : null;
+    if (!original) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    if (!webhook.active) {
+      return res.status(409).json({ error: 'Enable the webhook before redelivering' });
+    }
+
+    const delivery = await redeliver(original, req.admin.email);
+
+    console.log(`🔁 Webhook delivery ${original._id} redelivered as ${delivery._id} by ${req.admin.email}`);
+
+    res.json({ success: true, delivery: formatDelivery(delivery, { details: true }) });
+
+  } catch (error) {
+    console.error('Error redelivering webhook:', error);
+    res.status(500).json({ error: 'Failed to redeliver' });
+  }
+});
+
+module.exports = router;
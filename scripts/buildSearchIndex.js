@@ -0,0 +1,58 @@
+// server/scripts/buildSearchIndex.js
+// Rebuilds the search index (search_sections) from the topic files in storage
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const { indexCourse } = require('../services/searchIndex');
+const storage = require('../services/storage');
+
+async function readPages(area, projectId, pages) {
+  const result = [];
+  for (const page of pages) {
+    try {
+      result.push({ file: page.file, content: await area.readText(`${projectId}/${page.file}`) });
+    } catch (err) {
+      // Page missing in storage, skip it
+    }
+  }
+  return result;
+}
+
+async function buildSearchIndex() {
+  try {
+    console.log('🔄 Rebuilding search index...');
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const courses = await Course.find({});
+    let indexed = 0;
+    let drafts = 0;
+
+    for (const course of courses) {
+      const pages = course.getPages();
+
+      const livePages = await readPages(storage.docs, course.projectId, pages);
+      await indexCourse(course.projectId, 'live', livePages);
+      indexed++;
+
+      const draftPages = await readPages(storage.drafts, course.projectId, pages);
+      if (draftPages.length > 0) {
+        await indexCourse(course.projectId, 'draft', draftPages);
+        drafts++;
+      }
+
+      console.log(`✅ Indexed: ${course.projectId} (${course.title})`);
+    }
+
+    console.log(`\n📊 Summary:`);
+    console.log(`   Topics indexed:  ${indexed}`);
+    console.log(`   Working copies:  ${drafts}`);
+    console.log('\n✅ Search index rebuilt!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Rebuilding search index failed:', error);
+    process.exit(1);
+  }
+}
+
+buildSearchIndex();
@@ -0,0 +1,46 @@
+// server/scripts/reconcileCourses.js
+// Reports drift between the topic files in storage and the courses collection.
+// Pass --repair to fix it (orphan folders are adopted as draft topics, missing
+// files restored, index.json rewritten) and --json for the raw report.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { reconcile } = require('../services/reconciler');
+
+async function run() {
+  try {
+    const repair = process.argv.includes('--repair');
+    console.log(`🔄 Reconciling topic files${repair ? ' (repair)' : ''}...`);
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const report = await reconcile({ repair, actor: 'reconcile-script' });
+
+    if (process.argv.includes('--json')) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      for (const folder of report.orphanFolders) {
+        const state = folder.repaired ? `adopted as "${folder.title}"` : folder.inTrash ? 'topic is in the trash' : folder.error || 'no course';
+        console.log(`📁 ${folder.projectId}: ${folder.files} file(s), ${state}`);
+      }
+      for (const entry of report.missingFiles) {
+        console.log(`📄 ${entry.projectId} (${entry.title}): missing ${entry.files.join(', ')}${entry.repaired ? ' - restored' : entry.error ? ` - ${entry.error}` : ''}`);
+      }
+
+      console.log(`\n📊 Summary:`);
+      console.log(`   Topics:          ${report.courses}`);
+      console.log(`   Folders:         ${report.folders}`);
+      console.log(`   Orphan folders:  ${report.orphanFolders.length}`);
+      console.log(`   Missing files:   ${report.missingFiles.length}`);
+      console.log(`   index.json:      ${report.indexJson.upToDate ? 'up to date' : report.indexJson.repaired ? 'rewritten' : 'stale'}`);
+      console.log(`   In sync:         ${report.synced}/${report.synced + report.outOfSync}`);
+    }
+
+    console.log('\n✅ Reconciliation complete!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Reconciliation failed:', error);
+    process.exit(1);
+  }
+}
+
+run();
@@ -9,6 +9,13 @@ const userAuthRoutes = require('./routes/userAuth');
 const programsRouter = require('./routes/programs');
 const modulesRouter = require('./routes/modules');
 const quizRouter = require('./routes/quiz');
+const searchRouter = require('./routes/search');
+const trashRouter = require('./routes/trash');
+const taxonomyRouter = require('./routes/taxonomy');
+const contentRepoRouter = require('./routes/contentRepo');
+const webhooksRouter = require('./routes/webhooks');
+const auditRouter = require('./routes/audit');
+const qaRouter = require('./routes/qa');
 
 const app = express();
 
@@ -25,10 +32,11 @@ app.use(cors({
 
 app.use(express.json());
 
-// Serve uploaded docs as static files
-const docsPath = path.join(__dirname, '../client/public/docs');
+// Serve topic files from the configured storage backend (services/storage)
+const storage = require('./services/storage');
+const docsPath = storage.docs.location;
 console.log("STATIC DOCS PATH:", docsPath);
-app.use('/docs', express.static(docsPath));
+app.use('/docs', storage.docs.serve());
 
 const uploadsPath = path.join(__dirname, '../uploads');
 app.use('/uploads', express.static(uploadsPath));
@@ -37,10 +45,27 @@ app.use('/uploads', express.static(uploadsPath));
 mongoose.connect(process.env.MONGODB_URI)
   .then(() => {
     console.log('✅ MongoDB Connected');
+
+    // Create the bucket on a fresh S3/MinIO backend
+    storage.init()
+      .catch(err => console.error('❌ Storage initialization error:', err));
+
     // Create first super admin if none exists
     initializeSuperAdmin();
     
     // ✅ CLEANUP SERVICE REMOVED - No auto-expiry in new system
+
+    // Scheduled publish / unpublish of topics and programs
+    require('./services/publishScheduler').start();
+
+    // Purge trashed topics, programs and modules after the retention period
+    require('./services/trash').start();
+
+    // Send queued webhook deliveries and retry failed ones
+    require('./services/webhooks').start();
+
+    // Drop audit entries older than the retention period
+    require('./services/audit').start();
   })
   .catch(err => {
     console.error('❌ MongoDB connection error:', err);
@@ -71,6 +96,13 @@ app.use('/api/user-auth', userAuthRoutes);
 app.use('/api/programs', programsRouter);
 app.use('/api/modules', modulesRouter);
 app.use('/api/quiz', quizRouter);
+app.use('/api/search', searchRouter);
+app.use('/api/trash', trashRouter);
+app.use('/api/taxonomy', taxonomyRouter);
+app.use('/api/content-repo', contentRepoRouter);
+app.use('/api/webhooks', webhooksRouter);
+app.use('/api/audit', auditRouter);
+app.use('/api/qa', qaRouter);
 
 app.get('/', (req, res) => {
   res.send("Welcome to E-Lib API Service");
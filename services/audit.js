@@ -0,0 +1,117 @@
+// server/services/audit.js
+// Persistent audit log of administrative actions (content edits, publishes,
+// deletions, collaborator and admin changes, logins, quiz activations).
+// Route handlers call record() after the action; entries older than
+// AUDIT_RETENTION_DAYS (default 365) are purged in the background.
+const AuditLog = require('../models/AuditLog');
+
+const RETENTION_DAYS = Number(process.env.AUDIT_RETENTION_DAYS) || 365;
+const PURGE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+let timer = null;
+
+/**
+ * Selected fields of a document as a plain object
+ * @param {Object} doc
+ * @param {Array<string>} fields
+ * @returns {Object}
+ */
+function pick(doc, fields) {
+  const values = {};
+  for (const field of fields) {
+    const value = doc[field];
+    values[field] = value && typeof value.toObject === 'function' ? value.toObject() : value;
+  }
+  return values;
+}
+
+/**
+ * Only the fields that differ between two snapshots
+ * @param {Object} before - result of pick
+ * @param {Object} after - result of pick
+ * @returns {Object} { before, after }
+ */
+function changes(before, after) {
+  const diff = { before: {}, after: {} };
+  for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+      diff.before[key] = before[key];
+      diff.after[key] = after[key];
+    }
+  }
+  return diff;
+}
+
+/**
+ * Write an audit entry
+ * Never throws: a logging problem must not fail the request that was audited.
+ * @param {Object} req - the request; supplies actor (req.admin / req.user), IP and user agent
+ * @param {Object} entry - { action, targetType, targetId, targetTitle, summary, before, after,
+ *   status, actor, actorRole } (actor/actorRole override the request's, e.g. for logins)
+ * @returns {Promise<Document|null>}
+ */
+async function record(req, entry) {
+  try {
+    const who = req.admin || req.user || {};
+    return await AuditLog.create({
+      actor: entry.actor || who.email || 'anonymous',
+      actorRole: entry.actorRole || who.role || (req.user ? 'user' : null),
+      action: entry.action,
+      targetType: entry.targetType,
+      targetId: entry.targetId != null ? String(entry.targetId) : null,
+      targetTitle: entry.targetTitle || '',
+      status: entry.status || 'success',
+      summary: entry.summary || '',
+      before: entry.before || null,
+      after: entry.after || null,
+      ip: req.ip || null,
+      userAgent: req.get ? req.get('user-agent') || null : null
+    });
+  } catch (error) {
+    console.error(`Error writing audit entry ${entry.action}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Delete entries older than the retention period
+ * @returns {Promise<number>} number of entries deleted
+ */
+async function purgeExpired() {
+  const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const { deletedCount } = await AuditLog.deleteMany({ createdAt: { $lt: cutoff } });
+  if (deletedCount > 0) {
+    console.log(`🧾 ${deletedCount} audit entr${deletedCount === 1 ? 'y' : 'ies'} older than ${RETENTION_DAYS} days purged`);
+  }
+  return deletedCount;
+}
+
+/**
+ * Start purging expired entries in the background
+ * @param {number} intervalMs - defaults to once a day
+ */
+function start(intervalMs = PURGE_INTERVAL_MS) {
+  if (timer) return;
+  const tick = () => purgeExpired()
+    .catch(error => console.error('Error purging audit log:', error));
+
+  timer = setInterval(tick, intervalMs);
+  timer.unref();
+  tick();
+  console.log(`🧾 Audit log retention started (${RETENTION_DAYS} days)`);
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  RETENTION_DAYS,
+  pick,
+  changes,
+  record,
+  purgeExpired,
+  start,
+  stop
+};
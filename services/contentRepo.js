@@ -0,0 +1,368 @@
+// server/services/contentRepo.js
+// Optional git repository mirroring the topic pages, one folder per topic
+// (<projectId>/<page>.md). Every save through the API becomes a commit authored
+// by the admin; the repo can be pushed to a remote so authors can edit in their
+// own tools, and their pushes pulled back in (routes/contentRepo.js).
+//
+// CONTENT_GIT_ENABLED=true turns it on. CONTENT_GIT_DIR (default ./content-repo),
+// CONTENT_GIT_REMOTE (URL or path of e.g. a local bare repo) and
+// CONTENT_GIT_BRANCH (default main) configure it.
+const path = require('path');
+const fs = require('fs').promises;
+const { execFile } = require('child_process');
+
+const ENABLED = process.env.CONTENT_GIT_ENABLED === 'true';
+const REPO_DIR = path.resolve(process.env.CONTENT_GIT_DIR || path.join(process.cwd(), 'content-repo'));
+const REMOTE = process.env.CONTENT_GIT_REMOTE || null;
+const BRANCH = process.env.CONTENT_GIT_BRANCH || 'main';
+
+// Commits made by the server itself (no admin behind them)
+const SYSTEM_AUTHOR = 'elib-server@localhost';
+
+// Topics whose pulled changes have not been applied yet (see pull)
+const PENDING_REFS = 'refs/content-sync/pending';
+
+let queue = Promise.resolve();
+let ready = null;
+
+// Helper: Error with an HTTP status for the routes to pass on
+function repoError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Helper: Run git in the repository
+function git(args, { allowFailure = false } = {}) {
+  return new Promise((resolve, reject) => {
+    execFile('git', args, { cwd: REPO_DIR, maxBuffer: 20 * 1024 * 1024 }, (err, stdout, stderr) => {
+      if (err && !allowFailure) {
+        err.message = `git ${args[0]} failed: ${(stderr || err.message).trim()}`;
+        return reject(err);
+      }
+      resolve({ ok: !err, stdout, stderr });
+    });
+  });
+}
+
+// Helper: One git operation at a time, so commits never fight over the index
+function serialize(fn) {
+  const run = queue.then(fn, fn);
+  queue = run.catch(() => {});
+  return run;
+}
+
+// Helper: Repo-relative path of a topic file, refusing anything outside the topic
+function topicPath(projectId, file) {
+  const rel = path.posix.join(projectId, file);
+  if (!rel.startsWith(`${projectId}/`) || rel.includes('..')) {
+    throw repoError(400, `Invalid file name: ${file}`);
+  }
+  return rel;
+}
+
+// Helper: Commit reference from the query string (hash, branch, HEAD~2, ...)
+function checkRev(rev) {
+  if (!/^[\w./~^-]+$/.test(rev) || rev.startsWith('-')) {
+    throw repoError(400, `Invalid revision: ${rev}`);
+  }
+  return rev;
+}
+
+// Helper: "--author" value for an admin email
+function authorOf(email) {
+  const address = email || SYSTEM_AUTHOR;
+  return `${address} <${address}>`;
+}
+
+/**
+ * Whether content is mirrored to git
+ * @returns {boolean}
+ */
+function isEnabled() {
+  return ENABLED;
+}
+
+/**
+ * Create the repository (and the remote link) on first use
+ */
+function init() {
+  if (!ready) {
+    ready = (async () => {
+      await fs.mkdir(REPO_DIR, { recursive: true });
+      const isRepo = await fs.access(path.join(REPO_DIR, '.git')).then(() => true).catch(() => false);
+      if (!isRepo) {
+        await git(['init', '-b', BRANCH]);
+        await git(['config', 'user.name', 'E-Lib']);
+        await git(['config', 'user.email', SYSTEM_AUTHOR]);
+        await git(['commit', '--allow-empty', '-m', 'Initialize content repository']);
+        console.log(`📚 Content repository created at ${REPO_DIR}`);
+      }
+      if (REMOTE) {
+        const current = await git(['remote', 'get-url', 'origin'], { allowFailure: true });
+        if (!current.ok) await git(['remote', 'add', 'origin', REMOTE]);
+        else if (current.stdout.trim() !== REMOTE) await git(['remote', 'set-url', 'origin', REMOTE]);
+      }
+    })().catch(err => {
+      ready = null;
+      throw err;
+    });
+  }
+  return ready;
+}
+
+// Helper: Commit whatever is staged under the given paths; null if nothing changed
+async function commitStaged(paths, { author, message }) {
+  const staged = await git(['diff', '--cached', '--quiet', '--', ...paths], { allowFailure: true });
+  if (staged.ok) return null;
+
+  await git(['commit', '--author', authorOf(author), '-m', message, '--', ...paths]);
+  return (await git(['rev-parse', 'HEAD'])).stdout.trim();
+}
+
+/**
+ * Write topic pages and commit them together
+ * @param {string} projectId
+ * @param {Array<Object>} files - { file, content }
+ * @param {Object} options - { author: admin email, message }
+ * @returns {Promise<string|null>} commit hash, null if nothing changed
+ */
+function commitFiles(projectId, files, { author, message }) {
+  return serialize(async () => {
+    await init();
+    const paths = files.map(f => topicPath(projectId, f.file));
+    await fs.mkdir(path.join(REPO_DIR, projectId), { recursive: true });
+    for (const [i, { content }] of files.entries()) {
+      await fs.writeFile(path.join(REPO_DIR, paths[i]), content, 'utf8');
+    }
+    await git(['add', '--', ...paths]);
+    return commitStaged(paths, { author, message: message || `Update ${projectId}` });
+  });
+}
+
+/**
+ * Rename a page
+ * @returns {Promise<string|null>} commit hash
+ */
+function renameFile(projectId, from, to, { author, message }) {
+  return serialize(async () => {
+    await init();
+    const fromPath = topicPath(projectId, from);
+    const toPath = topicPath(projectId, to);
+    const tracked = await git(['ls-files', '--error-unmatch', '--', fromPath], { allowFailure: true });
+    if (!tracked.ok) return null;
+
+    await git(['mv', '--', fromPath, toPath]);
+    return commitStaged([fromPath, toPath], { author, message: message || `Rename ${fromPath} to ${toPath}` });
+  });
+}
+
+/**
+ * Remove a page, or a whole topic when file is omitted
+ * @returns {Promise<string|null>} commit hash
+ */
+function removeFiles(projectId, file, { author, message }) {
+  return serialize(async () => {
+    await init();
+    const target = file ? topicPath(projectId, file) : projectId;
+    await git(['rm', '-r', '--quiet', '--ignore-unmatch', '--', target]);
+    return commitStaged([target], { author, message: message || `Remove ${target}` });
+  });
+}
+
+/**
+ * Commits touching a topic (or one of its pages), newest first
+ * @param {string} projectId
+ * @param {Object} options - { file, limit, skip }
+ * @returns {Promise<Array<Object>>} { hash, authorName, authorEmail, date, message, files }
+ */
+async function history(projectId, { file, limit = 50, skip = 0 } = {}) {
+  await init();
+  const target = file ? topicPath(projectId, file) : projectId;
+  const args = ['log', '--format=%x1e%H%x1f%an%x1f%ae%x1f%aI%x1f%s', '--name-only',
+    `--max-count=${limit}`, `--skip=${skip}`];
+  // Follow a single page through renames
+  if (file) args.push('--follow');
+  const { stdout } = await git([...args, '--', target]);
+
+  // Each entry: header line, then the files it touched
+  return stdout.split('\x1e').filter(Boolean).map(entry => {
+    const [header, ...files] = entry.split('\n');
+    const [hash, authorName, authorEmail, date, message] = header.split('\x1f');
+    return { hash, authorName, authorEmail, date, message, files: files.filter(Boolean) };
+  });
+}
+
+/**
+ * A page as it was at a commit
+ * @returns {Promise<string>} content
+ */
+async function showFile(projectId, file, rev = 'HEAD') {
+  await init();
+  const result = await git(['show', `${checkRev(rev)}:${topicPath(projectId, file)}`], { allowFailure: true });
+  if (!result.ok) throw repoError(404, `${file} not found at ${rev}`);
+  return result.stdout;
+}
+
+/**
+ * Who last changed each line of a page
+ * @returns {Promise<Array<Object>>} { line, content, hash, authorName, authorEmail, date, message }
+ */
+async function blame(projectId, file, rev = 'HEAD') {
+  await init();
+  const result = await git(['blame', '--line-porcelain', checkRev(rev), '--', topicPath(projectId, file)], { allowFailure: true });
+  if (!result.ok) throw repoError(404, `${file} not found at ${rev}`);
+
+  const lines = [];
+  let current = null;
+  for (const row of result.stdout.split('\n')) {
+    const header = row.match(/^([0-9a-f]{40}) \d+ (\d+)/);
+    if (header) {
+      current = { line: Number(header[2]), hash: header[1] };
+    } else if (row.startsWith('author ')) {
+      current.authorName = row.slice(7);
+    } else if (row.startsWith('author-mail ')) {
+      current.authorEmail = row.slice(12).replace(/^<|>$/g, '');
+    } else if (row.startsWith('author-time ')) {
+      current.date = new Date(Number(row.slice(12)) * 1000).toISOString();
+    } else if (row.startsWith('summary ')) {
+      current.message = row.slice(8);
+    } else if (row.startsWith('\t') && current) {
+      lines.push({ ...current, content: row.slice(1) });
+      current = null;
+    }
+  }
+  return lines;
+}
+
+/**
+ * Push the branch to the configured remote
+ * @returns {Promise<Object>} { remote, branch, head }
+ */
+function push() {
+  return serialize(async () => {
+    await init();
+    if (!REMOTE) throw repoError(400, 'No remote configured (CONTENT_GIT_REMOTE)');
+    const result = await git(['push', 'origin', `${BRANCH}:${BRANCH}`], { allowFailure: true });
+    if (!result.ok) {
+      throw repoError(409, `Push rejected, pull the remote changes first: ${result.stderr.trim()}`);
+    }
+    return { remote: REMOTE, branch: BRANCH, head: (await git(['rev-parse', 'HEAD'])).stdout.trim() };
+  });
+}
+
+// Helper: Ref holding the remote commit a topic's unapplied changes start from
+function pendingRef(projectId) {
+  return `${PENDING_REFS}/${projectId}`;
+}
+
+/**
+ * Merge the remote branch and list the topic pages changed on the remote
+ * A conflicting merge is aborted, leaving the repository as it was.
+ * Every topic with changes gets a pending ref at the commit its changes start
+ * from; it stays until markSynced(), so topics the caller could not apply are
+ * listed again by the next pull even though HEAD has moved on.
+ * @returns {Promise<Object>} { before, after, changes: [{ projectId, file, status, content }] }
+ */
+function pull() {
+  return serialize(async () => {
+    await init();
+    if (!REMOTE) throw repoError(400, 'No remote configured (CONTENT_GIT_REMOTE)');
+
+    const before = (await git(['rev-parse', 'HEAD'])).stdout.trim();
+    await git(['fetch', 'origin', BRANCH]);
+    const merged = await git(['merge', '--no-edit', `origin/${BRANCH}`], { allowFailure: true });
+    if (!merged.ok) {
+      await git(['merge', '--abort'], { allowFailure: true });
+      throw repoError(409, `Remote changes conflict with saves made through the API: ${merged.stdout.trim() || merged.stderr.trim()}`);
+    }
+    const after = (await git(['rev-parse', 'HEAD'])).stdout.trim();
+    const remoteHead = (await git(['rev-parse', `origin/${BRANCH}`])).stdout.trim();
+
+    // Remote commits we already had before this merge need no syncing
+    const mergeBase = await git(['merge-base', before, remoteHead], { allowFailure: true });
+    const base = mergeBase.ok ? mergeBase.stdout.trim() : before;
+
+    // Topics changed on the remote since then, plus those left over from earlier syncs
+    const bases = new Map();
+    const pending = await git(['for-each-ref', '--format=%(refname) %(objectname)', `${PENDING_REFS}/`]);
+    for (const row of pending.stdout.split('\n').filter(Boolean)) {
+      const [ref, hash] = row.split(' ');
+      bases.set(ref.slice(PENDING_REFS.length + 1), hash);
+    }
+    const { stdout: touched } = await git(['diff', '--name-only', base, remoteHead]);
+    for (const rel of touched.split('\n').filter(Boolean)) {
+      const [projectId] = rel.split('/');
+      if (rel.includes('/') && !bases.has(projectId)) bases.set(projectId, base);
+    }
+
+    const changes = [];
+    for (const [projectId, topicBase] of bases) {
+      const { stdout } = await git(['diff', '--name-status', '--no-renames', topicBase, remoteHead, '--', `${projectId}/`]);
+      const topicChanges = [];
+      for (const row of stdout.split('\n').filter(Boolean)) {
+        const [status, rel] = row.split('\t');
+        const file = rel.slice(projectId.length + 1);
+        if (file.includes('/') || !file.endsWith('.md')) continue;
+        // The merged page, so saves made through the API are kept
+        const content = status === 'D' ? null : await fs.readFile(path.join(REPO_DIR, rel), 'utf8').catch(() => null);
+        topicChanges.push({
+          projectId,
+          file,
+          status: content === null ? 'deleted' : status === 'A' ? 'added' : 'modified',
+          content
+        });
+      }
+
+      if (topicChanges.length > 0) {
+        await git(['update-ref', pendingRef(projectId), topicBase]);
+        changes.push(...topicChanges);
+      } else {
+        await git(['update-ref', '-d', pendingRef(projectId)], { allowFailure: true });
+      }
+    }
+    return { before, after, changes };
+  });
+}
+
+/**
+ * Mark the pulled changes of a topic as applied, so the next pull skips them
+ * @param {string} projectId
+ */
+function markSynced(projectId) {
+  return serialize(async () => {
+    await init();
+    await git(['update-ref', '-d', pendingRef(projectId)], { allowFailure: true });
+  });
+}
+
+/**
+ * Repository summary for the admin UI
+ * @returns {Promise<Object>}
+ */
+async function status() {
+  await init();
+  const head = (await git(['rev-parse', 'HEAD'])).stdout.trim();
+  let ahead = null;
+  let behind = null;
+  if (REMOTE) {
+    const counts = await git(['rev-list', '--left-right', '--count', `HEAD...origin/${BRANCH}`], { allowFailure: true });
+    if (counts.ok) [ahead, behind] = counts.stdout.trim().split(/\s+/).map(Number);
+  }
+  return { enabled: ENABLED, directory: REPO_DIR, branch: BRANCH, remote: REMOTE, head, ahead, behind };
+}
+
+module.exports = {
+  isEnabled,
+  init,
+  commitFiles,
+  renameFile,
+  removeFiles,
+  history,
+  showFile,
+  blame,
+  push,
+  pull,
+  markSynced,
+  status
+};
@@ -0,0 +1,365 @@
+// server/services/courseContent.js
+// Topic files in storage: creating a topic's files, the working copy
+// (storage.drafts) and publishing it to the live files (storage.docs),
+// revisions of saved pages and the legacy index.json; plus the publish /
+// unpublish status changes shared by manual, bulk and scheduled publishing.
+// Used by the course routes and by background services (publish scheduler,
+// reconciler), so it must not require anything from routes/.
+const path = require('path');
+const fs = require('fs').promises;
+const Course = require('../models/Course');
+const CourseRevision = require('../models/CourseRevision');
+const { generateSidebar } = require('../utils/markdown');
+const { indexCourse, publishCourseIndex, removeCourseFromIndex } = require('./searchIndex');
+const { recordTransition } = require('./reviewWorkflow');
+const webhooks = require('./webhooks');
+const storage = require('./storage');
+const contentRepo = require('./contentRepo');
+
+// Helper: HTML escaping for the index.html template
+function escapeHtml(str = '') {
+  return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Helper: slug generation (fixed on creation)
+function generateSlug(title) {
+  return title
+    .toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, '')
+    .trim()
+    .replace(/\s+/g, '-')
+    .slice(0, 50);
+}
+
+// Docsify template generator
+const TEMPLATE_PATH = path.join(__dirname, '../utils/indexTemplate.html');
+
+async function getCourseTemplate(title) {
+  try {
+    let html = await fs.readFile(TEMPLATE_PATH, 'utf8');
+    html = html.replace(/__COURSE_TITLE__/g, escapeHtml(title));
+    return html;
+  } catch (err) {
+    console.error("⚠️ Error reading course template:", err);
+    throw new Error("Template file missing or unreadable");
+  }
+}
+
+
+/**
+ * Create course files in storage: README.md, _sidebar.md, index.html
+ * (images/ appears with the first upload)
+ * @param {String} projectId  // "0001"
+ * @param {String} title
+ * @param {String} readmeContent - optional initial content
+ */
+async function createCourseFilesOnDisk(projectId, title, readmeContent = null) {
+  try {
+    const readme = readmeContent || `# ${title}\n\nStart writing your course content here...\n`;
+    await storage.docs.write(`${projectId}/README.md`, readme);
+
+    const sidebar = `* [Home](README.md)\n`;
+    await storage.docs.write(`${projectId}/_sidebar.md`, sidebar);
+
+    const indexHtml = await getCourseTemplate(title);
+    await storage.docs.write(`${projectId}/index.html`, indexHtml);
+
+    console.log(`✅ Files created in ${storage.driver} storage for ${projectId}`);
+    return true;
+  } catch (err) {
+    console.error('Error creating course files on disk:', err);
+    throw err;
+  }
+}
+
+/**
+ * Read the live (published) README.md content from storage
+ * @param {String} projectId
+ * @returns {String} content
+ */
+async function readCourseContent(projectId) {
+  try {
+    const content = await storage.docs.readText(`${projectId}/README.md`);
+    return content;
+  } catch (err) {
+    console.error(`Error reading README for ${projectId}:`, err);
+    return '';
+  }
+}
+
+// Helper: Check whether a topic has a working copy
+async function hasDraft(projectId) {
+  return (await storage.drafts.list(projectId)).length > 0;
+}
+
+// Helper: Markdown pages stored for a topic in an area
+async function listPages(area, projectId) {
+  return (await area.list(projectId)).filter(f => f.endsWith('.md'));
+}
+
+/**
+ * Create the working copy from the live markdown files, if it doesn't exist yet
+ * @param {String} projectId
+ */
+async function ensureDraft(projectId) {
+  if (await hasDraft(projectId)) return;
+
+  for (const file of await listPages(storage.docs, projectId)) {
+    await storage.copyFile(storage.docs, `${projectId}/${file}`, storage.drafts, `${projectId}/${file}`);
+  }
+}
+
+/**
+ * Read a page from the working copy, falling back to the live files
+ * @param {String} projectId
+ * @param {String} file - page file name, defaults to README.md
+ * @returns {String} content
+ */
+async function readDraftContent(projectId, file = 'README.md') {
+  const area = (await hasDraft(projectId)) ? storage.drafts : storage.docs;
+  try {
+    return await area.readText(`${projectId}/${file}`);
+  } catch (err) {
+    console.error(`Error reading ${file} for ${projectId}:`, err);
+    return '';
+  }
+}
+
+/**
+ * Regenerate the working copy _sidebar.md from page order and headings
+ * @param {String} projectId
+ * @param {Array} pages - ordered { file, title } entries (Course#getPages)
+ */
+async function regenerateSidebar(projectId, pages = [{ file: 'README.md', title: 'Home' }]) {
+  await ensureDraft(projectId);
+
+  const pagesWithContent = [];
+  for (const page of pages) {
+    const content = await storage.drafts.readText(`${projectId}/${page.file}`).catch(() => '');
+    pagesWithContent.push({ ...page, content });
+  }
+
+  await storage.drafts.write(`${projectId}/_sidebar.md`, generateSidebar(pagesWithContent));
+
+  // Keep the working copy search index in step with the files
+  await indexCourse(projectId, 'draft', pagesWithContent)
+    .catch(err => console.error(`Error indexing working copy of ${projectId}:`, err));
+}
+
+/**
+ * Promote the working copy to the live files and drop it
+ * Live markdown files that no longer exist in the working copy are removed.
+ * @param {String} projectId
+ * @returns {Boolean} false if there was nothing to publish
+ */
+async function publishCourseDraft(projectId) {
+  if (!(await hasDraft(projectId))) return false;
+
+  const draftFiles = await listPages(storage.drafts, projectId);
+  const liveFiles = await listPages(storage.docs, projectId);
+
+  for (const file of draftFiles) {
+    await storage.copyFile(storage.drafts, `${projectId}/${file}`, storage.docs, `${projectId}/${file}`);
+  }
+  for (const file of liveFiles.filter(f => !draftFiles.includes(f))) {
+    await storage.docs.remove(`${projectId}/${file}`);
+  }
+
+  await storage.drafts.removeAll(projectId);
+  await publishCourseIndex(projectId)
+    .catch(err => console.error(`Error publishing search index of ${projectId}:`, err));
+  console.log(`🚀 Working copy published for ${projectId}`);
+  return true;
+}
+
+// Helper: Throw away the working copy
+async function discardCourseDraft(projectId) {
+  await storage.drafts.removeAll(projectId);
+  await removeCourseFromIndex(projectId, 'draft')
+    .catch(err => console.error(`Error removing working copy index of ${projectId}:`, err));
+}
+
+/**
+ * Mirror a change into the git content repository (services/contentRepo), if enabled
+ * A failing commit is only logged: the change itself has already been saved.
+ * @param {String} projectId
+ * @param {Function} change - receives the contentRepo service
+ * @returns {String|null} commit hash
+ */
+async function commitToContentRepo(projectId, change) {
+  if (!contentRepo.isEnabled()) return null;
+  try {
+    return await change(contentRepo);
+  } catch (err) {
+    console.error(`Error committing ${projectId} to the content repository:`, err);
+    return null;
+  }
+}
+
+/**
+ * Update a page in the working copy and regenerate its sidebar
+ * Nothing goes live until the working copy is published.
+ * @param {String} projectId
+ * @param {String} content
+ * @param {Object} options - { file (default README.md), pages (Course#getPages), author, message }
+ */
+async function updateCourseContent(projectId, content, { file = 'README.md', pages, author, message } = {}) {
+  try {
+    await ensureDraft(projectId);
+
+    // Write the page
+    await storage.drafts.write(`${projectId}/${file}`, content);
+    await commitToContentRepo(projectId, repo => repo.commitFiles(projectId, [{ file, content }], {
+      author,
+      message: message || `Update ${projectId}/${file}`
+    }));
+
+    // Regenerate sidebar from page order and headers
+    await regenerateSidebar(projectId, pages);
+
+    console.log(`✅ Course working copy updated: ${projectId}/${file}`);
+    return true;
+  } catch (err) {
+    console.error(`Error updating course content for ${projectId}:`, err);
+    throw err;
+  }
+}
+
+/**
+ * Save page content and record it as a revision
+ * Pages edited before revision history existed get their on-disk
+ * content snapshotted first, so it can still be restored.
+ * @param {String} projectId
+ * @param {String} content
+ * @param {Object} options - { author, message, restoredFrom, file, pages }
+ * @returns {Object} the new CourseRevision
+ */
+async function saveCourseContent(projectId, content, { author, message, restoredFrom = null, file = 'README.md', pages }) {
+  const latest = await CourseRevision.findLatest(projectId, file).select('revision');
+  if (!latest) {
+    const previous = await readDraftContent(projectId, file);
+    if (previous) {
+      await CourseRevision.record(projectId, {
+        file,
+        content: previous,
+        author,
+        message: 'Snapshot before first tracked edit'
+      });
+    }
+  }
+
+  await updateCourseContent(projectId, content, { file, pages, author, message });
+
+  return CourseRevision.record(projectId, { file, content, author, message, restoredFrom });
+}
+
+// Helper: Contents index.json should have (one entry per topic)
+async function buildIndexJson() {
+  const courses = await Course.find({}).sort({ projectId: 1 });
+
+  return courses.map(course => ({
+    proj: course.projectId,
+    slug: course.slug || '',
+    title: course.title,
+    description: course.description,
+    keywords: course.keywords,
+    createdBy: course.createdBy,
+    createdAt: course.createdAt,
+    lastModifiedBy: course.lastModifiedBy,
+    lastModifiedAt: course.lastModifiedAt,
+    collaborators: course.collaborators
+  }));
+}
+
+// Helper: Update index.json for backward compatibility
+async function updateIndexJson() {
+  try {
+    const indexData = await buildIndexJson();
+
+    await storage.docs.write('index.json', JSON.stringify(indexData, null, 2));
+    console.log('✅ index.json updated');
+    return true;
+  } catch (error) {
+    console.error('Error updating index.json:', error);
+    return false;
+  }
+}
+
+/**
+ * Publish a topic: promote the working copy, record the transition and emit course.published
+ * Used for manual, bulk and scheduled publishes. Callers check canPublish /
+ * isPublishable and refresh index.json.
+ * @param {Object} course - Course document
+ * @param {String} actor - admin email
+ * @returns {Boolean} whether a working copy was promoted
+ */
+async function publishCourse(course, actor) {
+  const promoted = await publishCourseDraft(course.projectId);
+
+  const now = new Date();
+  const reviewFrom = course.reviewStatus || 'draft';
+  course.status = 'published';
+  course.reviewStatus = 'published';
+  course.hasUnpublishedChanges = false;
+  course.publishedBy = actor;
+  course.publishedAt = now;
+  course.publishAt = null; // published now, drop any pending schedule
+  course.lastModifiedBy = actor;
+  course.lastModifiedAt = now;
+
+  await course.save();
+
+  await recordTransition('course', course, {
+    action: 'publish', from: reviewFrom, to: 'published', actor
+  });
+
+  webhooks.emit('course.published', webhooks.courseData(course), actor);
+
+  return promoted;
+}
+
+/**
+ * Take a topic offline, keeping the working copy, and emit course.unpublished
+ * @param {Object} course - Course document
+ * @param {String} actor - admin email
+ */
+async function unpublishCourse(course, actor) {
+  const reviewFrom = course.reviewStatus || 'draft';
+  course.status = 'draft';
+  course.unpublishAt = null;
+  // Content is unchanged, so it stays approved for republishing
+  if (reviewFrom === 'published') course.reviewStatus = 'approved';
+  course.lastModifiedBy = actor;
+  course.lastModifiedAt = new Date();
+
+  await course.save();
+
+  if (reviewFrom === 'published') {
+    await recordTransition('course', course, {
+      action: 'unpublish', from: reviewFrom, to: 'approved', actor
+    });
+  }
+
+  webhooks.emit('course.unpublished', webhooks.courseData(course), actor);
+}
+
+module.exports = {
+  generateSlug,
+  getCourseTemplate,
+  createCourseFilesOnDisk,
+  readCourseContent,
+  hasDraft,
+  listPages,
+  ensureDraft,
+  readDraftContent,
+  regenerateSidebar,
+  publishCourseDraft,
+  discardCourseDraft,
+  commitToContentRepo,
+  updateCourseContent,
+  saveCourseContent,
+  buildIndexJson,
+  updateIndexJson,
+  publishCourse,
+  unpublishCourse
+};
@@ -0,0 +1,175 @@
+// server/services/idAllocator.js
+// Race-free ID allocation for topics ("0001"), programs ("P0001") and modules ("M0001").
+// Every allocation is a single atomic update on the scope's IdCounter document,
+// so concurrent creates never get the same ID.
+const IdCounter = require('../models/IdCounter');
+const CourseId = require('../models/CourseId');
+const ProgramId = require('../models/ProgramsId');
+const ModuleId = require('../models/ModuleId');
+const Course = require('../models/Course');
+const Program = require('../models/Programs');
+const Module = require('../models/Module');
+const TrashItem = require('../models/TrashItem');
+
+const SCOPES = {
+  course: { prefix: '', LegacyModel: CourseId, Model: Course, key: 'projectId' },
+  program: { prefix: 'P', LegacyModel: ProgramId, Model: Program, key: 'programId' },
+  module: { prefix: 'M', LegacyModel: ModuleId, Model: Module, key: 'moduleId' }
+};
+
+// "reuse" hands out the lowest released ID first (the original behaviour),
+// "sequential" never reuses an ID
+const ALLOCATION_MODE = process.env.ID_ALLOCATION === 'sequential' ? 'sequential' : 'reuse';
+
+const seeded = new Set();
+
+// Helper: Scope config, throwing on typos
+function getScope(scope) {
+  const config = SCOPES[scope];
+  if (!config) throw new Error(`Unknown ID scope "${scope}"`);
+  return config;
+}
+
+/**
+ * Format a number as an ID; IDs past 9999 simply grow a digit ("10000")
+ * @param {string} scope
+ * @param {number} num
+ * @returns {string}
+ */
+function formatId(scope, num) {
+  return getScope(scope).prefix + String(num).padStart(4, '0');
+}
+
+/**
+ * Number part of an ID, or null if it doesn't belong to the scope
+ * @param {string} scope
+ * @param {string} id
+ * @returns {number|null}
+ */
+function parseId(scope, id) {
+  const { prefix } = getScope(scope);
+  const match = String(id).match(new RegExp(`^${prefix}(\\d+)$`));
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Create the scope's counter from the legacy `used` array and existing documents
+ * Existing counters are left alone unless force is set.
+ * @param {string} scope
+ * @param {Object} options - { force }
+ * @returns {Promise<Object>} { seq, free, created }
+ */
+async function seedCounter(scope, { force = false } = {}) {
+  const { LegacyModel, Model, key } = getScope(scope);
+
+  if (!force && await IdCounter.exists({ _id: scope })) {
+    seeded.add(scope);
+    return { created: false };
+  }
+
+  const used = new Set();
+  for (const doc of await LegacyModel.find({}).lean()) {
+    (doc.used || []).forEach(id => used.add(parseId(scope, id)));
+  }
+  for (const doc of await Model.find({}).select(key).lean()) {
+    used.add(parseId(scope, doc[key]));
+  }
+  // Trashed items keep their IDs until purged
+  for (const item of await TrashItem.find({ type: scope }).select('itemId').lean()) {
+    used.add(parseId(scope, item.itemId));
+  }
+  used.delete(null);
+
+  const seq = used.size > 0 ? Math.max(...used) : 0;
+  const free = [];
+  for (let n = 1; n < seq; n++) {
+    if (!used.has(n)) free.push(n);
+  }
+
+  if (force) {
+    await IdCounter.updateOne({ _id: scope }, { $set: { seq, free } }, { upsert: true });
+  } else {
+    // Another server may have seeded at the same time; its result is equivalent
+    await IdCounter.create({ _id: scope, seq, free }).catch(err => {
+      if (err.code !== 11000) throw err;
+    });
+  }
+
+  seeded.add(scope);
+  return { seq, free: free.length, created: true };
+}
+
+// Helper: Seed once per process, on first use
+async function ensureSeeded(scope) {
+  if (!seeded.has(scope)) await seedCounter(scope);
+}
+
+/**
+ * Allocate a new ID
+ * @param {string} scope - "course" | "program" | "module"
+ * @returns {Promise<string>} e.g. "0042", "P0007"
+ */
+async function allocateId(scope) {
+  await ensureSeeded(scope);
+
+  if (ALLOCATION_MODE === 'reuse') {
+    // Take the lowest released number; new: false returns it in free[0]
+    const before = await IdCounter.findOneAndUpdate(
+      { _id: scope, 'free.0': { $exists: true } },
+      { $pop: { free: -1 } },
+      { new: false }
+    ).lean();
+    if (before) return formatId(scope, before.free[0]);
+  }
+
+  const counter = await IdCounter.findOneAndUpdate(
+    { _id: scope },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  ).lean();
+  return formatId(scope, counter.seq);
+}
+
+/**
+ * Release an ID so it can be handed out again (in "reuse" mode)
+ * @param {string} scope
+ * @param {string} id
+ */
+async function releaseId(scope, id) {
+  const num = parseId(scope, id);
+  if (num === null) return;
+  await ensureSeeded(scope);
+
+  // Only numbers that were handed out, and never twice
+  await IdCounter.updateOne(
+    { _id: scope, seq: { $gte: num }, free: { $ne: num } },
+    { $push: { free: { $each: [num], $sort: 1 } } }
+  );
+}
+
+/**
+ * Mark an ID as taken without allocating it (e.g. files adopted from disk)
+ * Numbers between the old highest ID and this one are skipped.
+ * @param {string} scope
+ * @param {string} id
+ */
+async function reserveId(scope, id) {
+  const num = parseId(scope, id);
+  if (num === null) return;
+  await ensureSeeded(scope);
+
+  await IdCounter.updateOne(
+    { _id: scope },
+    { $pull: { free: num }, $max: { seq: num } }
+  );
+}
+
+module.exports = {
+  ALLOCATION_MODE,
+  formatId,
+  parseId,
+  seedCounter,
+  allocateId,
+  releaseId,
+  reserveId
+};
@@ -0,0 +1,177 @@
+// server/services/publishScheduler.js
+// Flips topics and programs to published / draft when their publishAt / unpublishAt
+// time has passed, then refreshes index.json once. Changes emit the same webhook
+// events as publishing by hand.
+const Course = require('../models/Course');
+const Program = require('../models/Programs');
+const { publishCourse, unpublishCourse, updateIndexJson } = require('./courseContent');
+const { REVIEW_OPTIONS } = require('../utils/reviewWorkflow');
+const { recordTransition } = require('./reviewWorkflow');
+const webhooks = require('./webhooks');
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+let timer = null;
+let running = false;
+
+// Only approved content is published; unapproved entries wait until they are approved
+const PUBLISHABLE_FILTER = REVIEW_OPTIONS.required ? { reviewStatus: 'approved' } : {};
+
+// Helper: Atomically take one due schedule entry so two servers never apply it twice
+// Entries that already failed in this run (skip) are left for the next one.
+function claimDue(Model, field, now, extraFilter, skip = []) {
+  return Model.findOneAndUpdate(
+    { [field]: { $ne: null, $lte: now }, _id: { $nin: skip }, ...extraFilter },
+    { $set: { [field]: null } },
+    { new: false }
+  );
+}
+
+// Helper: Put back a claimed schedule entry whose change failed, so it is retried
+// on the next run (unless someone set a new time in the meantime)
+async function restoreDue(Model, id, field, at) {
+  await Model.updateOne({ _id: id, [field]: null }, { $set: { [field]: at } })
+    .catch(error => console.error(`Error restoring ${field} of ${id}:`, error));
+}
+
+// Helper: Publish topics whose publishAt has passed
+async function publishDueCourses(now) {
+  let count = 0;
+  let course;
+  const failed = [];
+  while ((course = await claimDue(Course, 'publishAt', now, PUBLISHABLE_FILTER, failed))) {
+    const due = course.publishAt;
+    try {
+      await publishCourse(course, course.scheduledBy || 'scheduler');
+      count++;
+      console.log(`⏰ Course ${course.projectId} published on schedule`);
+    } catch (error) {
+      console.error(`Error publishing course ${course.projectId} on schedule:`, error);
+      failed.push(course._id);
+      await restoreDue(Course, course._id, 'publishAt', due);
+    }
+  }
+  return count;
+}
+
+// Helper: Unpublish topics whose unpublishAt has passed
+async function unpublishDueCourses(now) {
+  let count = 0;
+  let course;
+  const failed = [];
+  while ((course = await claimDue(Course, 'unpublishAt', now, {}, failed))) {
+    if (course.status !== 'published') continue;
+    const due = course.unpublishAt;
+    try {
+      await unpublishCourse(course, course.scheduledBy || 'scheduler');
+      count++;
+      console.log(`⏰ Course ${course.projectId} unpublished on schedule`);
+    } catch (error) {
+      console.error(`Error unpublishing course ${course.projectId} on schedule:`, error);
+      failed.push(course._id);
+      await restoreDue(Course, course._id, 'unpublishAt', due);
+    }
+  }
+  return count;
+}
+
+// Helper: Flip program status for due publishAt / unpublishAt entries
+async function applyDuePrograms(now) {
+  let count = 0;
+  let program;
+  let failed = [];
+  while ((program = await claimDue(Program, 'publishAt', now, PUBLISHABLE_FILTER, failed))) {
+    try {
+      const by = program.scheduledBy || 'scheduler';
+      const published = await Program.findOneAndUpdate({ _id: program._id }, {
+        $set: { status: 'published', reviewStatus: 'published', lastModifiedBy: by, lastModifiedAt: now },
+        $inc: { version: 1 }
+      }, { new: true });
+      await recordTransition('program', published, {
+        action: 'publish', from: program.reviewStatus || 'draft', to: 'published', actor: by
+      });
+      webhooks.emit('program.published', webhooks.programData(published), by);
+      count++;
+      console.log(`⏰ Program ${program.programId} published on schedule`);
+    } catch (error) {
+      console.error(`Error publishing program ${program.programId} on schedule:`, error);
+      failed.push(program._id);
+      await restoreDue(Program, program._id, 'publishAt', program.publishAt);
+    }
+  }
+  failed = [];
+  while ((program = await claimDue(Program, 'unpublishAt', now, {}, failed))) {
+    if (program.status !== 'published') continue;
+    try {
+      const by = program.scheduledBy || 'scheduler';
+      const update = { status: 'draft', lastModifiedBy: by, lastModifiedAt: now };
+      if (program.reviewStatus === 'published') update.reviewStatus = 'approved';
+      const unpublished = await Program.findOneAndUpdate({ _id: program._id }, {
+        $set: update,
+        $inc: { version: 1 }
+      }, { new: true });
+      if (update.reviewStatus) {
+        await recordTransition('program', unpublished, {
+          action: 'unpublish', from: 'published', to: 'approved', actor: by
+        });
+      }
+      webhooks.emit('program.unpublished', webhooks.programData(unpublished), by);
+      count++;
+      console.log(`⏰ Program ${program.programId} unpublished on schedule`);
+    } catch (error) {
+      console.error(`Error unpublishing program ${program.programId} on schedule:`, error);
+      failed.push(program._id);
+      await restoreDue(Program, program._id, 'unpublishAt', program.unpublishAt);
+    }
+  }
+  return count;
+}
+
+/**
+ * Apply every schedule entry that is due
+ * Publishing runs before unpublishing, so a window that already closed
+ * while the server was down ends up unpublished.
+ * @returns {Promise<Object>} { courses, programs } number of status changes
+ */
+async function runDueSchedules() {
+  if (running) return { courses: 0, programs: 0 };
+  running = true;
+  try {
+    const now = new Date();
+    const courses = (await publishDueCourses(now)) + (await unpublishDueCourses(now));
+    const programs = await applyDuePrograms(now);
+
+    if (courses > 0 || programs > 0) {
+      await updateIndexJson();
+    }
+    return { courses, programs };
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start checking schedules in the background
+ * @param {number} intervalMs - defaults to PUBLISH_SCHEDULER_INTERVAL_MS or one minute
+ */
+function start(intervalMs = Number(process.env.PUBLISH_SCHEDULER_INTERVAL_MS) || DEFAULT_INTERVAL_MS) {
+  if (timer) return;
+  const tick = () => runDueSchedules()
+    .catch(error => console.error('Error running publish schedules:', error));
+
+  timer = setInterval(tick, intervalMs);
+  timer.unref();
+  tick();
+  console.log(`⏰ Publish scheduler started (every ${Math.round(intervalMs / 1000)}s)`);
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  start,
+  stop,
+  runDueSchedules
+};
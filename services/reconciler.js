@@ -0,0 +1,242 @@
+// server/services/reconciler.js
+// Compares the topic folders in storage with the courses collection, reports
+// drift between them, optionally repairs it, and records Course.filesSynced /
+// lastSyncedAt. Used by scripts/reconcileCourses.js and POST /api/admins/reconcile.
+const Course = require('../models/Course');
+const CourseRevision = require('../models/CourseRevision');
+const TrashItem = require('../models/TrashItem');
+const storage = require('./storage');
+const { indexCourse } = require('./searchIndex');
+const { parseId, reserveId } = require('./idAllocator');
+const { extractHeadings, generateSidebar } = require('../utils/markdown');
+const {
+  generateSlug,
+  getCourseTemplate,
+  hasDraft,
+  listPages,
+  regenerateSidebar,
+  buildIndexJson,
+  updateIndexJson
+} = require('./courseContent');
+
+// Files every topic folder needs besides its pages
+const REQUIRED_FILES = ['_sidebar.md', 'index.html'];
+
+// Helper: Title of a page from its first heading
+function pageTitle(file, content) {
+  if (file === 'README.md') return 'Home';
+  const heading = extractHeadings(content)[0];
+  return heading ? heading.text : file.replace(/\.md$/, '');
+}
+
+/**
+ * Files a topic is missing in storage
+ * A page counts as missing only when neither the live files nor the working
+ * copy have it: pages added since the last publish live in the working copy.
+ * @param {Document} course
+ * @returns {Promise<Array<string>>} file names
+ */
+async function findMissingFiles(course) {
+  const files = await storage.docs.list(course.projectId);
+  const draftFiles = await storage.drafts.list(course.projectId);
+  const missingPages = course.getPages()
+    .map(p => p.file)
+    .filter(file => !files.includes(file) && !draftFiles.includes(file));
+  return [...missingPages, ...REQUIRED_FILES.filter(file => !files.includes(file))];
+}
+
+/**
+ * Recreate a topic's missing files
+ * Pages come back from their latest revision, or as a stub with their title,
+ * into the working copy when the topic has one (so nothing unreviewed goes
+ * live) and into the live files otherwise.
+ * @param {Document} course
+ * @param {Array<string>} missing - result of findMissingFiles
+ */
+async function restoreMissingFiles(course, missing) {
+  const { projectId } = course;
+  const pages = course.getPages();
+  const draft = await hasDraft(projectId);
+  const area = draft ? storage.drafts : storage.docs;
+
+  const restored = pages.filter(p => missing.includes(p.file));
+  for (const page of restored) {
+    const revision = await CourseRevision.findLatest(projectId, page.file);
+    const title = page.file === 'README.md' ? course.title : page.title;
+    await area.write(`${projectId}/${page.file}`, revision ? revision.content : `# ${title}\n`);
+  }
+  if (draft && restored.length > 0) {
+    await regenerateSidebar(projectId, pages);
+  }
+
+  if (missing.includes('_sidebar.md') || (!draft && restored.length > 0)) {
+    // The live sidebar links the live pages only, in the topic's page order
+    const liveFiles = await listPages(storage.docs, projectId);
+    const livePages = [
+      ...pages.filter(p => liveFiles.includes(p.file)),
+      ...liveFiles
+        .filter(file => file !== '_sidebar.md' && !pages.some(p => p.file === file))
+        .map(file => ({ file }))
+    ];
+    const withContent = [];
+    for (const page of livePages) {
+      const content = await storage.docs.readText(`${projectId}/${page.file}`).catch(() => '');
+      withContent.push({ ...page, title: page.title || pageTitle(page.file, content), content });
+    }
+    await storage.docs.write(`${projectId}/_sidebar.md`, generateSidebar(withContent));
+  }
+
+  if (missing.includes('index.html')) {
+    await storage.docs.write(`${projectId}/index.html`, await getCourseTemplate(course.title));
+  }
+}
+
+/**
+ * Create a Course document for a topic folder nobody knows about
+ * Page order follows the folder's _sidebar.md where possible.
+ * @param {string} projectId
+ * @param {string} actor - admin email recorded as author
+ * @returns {Promise<Document>} the new Course
+ */
+async function adoptFolder(projectId, actor) {
+  const files = (await storage.docs.list(projectId)).filter(f => f.endsWith('.md') && f !== '_sidebar.md');
+  const sidebar = await storage.docs.readText(`${projectId}/_sidebar.md`).catch(() => '');
+  const linked = [...sidebar.matchAll(/\]\(([^)#]+\.md)\)/g)].map(m => m[1]);
+
+  const ordered = [...new Set(['README.md', ...linked, ...files.sort()])].filter(f => files.includes(f));
+  const pages = [];
+  for (const file of ordered) {
+    const content = await storage.docs.readText(`${projectId}/${file}`);
+    pages.push({ file, title: pageTitle(file, content), content });
+  }
+
+  const readme = pages.find(p => p.file === 'README.md');
+  const heading = readme && extractHeadings(readme.content)[0];
+  const title = heading ? heading.text : `Topic ${projectId}`;
+
+  const course = await Course.create({
+    projectId,
+    slug: generateSlug(title),
+    title,
+    createdBy: actor,
+    lastModifiedBy: actor,
+    pages: pages.length > 1 ? pages.map(p => ({ file: p.file, title: p.title })) : []
+  });
+  await reserveId('course', projectId);
+
+  for (const page of pages) {
+    await CourseRevision.record(projectId, {
+      file: page.file,
+      content: page.content,
+      author: actor,
+      message: 'Adopted from files in storage'
+    });
+  }
+  await indexCourse(projectId, 'live', pages)
+    .catch(err => console.error(`Error indexing ${projectId}:`, err));
+
+  const missing = await findMissingFiles(course);
+  if (missing.length > 0) await restoreMissingFiles(course, missing);
+
+  return course;
+}
+
+/**
+ * Scan storage and the database and report (or repair) the drift
+ * - orphanFolders: topic folders with no Course (repair adopts them as draft topics)
+ * - missingFiles: Courses whose folder lacks pages, _sidebar.md or index.html
+ *   (repair restores pages from their latest revision and regenerates the rest)
+ * - indexJson: whether index.json matches the courses collection (repair rewrites it)
+ * Every Course gets filesSynced / lastSyncedAt set from the outcome.
+ * @param {Object} options - { repair, actor: admin email used when repairing }
+ * @returns {Promise<Object>} drift report
+ */
+async function reconcile({ repair = false, actor = 'reconciler' } = {}) {
+  const now = new Date();
+  const report = {
+    checkedAt: now,
+    repair,
+    storage: storage.driver,
+    courses: 0,
+    folders: 0,
+    orphanFolders: [],
+    missingFiles: [],
+    indexJson: { upToDate: true, repaired: false },
+    synced: 0,
+    outOfSync: 0
+  };
+
+  const courses = await Course.find({});
+  const known = new Set(courses.map(c => c.projectId));
+  const trashed = new Set((await TrashItem.find({ type: 'course' }).select('itemId').lean()).map(i => i.itemId));
+  const folders = (await storage.docs.listFolders('')).filter(name => parseId('course', name) !== null);
+  report.courses = courses.length;
+  report.folders = folders.length;
+
+  // Folders without a Course
+  for (const projectId of folders.filter(f => !known.has(f))) {
+    const entry = {
+      projectId,
+      files: (await storage.docs.listAll(projectId)).length,
+      inTrash: trashed.has(projectId),
+      repaired: false
+    };
+    // A trashed topic still owns its ID; its stray folder needs a human
+    if (repair && !entry.inTrash) {
+      try {
+        const course = await adoptFolder(projectId, actor);
+        courses.push(course);
+        entry.repaired = true;
+        entry.title = course.title;
+      } catch (err) {
+        entry.error = err.message;
+      }
+    }
+    report.orphanFolders.push(entry);
+  }
+
+  // Courses with missing files
+  const syncState = [];
+  for (const course of courses) {
+    let missing = await findMissingFiles(course);
+    if (missing.length > 0) {
+      const entry = { projectId: course.projectId, title: course.title, files: missing, repaired: false };
+      if (repair) {
+        try {
+          await restoreMissingFiles(course, missing);
+          missing = await findMissingFiles(course);
+          entry.repaired = missing.length === 0;
+        } catch (err) {
+          entry.error = err.message;
+        }
+      }
+      report.missingFiles.push(entry);
+    }
+    syncState.push({ projectId: course.projectId, synced: missing.length === 0 });
+  }
+
+  // index.json against the collection
+  const expected = JSON.stringify(await buildIndexJson());
+  const current = await storage.docs.readText('index.json')
+    .then(text => JSON.stringify(JSON.parse(text)))
+    .catch(() => null);
+  report.indexJson.upToDate = current === expected;
+  if (!report.indexJson.upToDate && repair) {
+    report.indexJson.repaired = await updateIndexJson();
+  }
+
+  if (syncState.length > 0) await Course.bulkWrite(syncState.map(({ projectId, synced }) => ({
+    updateOne: {
+      filter: { projectId },
+      update: { $set: { filesSynced: synced, lastSyncedAt: now } }
+    }
+  })));
+  report.synced = syncState.filter(s => s.synced).length;
+  report.outOfSync = syncState.length - report.synced;
+
+  console.log(`🔍 Reconciled ${report.courses} topic(s): ${report.orphanFolders.length} orphan folder(s), ${report.missingFiles.length} with missing files, index.json ${report.indexJson.upToDate ? 'up to date' : 'stale'}${repair ? ' (repair)' : ''}`);
+
+  return report;
+}
+
+module.exports = { reconcile };
@@ -0,0 +1,189 @@
+// server/services/reviewWorkflow.js
+const Admin = require('../models/Admin');
+const ReviewEvent = require('../models/ReviewEvent');
+const { sendEmail } = require('../utils/email');
+const { getTransition } = require('../utils/reviewWorkflow');
+
+const ACTION_LABELS = {
+  submit: 'submitted for review',
+  withdraw: 'withdrawn from review',
+  approve: 'approved',
+  request_changes: 'sent back with requested changes',
+  publish: 'published',
+  unpublish: 'unpublished',
+  discard_changes: 'reverted to the published version'
+};
+
+// Helper: Escape user text for email HTML
+function escapeHtml(text = '') {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Helper: projectId / programId of the document
+function targetIdOf(targetType, doc) {
+  return targetType === 'course' ? doc.projectId : doc.programId;
+}
+
+// Helper: Who hears about an action (the actor never emails themselves)
+async function recipientsFor(action, doc, actor) {
+  let emails = [];
+  if (action === 'submit' || action === 'withdraw') {
+    emails = doc.reviewers && doc.reviewers.length > 0
+      ? doc.reviewers
+      : (await Admin.find({ role: 'super_admin' }).select('email')).map(a => a.email);
+  } else {
+    emails = [doc.reviewSubmittedBy, doc.createdBy, doc.approvedBy];
+  }
+  return [...new Set(emails.filter(Boolean))].filter(e => e !== actor);
+}
+
+// Helper: Email everyone involved in a transition
+async function notifyTransition(targetType, doc, event) {
+  const recipients = await recipientsFor(event.action, doc, event.actor);
+  const kind = targetType === 'course' ? 'Topic' : 'Program';
+  const label = ACTION_LABELS[event.action] || event.action;
+
+  for (const to of recipients) {
+    await sendEmail({
+      to,
+      subject: `${kind} "${doc.title}" was ${label}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #646cff;">📝 Review update</h2>
+          <p><strong>${escapeHtml(event.actor)}</strong> ${label}:</p>
+          <h3 style="color: #333;">${escapeHtml(doc.title)} (${event.targetId})</h3>
+          <p>Status: <strong>${event.from}</strong> → <strong>${event.to}</strong></p>
+          ${event.comment ? `<blockquote style="border-left: 3px solid #ddd; padding-left: 12px; color: #555;">${escapeHtml(event.comment)}</blockquote>` : ''}
+          <p><a href="${process.env.CLIENT_URL}/admin">Open the admin dashboard</a></p>
+        </div>
+      `
+    });
+  }
+}
+
+/**
+ * Record a review transition and notify the people involved
+ * The caller has already updated and saved the document.
+ * @param {string} targetType - "course" | "program"
+ * @param {Object} doc - Course or Program, after the change
+ * @param {Object} change - { action, from, to, actor, comment }
+ * @returns {Promise<Document>} the ReviewEvent
+ */
+async function recordTransition(targetType, doc, { action, from, to, actor, comment = '' }) {
+  const event = await ReviewEvent.create({
+    targetType,
+    targetId: targetIdOf(targetType, doc),
+    action,
+    from: from || 'draft',
+    to,
+    actor,
+    comment,
+    reviewers: doc.reviewers || []
+  });
+
+  notifyTransition(targetType, doc, event)
+    .catch(err => console.error('Error sending review notifications:', err));
+
+  return event;
+}
+
+/**
+ * Apply a review action (submit, withdraw, approve, request_changes) to a document
+ * The state is claimed atomically, so two reviewers can't both act on the same submission.
+ * @param {Model} Model - Course or Program
+ * @param {string} targetType - "course" | "program"
+ * @param {Object} doc - current document
+ * @param {string} action
+ * @param {Object} options - { actor, comment, reviewers }
+ * @returns {Promise<Object>} { doc, event } or { status, error }
+ */
+async function applyReviewTransition(Model, targetType, doc, action, { actor, comment = '', reviewers } = {}) {
+  const from = doc.reviewStatus || 'draft';
+  const { transition, error } = getTransition(action, from);
+  if (error) return { status: 409, error };
+
+  if (transition.requiresComment && !String(comment).trim()) {
+    return { status: 400, error: 'A comment is required when requesting changes' };
+  }
+
+  const now = new Date();
+  const update = { reviewStatus: transition.to };
+
+  if (action === 'submit') {
+    update.reviewSubmittedBy = actor;
+    update.reviewSubmittedAt = now;
+    update.approvedBy = null;
+    update.approvedAt = null;
+
+    if (reviewers !== undefined) {
+      if (!Array.isArray(reviewers)) return { status: 400, error: 'reviewers must be an array of emails' };
+      const emails = [...new Set(reviewers.map(e => String(e).toLowerCase().trim()).filter(Boolean))];
+      const known = await Admin.find({ email: { $in: emails } }).select('email');
+      const unknown = emails.filter(e => !known.some(a => a.email === e));
+      if (unknown.length > 0) {
+        return { status: 400, error: `Reviewers must be admins: ${unknown.join(', ')}` };
+      }
+      update.reviewers = emails;
+    }
+  }
+  if (action === 'approve') {
+    update.approvedBy = actor;
+    update.approvedAt = now;
+  }
+
+  // Documents created before the workflow have no reviewStatus and count as draft
+  const stateFilter = transition.from.includes('draft')
+    ? { $in: [...transition.from, null] }
+    : { $in: transition.from };
+
+  const updated = await Model.findOneAndUpdate(
+    { _id: doc._id, reviewStatus: stateFilter },
+    { $set: update },
+    { new: true }
+  );
+  if (!updated) {
+    return { status: 409, error: 'The review state was changed by someone else. Reload and try again.' };
+  }
+
+  const event = await recordTransition(targetType, updated, {
+    action, from, to: transition.to, actor, comment
+  });
+
+  console.log(`📝 ${targetType} ${event.targetId}: ${from} → ${transition.to} by ${actor}`);
+
+  return { doc: updated, event };
+}
+
+/**
+ * Review summary for API responses
+ * @param {Object} doc - Course or Program
+ * @param {Array<Document>} history - ReviewEvents, oldest first
+ */
+function formatReview(doc, history) {
+  return {
+    reviewStatus: doc.reviewStatus || 'draft',
+    reviewers: doc.reviewers || [],
+    submittedBy: doc.reviewSubmittedBy || null,
+    submittedAt: doc.reviewSubmittedAt || null,
+    approvedBy: doc.approvedBy || null,
+    approvedAt: doc.approvedAt || null,
+    history: history.map(e => ({
+      action: e.action,
+      from: e.from,
+      to: e.to,
+      actor: e.actor,
+      comment: e.comment,
+      createdAt: e.createdAt
+    }))
+  };
+}
+
+module.exports = {
+  recordTransition,
+  applyReviewTransition,
+  formatReview
+};
@@ -0,0 +1,119 @@
+// server/services/searchIndex.js
+const SearchSection = require('../models/SearchSection');
+const { splitSections } = require('../utils/markdown');
+
+const SNIPPET_RADIUS = 80; // characters of context on each side of a match
+const MAX_SNIPPETS = 3;
+
+/**
+ * Replace the index of one topic source with the given pages
+ * @param {string} projectId
+ * @param {string} source - "live" | "draft"
+ * @param {Array<Object>} pages - ordered { file, content } entries
+ */
+async function indexCourse(projectId, source, pages) {
+  const docs = [];
+  for (const page of pages) {
+    for (const section of splitSections(page.content)) {
+      docs.push({
+        projectId,
+        source,
+        file: page.file,
+        heading: section.heading,
+        anchor: section.anchor,
+        level: section.level,
+        order: docs.length,
+        text: section.text
+      });
+    }
+  }
+
+  await SearchSection.deleteMany({ projectId, source });
+  if (docs.length > 0) {
+    await SearchSection.insertMany(docs);
+  }
+}
+
+/**
+ * Promote the working copy index to the live index (mirrors publishing the files)
+ * @param {string} projectId
+ */
+async function publishCourseIndex(projectId) {
+  const drafts = await SearchSection.find({ projectId, source: 'draft' }).lean();
+  if (drafts.length === 0) return;
+
+  await SearchSection.deleteMany({ projectId, source: 'live' });
+  await SearchSection.insertMany(drafts.map(({ _id, ...section }) => ({ ...section, source: 'live' })));
+  await SearchSection.deleteMany({ projectId, source: 'draft' });
+}
+
+/**
+ * Drop a topic from the index
+ * @param {string} projectId
+ * @param {string|null} source - only this source, or both when null
+ */
+async function removeCourseFromIndex(projectId, source = null) {
+  await SearchSection.deleteMany(source ? { projectId, source } : { projectId });
+}
+
+// Helper: Terms of a query, without quotes and negated words
+function queryTerms(q) {
+  return String(q)
+    .split(/\s+/)
+    .filter(t => t && !t.startsWith('-'))
+    .map(t => t.replace(/["']/g, ''))
+    .filter(t => t.length > 1);
+}
+
+function escapeHtml(str = '') {
+  return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build highlighted snippets around query matches
+ * @param {string} text - plain section text
+ * @param {string} q - search query
+ * @returns {Array<string>} HTML-escaped snippets with matches wrapped in <mark>
+ */
+function buildSnippets(text, q) {
+  const terms = queryTerms(q);
+  if (terms.length === 0) return [];
+
+  const pattern = new RegExp(terms.map(escapeRegExp).join('|'), 'gi');
+  const highlight = (str) => {
+    // Highlight on the raw text, escaping the pieces in between
+    let out = '';
+    let last = 0;
+    for (const m of str.matchAll(pattern)) {
+      out += escapeHtml(str.slice(last, m.index)) + `<mark>${escapeHtml(m[0])}</mark>`;
+      last = m.index + m[0].length;
+    }
+    return out + escapeHtml(str.slice(last));
+  };
+
+  const snippets = [];
+  let coveredUntil = -1;
+  for (const m of text.matchAll(pattern)) {
+    if (m.index < coveredUntil) continue;
+    const start = Math.max(0, m.index - SNIPPET_RADIUS);
+    const end = Math.min(text.length, m.index + m[0].length + SNIPPET_RADIUS);
+    snippets.push(
+      (start > 0 ? '…' : '') + highlight(text.slice(start, end)) + (end < text.length ? '…' : '')
+    );
+    coveredUntil = end;
+    if (snippets.length >= MAX_SNIPPETS) break;
+  }
+
+  return snippets;
+}
+
+module.exports = {
+  indexCourse,
+  publishCourseIndex,
+  removeCourseFromIndex,
+  buildSnippets
+};
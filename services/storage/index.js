@@ -0,0 +1,141 @@
+// server/services/storage/index.js
+// Where topic files live. Everything that reads or writes topic files goes
+// through one of three areas, so the backend can be swapped by configuration:
+//   docs   - live files served to learners at /docs (README.md, index.html, images/, index.json)
+//   drafts - working copies of topics being edited
+//   trash  - files of deleted topics until they are restored or purged
+//
+// STORAGE_DRIVER=local (default) keeps them on disk; STORAGE_DRIVER=s3 keeps them
+// in an S3-compatible bucket (S3_BUCKET, S3_ENDPOINT for MinIO, S3_REGION,
+// S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY) under docs/, drafts/ and trash/.
+//
+// Keys are "/"-separated paths inside an area, e.g. "0001/images/logo.png".
+// Every area offers: read, readText, write, exists, stat, list (files directly
+// in a folder), listFolders (sub-folders of a folder), listAll (every file below
+// a folder), remove, removeAll, serve.
+const path = require('path');
+const { createLocalDriver } = require('./local');
+
+const DRIVER = (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+
+const LOCAL_ROOTS = {
+  docs: path.join(process.cwd(), 'client/public/docs'),
+  drafts: path.join(process.cwd(), 'drafts'),
+  trash: path.join(process.cwd(), 'trash')
+};
+
+let s3Client = null;
+const S3_BUCKET = process.env.S3_BUCKET || 'elib';
+
+// Helper: One S3 client shared by all areas
+function getS3Client() {
+  if (!s3Client) {
+    const { S3Client } = require('@aws-sdk/client-s3');
+    s3Client = new S3Client({
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      // MinIO and most self-hosted stores only support path-style URLs
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+        ? process.env.S3_FORCE_PATH_STYLE === 'true'
+        : !!process.env.S3_ENDPOINT,
+      credentials: process.env.S3_ACCESS_KEY_ID ? {
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+      } : undefined
+    });
+  }
+  return s3Client;
+}
+
+// Helper: Add the shared conveniences to a driver
+function createArea(name) {
+  let driver;
+  if (DRIVER === 's3') {
+    const { createS3Driver } = require('./s3');
+    driver = createS3Driver({ client: getS3Client(), bucket: S3_BUCKET, prefix: `${name}/` });
+  } else if (DRIVER === 'local') {
+    driver = createLocalDriver(LOCAL_ROOTS[name]);
+  } else {
+    throw new Error(`Unknown STORAGE_DRIVER "${DRIVER}" (expected "local" or "s3")`);
+  }
+
+  return {
+    ...driver,
+    area: name,
+
+    async readText(key) {
+      return (await driver.read(key)).toString('utf8');
+    }
+  };
+}
+
+const docs = createArea('docs');
+const drafts = createArea('drafts');
+const trash = createArea('trash');
+
+/**
+ * Copy one file, possibly between areas
+ * @param {Object} from - area
+ * @param {string} fromKey
+ * @param {Object} to - area
+ * @param {string} toKey
+ */
+async function copyFile(from, fromKey, to, toKey) {
+  await to.write(toKey, await from.read(fromKey));
+}
+
+/**
+ * Copy every file below a folder, possibly between areas
+ * @param {Object} from - area
+ * @param {string} fromDir
+ * @param {Object} to - area
+ * @param {string} toDir
+ * @returns {Promise<number>} number of files copied
+ */
+async function copyAll(from, fromDir, to, toDir) {
+  const files = await from.listAll(fromDir);
+  for (const file of files) {
+    await copyFile(from, `${fromDir}/${file}`, to, `${toDir}/${file}`);
+  }
+  return files.length;
+}
+
+/**
+ * Move a folder, replacing whatever is at the destination
+ * @returns {Promise<boolean>} false if there was nothing to move
+ */
+async function moveAll(from, fromDir, to, toDir) {
+  if ((await from.listAll(fromDir)).length === 0) return false;
+  await to.removeAll(toDir);
+  await copyAll(from, fromDir, to, toDir);
+  await from.removeAll(fromDir);
+  return true;
+}
+
+/**
+ * Prepare the backend (creates the bucket on a fresh MinIO)
+ */
+async function init() {
+  if (DRIVER !== 's3') return;
+
+  const { HeadBucketCommand, CreateBucketCommand } = require('@aws-sdk/client-s3');
+  const client = getS3Client();
+  try {
+    await client.send(new HeadBucketCommand({ Bucket: S3_BUCKET }));
+  } catch (err) {
+    if (err.$metadata?.httpStatusCode !== 404) throw err;
+    await client.send(new CreateBucketCommand({ Bucket: S3_BUCKET }));
+    console.log(`🪣 Storage bucket created: ${S3_BUCKET}`);
+  }
+}
+
+module.exports = {
+  driver: DRIVER,
+  docs,
+  drafts,
+  trash,
+  copyFile,
+  copyAll,
+  moveAll,
+  init
+};
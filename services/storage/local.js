@@ -0,0 +1,89 @@
+// server/services/storage/local.js
+// Storage driver that keeps files in a directory on the local file system.
+const path = require('path');
+const fs = require('fs').promises;
+const express = require('express');
+
+/**
+ * Create a driver rooted at a directory
+ * @param {string} root - absolute directory path
+ * @returns {Object} storage driver (see services/storage/index.js)
+ */
+function createLocalDriver(root) {
+  // Helper: Absolute path of a key, refusing anything outside the root
+  function resolve(key = '') {
+    const full = path.resolve(root, key);
+    if (full !== root && !full.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return full;
+  }
+
+  // Helper: Every file below a directory, as paths relative to it
+  async function walk(dir, prefix = '') {
+    const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+    const files = [];
+    for (const entry of entries) {
+      const rel = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        files.push(...await walk(path.join(dir, entry.name), rel));
+      } else if (entry.isFile()) {
+        files.push(rel);
+      }
+    }
+    return files;
+  }
+
+  return {
+    name: 'local',
+    location: root,
+
+    async read(key) {
+      return fs.readFile(resolve(key));
+    },
+
+    async write(key, data) {
+      const full = resolve(key);
+      await fs.mkdir(path.dirname(full), { recursive: true });
+      await fs.writeFile(full, data);
+    },
+
+    async exists(key) {
+      return fs.access(resolve(key)).then(() => true).catch(() => false);
+    },
+
+    async stat(key) {
+      const stats = await fs.stat(resolve(key)).catch(() => null);
+      if (!stats || !stats.isFile()) return null;
+      return { size: stats.size, modifiedAt: stats.mtime };
+    },
+
+    async list(prefix) {
+      const entries = await fs.readdir(resolve(prefix), { withFileTypes: true }).catch(() => []);
+      return entries.filter(e => e.isFile()).map(e => e.name);
+    },
+
+    async listFolders(prefix) {
+      const entries = await fs.readdir(resolve(prefix), { withFileTypes: true }).catch(() => []);
+      return entries.filter(e => e.isDirectory()).map(e => e.name);
+    },
+
+    async listAll(prefix) {
+      return walk(resolve(prefix));
+    },
+
+    async remove(key) {
+      return fs.rm(resolve(key), { force: true });
+    },
+
+    async removeAll(prefix) {
+      return fs.rm(resolve(prefix), { recursive: true, force: true });
+    },
+
+    serve() {
+      return express.static(root);
+    }
+  };
+}
+
+module.exports = { createLocalDriver };
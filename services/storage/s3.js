@@ -0,0 +1,197 @@
+// server/services/storage/s3.js
+// Storage driver for S3-compatible object stores (AWS S3, MinIO, ...).
+// Keys live under a prefix in one bucket; "directories" are key prefixes.
+const path = require('path');
+const {
+  GetObjectCommand,
+  PutObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+  DeleteObjectCommand,
+  DeleteObjectsCommand
+} = require('@aws-sdk/client-s3');
+
+const CONTENT_TYPES = {
+  '.md': 'text/markdown; charset=utf-8',
+  '.html': 'text/html; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+  '.webp': 'image/webp'
+};
+
+// Helper: Content-Type stored with (and served for) an object
+function contentTypeFor(key) {
+  return CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+}
+
+// Helper: SDK "not found" errors look different per call
+function isNotFound(err) {
+  return err.name === 'NoSuchKey' || err.name === 'NotFound' || err.$metadata?.httpStatusCode === 404;
+}
+
+/**
+ * Create a driver for one prefix of a bucket
+ * @param {Object} options
+ * @param {S3Client} options.client
+ * @param {string} options.bucket
+ * @param {string} options.prefix - e.g. "docs/"
+ * @returns {Object} storage driver (see services/storage/index.js)
+ */
+function createS3Driver({ client, bucket, prefix }) {
+  // Helper: Object key of a storage key, refusing path tricks
+  function toKey(key = '') {
+    const clean = String(key).replace(/\\/g, '/').replace(/^\/+/, '');
+    if (clean.split('/').includes('..')) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return prefix + clean;
+  }
+
+  // Helper: Object key prefix of a "directory"
+  function toDir(dir = '') {
+    const key = toKey(dir);
+    return key.endsWith('/') ? key : `${key}/`;
+  }
+
+  // Helper: Every object key (or, with a delimiter, every sub-prefix too) below a prefix
+  async function listKeys(dirKey, delimiter, folders = []) {
+    const keys = [];
+    let token;
+    do {
+      const page = await client.send(new ListObjectsV2Command({
+        Bucket: bucket,
+        Prefix: dirKey,
+        Delimiter: delimiter,
+        ContinuationToken: token
+      }));
+      (page.Contents || []).forEach(obj => keys.push(obj.Key));
+      (page.CommonPrefixes || []).forEach(p => folders.push(p.Prefix));
+      token = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (token);
+    return keys;
+  }
+
+  const driver = {
+    name: 's3',
+    location: `s3://${bucket}/${prefix}`,
+
+    async read(key) {
+      try {
+        const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: toKey(key) }));
+        return Buffer.from(await result.Body.transformToByteArray());
+      } catch (err) {
+        if (isNotFound(err)) err.code = 'ENOENT';
+        throw err;
+      }
+    },
+
+    async write(key, data) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: toKey(key),
+        Body: data,
+        ContentType: contentTypeFor(key)
+      }));
+    },
+
+    async exists(key) {
+      return (await driver.stat(key)) !== null;
+    },
+
+    async stat(key) {
+      try {
+        const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: toKey(key) }));
+        return { size: head.ContentLength, modifiedAt: head.LastModified };
+      } catch (err) {
+        if (isNotFound(err)) return null;
+        throw err;
+      }
+    },
+
+    async list(dir) {
+      const dirKey = toDir(dir);
+      return (await listKeys(dirKey, '/')).map(k => k.slice(dirKey.length));
+    },
+
+    async listFolders(dir) {
+      const dirKey = toDir(dir);
+      const folders = [];
+      await listKeys(dirKey, '/', folders);
+      return folders.map(p => p.slice(dirKey.length).replace(/\/$/, ''));
+    },
+
+    async listAll(dir) {
+      const dirKey = toDir(dir);
+      return (await listKeys(dirKey)).map(k => k.slice(dirKey.length));
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: toKey(key) }));
+    },
+
+    async removeAll(dir) {
+      const keys = await listKeys(toDir(dir));
+      // DeleteObjects takes at most 1000 keys per request
+      for (let i = 0; i < keys.length; i += 1000) {
+        await client.send(new DeleteObjectsCommand({
+          Bucket: bucket,
+          Delete: { Objects: keys.slice(i, i + 1000).map(Key => ({ Key })), Quiet: true }
+        }));
+      }
+    },
+
+    // Express middleware streaming objects the way express.static serves files
+    serve() {
+      return async (req, res, next) => {
+        if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+
+        let key;
+        try {
+          key = decodeURIComponent(req.path).replace(/^\/+/, '');
+          if (key === '' || key.endsWith('/')) key += 'index.html';
+          toKey(key);
+        } catch (err) {
+          return next();
+        }
+
+        try {
+          const result = await client.send(new GetObjectCommand({
+            Bucket: bucket,
+            Key: toKey(key),
+            IfNoneMatch: req.headers['if-none-match']
+          }));
+          res.set({
+            'Content-Type': result.ContentType || contentTypeFor(key),
+            'Content-Length': result.ContentLength,
+            'Last-Modified': result.LastModified && result.LastModified.toUTCString(),
+            ETag: result.ETag
+          });
+          if (req.method === 'HEAD') {
+            result.Body.destroy();
+            return res.end();
+          }
+          result.Body.on('error', next).pipe(res);
+        } catch (err) {
+          if (err.$metadata?.httpStatusCode === 304) return res.status(304).end();
+          if (!isNotFound(err)) return next(err);
+
+          // "/docs/0001" -> "/docs/0001/" like express.static does for directories
+          if (!path.extname(key) && await driver.exists(`${key}/index.html`)) {
+            return res.redirect(301, `${req.originalUrl.split('?')[0]}/`);
+          }
+          next();
+        }
+      };
+    }
+  };
+
+  return driver;
+}
+
+module.exports = { createS3Driver };
@@ -0,0 +1,252 @@
+// server/services/taxonomy.js
+// Keyword taxonomy: canonical terms, synonyms and a parent/child hierarchy
+// applied to Course.keywords and Program.category.
+const Tag = require('../models/Tag');
+const Course = require('../models/Course');
+const Program = require('../models/Programs');
+const { escapeRegex } = require('../utils/listQuery');
+
+// Documents and fields that carry tags
+const TAGGED_FIELDS = [
+  { Model: Course, field: 'keywords' },
+  { Model: Program, field: 'category' }
+];
+
+/**
+ * Normalize a term for matching ("  Java Script " -> "java script")
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeTag(text) {
+  return String(text || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Load every tag with lookups by key and by any spelling
+ * @returns {Promise<Object>} { tags, byKey, byTerm, children }
+ */
+async function loadTaxonomy() {
+  const tags = await Tag.find({}).sort({ name: 1 }).lean();
+  const byKey = new Map();
+  const byTerm = new Map();
+  const children = new Map();
+
+  for (const tag of tags) {
+    byKey.set(tag.key, tag);
+    byTerm.set(tag.key, tag);
+    tag.synonyms.forEach(s => byTerm.set(s, tag));
+    if (tag.parent) {
+      if (!children.has(tag.parent)) children.set(tag.parent, []);
+      children.get(tag.parent).push(tag.key);
+    }
+  }
+
+  return { tags, byKey, byTerm, children };
+}
+
+// Helper: A tag and all tags below it
+function descendantKeys(taxonomy, key) {
+  const keys = [key];
+  for (let i = 0; i < keys.length; i++) {
+    (taxonomy.children.get(keys[i]) || []).forEach(k => {
+      if (!keys.includes(k)) keys.push(k);
+    });
+  }
+  return keys;
+}
+
+// Helper: Every spelling of a term (and of its narrower terms)
+function spellingsOf(taxonomy, term) {
+  const tag = taxonomy.byTerm.get(normalizeTag(term));
+  if (!tag) return [normalizeTag(term)];
+  return descendantKeys(taxonomy, tag.key)
+    .flatMap(k => [k, ...taxonomy.byKey.get(k).synonyms]);
+}
+
+/**
+ * Replace known spellings with their canonical name and drop duplicates
+ * Unknown terms are kept as typed, so the taxonomy can be adopted gradually.
+ * @param {Array<string>|string} values - array or comma separated string
+ * @returns {Promise<Array<string>>}
+ */
+async function canonicalizeTags(values) {
+  const list = (Array.isArray(values) ? values : String(values || '').split(','))
+    .map(v => String(v).trim().replace(/\s+/g, ' '))
+    .filter(Boolean);
+  if (list.length === 0) return [];
+
+  const taxonomy = await loadTaxonomy();
+  const seen = new Set();
+  const result = [];
+  for (const value of list) {
+    const tag = taxonomy.byTerm.get(normalizeTag(value));
+    const name = tag ? tag.name : value;
+    if (!seen.has(normalizeTag(name))) {
+      seen.add(normalizeTag(name));
+      result.push(name);
+    }
+  }
+  return result;
+}
+
+/**
+ * Mongo condition matching documents tagged with every requested term
+ * A term also matches its synonyms and narrower terms ("programming" finds "javascript").
+ * @param {string} field - "keywords" | "category"
+ * @param {Array<string>|string} value - requested terms
+ * @returns {Promise<Object|null>}
+ */
+async function buildTagFilter(field, value) {
+  const terms = (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(v => v.trim())
+    .filter(Boolean);
+  if (terms.length === 0) return null;
+
+  const taxonomy = await loadTaxonomy();
+  const conditions = terms.map(term => ({
+    [field]: { $in: spellingsOf(taxonomy, term).map(s => new RegExp(`^\\s*${escapeRegex(s)}\\s*$`, 'i')) }
+  }));
+  return conditions.length === 1 ? conditions[0] : { $and: conditions };
+}
+
+/**
+ * Rename every use of the given spellings to one name, in all tagged documents
+ * @param {Array<string>} fromTerms - spellings to replace (any case)
+ * @param {string} toName - replacement
+ * @returns {Promise<Object>} { courses, programs } number of documents rewritten
+ */
+async function rewriteTags(fromTerms, toName) {
+  const from = new Set(fromTerms.map(normalizeTag));
+  const counts = {};
+
+  for (const { Model, field } of TAGGED_FIELDS) {
+    const regexes = [...from].map(t => new RegExp(`^\\s*${escapeRegex(t)}\\s*$`, 'i'));
+    const docs = await Model.find({ [field]: { $in: regexes } }).select(field).lean();
+
+    const ops = docs.map(doc => {
+      const seen = new Set();
+      const values = [];
+      for (const value of doc[field]) {
+        const next = from.has(normalizeTag(value)) ? toName : value;
+        if (!seen.has(normalizeTag(next))) {
+          seen.add(normalizeTag(next));
+          values.push(next);
+        }
+      }
+      return { updateOne: { filter: { _id: doc._id }, update: { $set: { [field]: values } } } };
+    });
+
+    if (ops.length > 0) await Model.bulkWrite(ops);
+    counts[Model === Course ? 'courses' : 'programs'] = ops.length;
+  }
+
+  return counts;
+}
+
+/**
+ * Merge duplicate terms into one canonical tag
+ * Merged tags become synonyms of the target, their children move under it,
+ * and every document using any of their spellings is rewritten.
+ * @param {Array<string>} fromTerms - tag keys or free-text spellings
+ * @param {string} intoKey - key of the tag to keep
+ * @param {string} actor - admin email
+ * @returns {Promise<Object>} { tag, merged, rewritten } or { status, error }
+ */
+async function mergeTags(fromTerms, intoKey, actor) {
+  const taxonomy = await loadTaxonomy();
+  const target = taxonomy.byKey.get(normalizeTag(intoKey));
+  if (!target) return { status: 404, error: `Tag "${intoKey}" not found` };
+
+  const spellings = new Set();
+  const mergedKeys = [];
+  for (const term of fromTerms) {
+    const tag = taxonomy.byTerm.get(normalizeTag(term));
+    if (tag && tag.key === target.key) continue;
+    if (tag) {
+      if (descendantKeys(taxonomy, tag.key).includes(target.key)) {
+        return { status: 400, error: `Cannot merge "${tag.name}" into its own narrower term` };
+      }
+      mergedKeys.push(tag.key);
+      [tag.key, ...tag.synonyms].forEach(s => spellings.add(s));
+    } else {
+      spellings.add(normalizeTag(term));
+    }
+  }
+  spellings.delete('');
+  if (spellings.size === 0) return { status: 400, error: 'Nothing to merge' };
+
+  // Fold the merged spellings into the target
+  const synonyms = [...new Set([...target.synonyms, ...spellings])].filter(s => s !== target.key);
+  await Tag.updateOne({ key: target.key }, {
+    $set: { synonyms, lastModifiedBy: actor, lastModifiedAt: new Date() }
+  });
+  if (mergedKeys.length > 0) {
+    await Tag.updateMany({ parent: { $in: mergedKeys } }, { $set: { parent: target.key } });
+    await Tag.deleteMany({ key: { $in: mergedKeys } });
+  }
+
+  // The target's own spellings are normalized to its canonical name too
+  const rewritten = await rewriteTags([...spellings, target.key, ...target.synonyms], target.name);
+
+  console.log(`🏷️ Merged ${[...spellings].join(', ')} into "${target.name}" by ${actor}`);
+
+  return {
+    tag: await Tag.findOne({ key: target.key }).lean(),
+    merged: [...spellings],
+    rewritten
+  };
+}
+
+/**
+ * Count documents per canonical tag
+ * Spellings of the same tag count once per document; unmanaged terms are listed too.
+ * @param {Model} Model - Course or Program
+ * @param {string} field - "keywords" | "category"
+ * @param {Object} filter - the listing's filter
+ * @returns {Promise<Array<Object>>} { name, key, parent, count, managed }, most used first
+ */
+async function facetCounts(Model, field, filter) {
+  const pairs = await Model.aggregate([
+    { $match: filter },
+    { $project: { term: `$${field}` } },
+    { $unwind: '$term' },
+    { $group: { _id: { doc: '$_id', term: { $toLower: { $trim: { input: '$term' } } } }, spelling: { $first: '$term' } } }
+  ]);
+
+  const taxonomy = await loadTaxonomy();
+  const counted = new Set();
+  const facets = new Map();
+
+  for (const { _id, spelling } of pairs) {
+    const term = normalizeTag(_id.term);
+    if (!term) continue;
+    const tag = taxonomy.byTerm.get(term);
+    const key = tag ? tag.key : term;
+    const docKey = `${_id.doc}|${key}`;
+    if (counted.has(docKey)) continue;
+    counted.add(docKey);
+
+    if (!facets.has(key)) {
+      facets.set(key, {
+        name: tag ? tag.name : String(spelling).trim(),
+        key,
+        parent: tag ? tag.parent : null,
+        count: 0,
+        managed: !!tag
+      });
+    }
+    facets.get(key).count++;
+  }
+
+  return [...facets.values()].sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+module.exports = {
+  normalizeTag,
+  loadTaxonomy,
+  canonicalizeTags,
+  buildTagFilter,
+  rewriteTags,
+  mergeTags,
+  facetCounts
+};
@@ -0,0 +1,222 @@
+// server/services/trash.js
+// Soft delete for topics, programs and modules. Deleted documents are
+// snapshotted into TrashItem, topic files are moved under trash/, and IDs
+// stay reserved until the item is purged (by hand or after the retention period).
+const Course = require('../models/Course');
+const CourseRevision = require('../models/CourseRevision');
+const Program = require('../models/Programs');
+const Module = require('../models/Module');
+const ReviewEvent = require('../models/ReviewEvent');
+const CommentThread = require('../models/CommentThread');
+const QaThread = require('../models/QaThread');
+const QaAnswer = require('../models/QaAnswer');
+const TrashItem = require('../models/TrashItem');
+const Question = require('../models/Quiz/Question');
+const { indexCourse, removeCourseFromIndex } = require('./searchIndex');
+const { releaseId } = require('./idAllocator');
+const storage = require('./storage');
+const contentRepo = require('./contentRepo');
+
+const RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+const MODELS = {
+  course: { Model: Course, key: 'projectId' },
+  program: { Model: Program, key: 'programId' },
+  module: { Model: Module, key: 'moduleId' }
+};
+
+let timer = null;
+
+// Helper: Error with an HTTP status for the routes to pass on
+function trashError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Helper: Where a topic's live files and working copy go while in the trash
+function courseTrashDirs(projectId) {
+  const base = `courses/${projectId}`;
+  return { base, live: `${base}/live`, draft: `${base}/draft` };
+}
+
+// Helper: Rebuild the search index of a restored topic from its files
+async function reindexCourse(projectId, pages) {
+  const readPages = (area) => Promise.all(pages.map(async p => ({
+    file: p.file,
+    content: await area.readText(`${projectId}/${p.file}`).catch(() => '')
+  })));
+
+  await indexCourse(projectId, 'live', await readPages(storage.docs));
+  if ((await storage.drafts.list(projectId)).length > 0) {
+    await indexCourse(projectId, 'draft', await readPages(storage.drafts));
+  }
+}
+
+/**
+ * Move a topic, program or module to the trash
+ * @param {string} type - "course" | "program" | "module"
+ * @param {Document} doc - the document being deleted
+ * @param {Object} options - { deletedBy, context }
+ * @returns {Promise<Document>} the TrashItem
+ */
+async function moveToTrash(type, doc, { deletedBy, context = {} }) {
+  const { Model, key } = MODELS[type];
+  const itemId = doc[key];
+  const now = new Date();
+
+  const item = await TrashItem.create({
+    type,
+    itemId,
+    title: doc.title,
+    data: doc.toObject({ depopulate: true }),
+    context,
+    deletedBy,
+    deletedAt: now,
+    purgeAfter: new Date(now.getTime() + RETENTION_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  // Files first and the document last, so a failure leaves the item where it was
+  const dirs = type === 'course' ? courseTrashDirs(itemId) : null;
+  try {
+    if (dirs) {
+      await storage.moveAll(storage.docs, itemId, storage.trash, dirs.live);
+      await storage.moveAll(storage.drafts, itemId, storage.trash, dirs.draft);
+    }
+    await Model.deleteOne({ [key]: itemId });
+  } catch (err) {
+    if (dirs) {
+      // Copy back over what is left instead of replacing it: a move that failed
+      // while copying left the originals in place and only part of them in trash/
+      try {
+        await storage.copyAll(storage.trash, dirs.live, storage.docs, itemId);
+        await storage.copyAll(storage.trash, dirs.draft, storage.drafts, itemId);
+        await storage.trash.removeAll(dirs.base);
+      } catch (moveErr) {
+        console.error(`Error moving ${itemId} files back from trash:`, moveErr);
+      }
+    }
+    await TrashItem.deleteOne({ _id: item._id }).catch(() => {});
+    throw err;
+  }
+
+  if (dirs) {
+    await removeCourseFromIndex(itemId)
+      .catch(err => console.error(`Error removing ${itemId} from search index:`, err));
+  }
+
+  console.log(`🗑️ ${type} ${itemId} moved to trash by ${deletedBy}`);
+  return item;
+}
+
+/**
+ * Put a trashed item back where it was
+ * @param {Document} item - TrashItem
+ * @returns {Promise<Document>} the restored document
+ */
+async function restoreFromTrash(item) {
+  const { Model, key } = MODELS[item.type];
+
+  if (await Model.exists({ [key]: item.itemId })) {
+    throw trashError(409, `${item.itemId} already exists`);
+  }
+
+  if (item.type === 'module') {
+    const program = await Program.findOne({ programId: item.data.programId });
+    if (!program) {
+      throw trashError(409, `Program ${item.data.programId} no longer exists. Restore it first.`);
+    }
+    if (!program.modules.some(m => m.moduleId === item.itemId)) {
+      const order = item.context.order !== undefined ? item.context.order : program.modules.length;
+      program.modules.push({ moduleId: item.itemId, order });
+      program.modules.sort((a, b) => a.order - b.order);
+      await program.save();
+    }
+  }
+
+  const doc = await Model.create(item.data);
+
+  if (item.type === 'course') {
+    const dirs = courseTrashDirs(item.itemId);
+    await storage.moveAll(storage.trash, dirs.live, storage.docs, item.itemId);
+    await storage.moveAll(storage.trash, dirs.draft, storage.drafts, item.itemId);
+    await storage.trash.removeAll(dirs.base);
+    await reindexCourse(item.itemId, doc.getPages())
+      .catch(err => console.error(`Error reindexing ${item.itemId}:`, err));
+  }
+
+  await TrashItem.deleteOne({ _id: item._id });
+
+  console.log(`♻️ ${item.type} ${item.itemId} restored from trash`);
+  return doc;
+}
+
+/**
+ * Delete a trashed item for good and free its ID
+ * @param {Document} item - TrashItem
+ */
+async function purgeTrashItem(item) {
+  if (item.type === 'course') {
+    await storage.trash.removeAll(courseTrashDirs(item.itemId).base);
+    if (contentRepo.isEnabled()) {
+      await contentRepo.removeFiles(item.itemId, null, { message: `Purge topic ${item.itemId}` })
+        .catch(err => console.error(`Error removing ${item.itemId} from the content repository:`, err));
+    }
+    // The ID gets reused, so nothing of the old topic may stay attached to it
+    await CourseRevision.deleteMany({ projectId: item.itemId });
+    await Question.deleteMany({ courseId: item.itemId });
+    await ReviewEvent.deleteMany({ targetType: 'course', targetId: item.itemId });
+    await CommentThread.deleteMany({ projectId: item.itemId });
+    await QaThread.deleteMany({ projectId: item.itemId });
+    await QaAnswer.deleteMany({ projectId: item.itemId });
+  }
+  if (item.type === 'program') {
+    await ReviewEvent.deleteMany({ targetType: 'program', targetId: item.itemId });
+  }
+
+  await TrashItem.deleteOne({ _id: item._id });
+  await releaseId(item.type, item.itemId);
+
+  console.log(`🔥 ${item.type} ${item.itemId} purged from trash`);
+}
+
+/**
+ * Purge everything past its retention period
+ * @returns {Promise<number>} number of purged items
+ */
+async function purgeExpired() {
+  const expired = await TrashItem.find({ purgeAfter: { $lte: new Date() } });
+  for (const item of expired) {
+    await purgeTrashItem(item)
+      .catch(err => console.error(`Error purging ${item.type} ${item.itemId}:`, err));
+  }
+  return expired.length;
+}
+
+// Start purging expired trash in the background (hourly)
+function start(intervalMs = PURGE_INTERVAL_MS) {
+  if (timer) return;
+  const tick = () => purgeExpired()
+    .catch(error => console.error('Error purging trash:', error));
+
+  timer = setInterval(tick, intervalMs);
+  timer.unref();
+  tick();
+  console.log(`🗑️ Trash auto-purge started (retention ${RETENTION_DAYS} days)`);
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  RETENTION_DAYS,
+  moveToTrash,
+  restoreFromTrash,
+  purgeTrashItem,
+  purgeExpired,
+  start,
+  stop
+};
@@ -0,0 +1,416 @@
+// server/services/webhooks.js
+// Outbound webhooks. Route handlers call emit() after a change; every active
+// subscription for the event gets a WebhookDelivery that is POSTed right away
+// and retried with exponential backoff until it succeeds or runs out of attempts.
+//
+// Each request carries:
+//   X-Elib-Event      event name, e.g. "course.published"
+//   X-Elib-Delivery   delivery ID (the same across retries)
+//   X-Elib-Timestamp  unix seconds when the attempt was signed
+//   X-Elib-Signature  "sha256=" + HMAC-SHA256(secret, "<timestamp>.<raw body>")
+//
+// WEBHOOK_MAX_ATTEMPTS (default 6), WEBHOOK_RETRY_BASE_MS (default 30s, doubled
+// per attempt) and WEBHOOK_TIMEOUT_MS (default 10s) tune delivery.
+//
+// Receivers must be public hosts: URLs resolving to loopback, private, link-local
+// or other reserved addresses are refused when subscribing and again when
+// connecting (WEBHOOK_ALLOW_PRIVATE=true lifts this for local development).
+// Only the receiver's status code is kept, never its response body.
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS) || 30 * 1000;
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000;
+const RETRY_INTERVAL_MS = 15 * 1000;
+// How long a claimed delivery is hidden from other workers while it is sent
+const CLAIM_LEASE_MS = TIMEOUT_MS + 30 * 1000;
+
+const EVENTS = [
+  'course.created',
+  'course.updated',
+  'course.published',
+  'course.unpublished',
+  'course.deleted',
+  'program.created',
+  'program.updated',
+  'program.published',
+  'program.unpublished',
+  'program.deleted',
+  'module.created',
+  'module.updated',
+  'module.deleted',
+  'module.reordered',
+  'quiz.activated',
+  'quiz.closed'
+];
+
+const ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === 'true';
+
+// Address ranges webhooks may not be sent to (IPv4-mapped IPv6 addresses match the IPv4 rules)
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+let timer = null;
+let running = false;
+
+/**
+ * Generate a signing secret for a new subscription
+ * @returns {string}
+ */
+function generateSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Signature header value for a request body
+ * @param {string} secret
+ * @param {number} timestamp - unix seconds
+ * @param {string} body - raw JSON body
+ * @returns {string} "sha256=<hex>"
+ */
+function sign(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Delay before the next attempt after the given number of failed attempts
+ * @param {number} failed
+ * @returns {number} milliseconds
+ */
+function retryDelay(failed) {
+  return RETRY_BASE_MS * 2 ** (failed - 1);
+}
+
+/**
+ * Whether webhooks may be sent to an IP address
+ * @param {string} address
+ * @returns {boolean}
+ */
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return ALLOW_PRIVATE || !BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Check that a webhook URL points at a public host
+ * @param {string} url
+ * @returns {Promise<string|null>} reason it is refused, null when allowed
+ */
+async function checkTarget(url) {
+  let parsed;
+  try {
+    parsed = new URL(String(url));
+  } catch {
+    return 'url must be a valid URL';
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return 'url must use http or https';
+  }
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+  } catch {
+    return `Host ${host} could not be resolved`;
+  }
+  if (addresses.length === 0 || !addresses.every(a => isPublicAddress(a.address))) {
+    return `Host ${host} resolves to a private or reserved address`;
+  }
+  return null;
+}
+
+// Helper: dns.lookup that fails for non-public addresses, so a host that starts
+// resolving elsewhere after subscribing is still refused when connecting
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find(a => !isPublicAddress(a.address));
+    if (blocked) {
+      const error = new Error(`${hostname} resolves to a private or reserved address`);
+      error.code = 'EBLOCKEDADDRESS';
+      return callback(error);
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: publicLookup });
+const httpsAgent = new https.Agent({ lookup: publicLookup });
+
+// Event payload fields of a topic, program or module (no page content)
+function courseData(course) {
+  return {
+    projectId: course.projectId,
+    title: course.title,
+    slug: course.slug,
+    status: course.status,
+    reviewStatus: course.reviewStatus,
+    keywords: course.keywords,
+    createdBy: course.createdBy,
+    lastModifiedBy: course.lastModifiedBy,
+    lastModifiedAt: course.lastModifiedAt
+  };
+}
+
+function programData(program) {
+  return {
+    programId: program.programId,
+    title: program.title,
+    slug: program.slug,
+    status: program.status,
+    reviewStatus: program.reviewStatus,
+    topicIds: program.topicIds,
+    createdBy: program.createdBy,
+    lastModifiedBy: program.lastModifiedBy,
+    lastModifiedAt: program.lastModifiedAt
+  };
+}
+
+function moduleData(module) {
+  return {
+    moduleId: module.moduleId,
+    programId: module.programId,
+    title: module.title,
+    order: module.order,
+    topicIds: module.topicIds,
+    lastModifiedBy: module.lastModifiedBy,
+    lastModifiedAt: module.lastModifiedAt
+  };
+}
+
+// Helper: Send one attempt of a delivery and record the outcome
+async function attemptDelivery(delivery) {
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+  if (!webhook || !webhook.active) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+    delivery.attempts.push({ error: webhook ? 'Webhook is disabled' : 'Webhook was deleted' });
+    await delivery.save();
+    return delivery;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+  const attempt = { at: new Date(started) };
+
+  // Literal IPs never go through lookup, so the URL is checked before sending as well
+  const refused = await checkTarget(webhook.url);
+
+  if (refused) {
+    attempt.error = refused;
+  } else {
+    try {
+      const response = await axios.post(webhook.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'E-Lib-Webhooks/1.0',
+          'X-Elib-Event': delivery.event,
+          'X-Elib-Delivery': String(delivery._id),
+          'X-Elib-Timestamp': String(timestamp),
+          'X-Elib-Signature': sign(webhook.secret, timestamp, body)
+        },
+        timeout: TIMEOUT_MS,
+        maxRedirects: 0,
+        httpAgent,
+        httpsAgent,
+        // Only the status is used; the body is discarded unread
+        responseType: 'stream',
+        validateStatus: () => true
+      });
+      response.data.destroy();
+      attempt.responseStatus = response.status;
+      if (response.status < 200 || response.status >= 300) {
+        attempt.error = `HTTP ${response.status}`;
+      }
+    } catch (err) {
+      attempt.error = err.code ? `${err.code}: ${err.message}` : err.message;
+    }
+  }
+  attempt.durationMs = Date.now() - started;
+  delivery.attempts.push(attempt);
+
+  if (!attempt.error) {
+    delivery.status = 'succeeded';
+    delivery.deliveredAt = new Date();
+    delivery.nextAttemptAt = null;
+  } else if (delivery.attempts.length >= MAX_ATTEMPTS) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+  } else {
+    delivery.status = 'pending';
+    delivery.nextAttemptAt = new Date(Date.now() + retryDelay(delivery.attempts.length));
+  }
+  await delivery.save();
+
+  // Subscription health for the admin UI
+  const succeeded = delivery.status === 'succeeded';
+  await Webhook.updateOne({ _id: webhook._id }, succeeded
+    ? { $set: { lastDeliveryAt: attempt.at, lastDeliveryStatus: 'succeeded', consecutiveFailures: 0 } }
+    : { $set: { lastDeliveryAt: attempt.at, lastDeliveryStatus: 'failed' }, $inc: { consecutiveFailures: 1 } });
+
+  if (delivery.status === 'failed') {
+    console.error(`❌ Webhook delivery ${delivery._id} (${delivery.event}) to ${webhook.url} gave up after ${delivery.attempts.length} attempt(s): ${attempt.error}`);
+  }
+  return delivery;
+}
+
+// Helper: Atomically take one due delivery so two servers never send it at once
+function claimDue(now) {
+  return WebhookDelivery.findOneAndUpdate(
+    { status: 'pending', nextAttemptAt: { $ne: null, $lte: now } },
+    { $set: { nextAttemptAt: new Date(now.getTime() + CLAIM_LEASE_MS) } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+}
+
+/**
+ * Send every delivery whose (next) attempt is due
+ * @returns {Promise<number>} number of attempts made
+ */
+async function processDue() {
+  if (running) return 0;
+  running = true;
+  try {
+    let count = 0;
+    let delivery;
+    while ((delivery = await claimDue(new Date()))) {
+      try {
+        await attemptDelivery(delivery);
+      } catch (error) {
+        console.error(`Error delivering webhook ${delivery._id}:`, error);
+      }
+      count++;
+    }
+    return count;
+  } finally {
+    running = false;
+  }
+}
+
+// Helper: Payload sent for an event
+function buildPayload(event, data, actor) {
+  return { event, occurredAt: new Date().toISOString(), actor: actor || null, data };
+}
+
+/**
+ * Queue an event for every active subscription and start sending it
+ * Never throws: a webhook problem must not fail the request that caused the event.
+ * @param {string} event - one of EVENTS
+ * @param {Object} data - event fields (courseData, programData, ...)
+ * @param {string} actor - admin or user email behind the change
+ * @returns {Promise<number>} number of deliveries queued
+ */
+async function emit(event, data, actor) {
+  try {
+    const webhooks = await Webhook.find({ active: true, events: { $in: [event, '*'] } }).select('_id');
+    if (webhooks.length === 0) return 0;
+
+    const payload = buildPayload(event, data, actor);
+    const now = new Date();
+    await WebhookDelivery.insertMany(webhooks.map(w => ({
+      webhook: w._id,
+      event,
+      payload,
+      nextAttemptAt: now
+    })));
+
+    processDue().catch(error => console.error('Error sending webhooks:', error));
+    return webhooks.length;
+  } catch (error) {
+    console.error(`Error queueing webhook event ${event}:`, error);
+    return 0;
+  }
+}
+
+/**
+ * Send a test event to one subscription and wait for the outcome
+ * @param {Document} webhook
+ * @param {string} actor
+ * @returns {Promise<Document>} the delivery
+ */
+async function ping(webhook, actor) {
+  const delivery = await WebhookDelivery.create({
+    webhook: webhook._id,
+    event: 'ping',
+    payload: buildPayload('ping', { webhookId: String(webhook._id), events: webhook.events }, actor),
+    requestedBy: actor
+  });
+  return attemptDelivery(delivery);
+}
+
+/**
+ * Send an earlier delivery's payload again as a new delivery and wait for the first attempt
+ * Failed attempts are retried like any other delivery.
+ * @param {Document} delivery - the original
+ * @param {string} actor
+ * @returns {Promise<Document>} the new delivery
+ */
+async function redeliver(delivery, actor) {
+  const copy = await WebhookDelivery.create({
+    webhook: delivery.webhook,
+    event: delivery.event,
+    payload: delivery.payload,
+    redeliveryOf: delivery._id,
+    requestedBy: actor
+  });
+  return attemptDelivery(copy);
+}
+
+/**
+ * Start retrying due deliveries in the background
+ * @param {number} intervalMs - defaults to WEBHOOK_RETRY_INTERVAL_MS or 15 seconds
+ */
+function start(intervalMs = Number(process.env.WEBHOOK_RETRY_INTERVAL_MS) || RETRY_INTERVAL_MS) {
+  if (timer) return;
+  const tick = () => processDue()
+    .catch(error => console.error('Error retrying webhooks:', error));
+
+  timer = setInterval(tick, intervalMs);
+  timer.unref();
+  tick();
+  console.log(`🪝 Webhook delivery started (retries every ${Math.round(intervalMs / 1000)}s, up to ${MAX_ATTEMPTS} attempts)`);
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  EVENTS,
+  MAX_ATTEMPTS,
+  generateSecret,
+  sign,
+  retryDelay,
+  checkTarget,
+  courseData,
+  programData,
+  moduleData,
+  emit,
+  ping,
+  redeliver,
+  processDue,
+  start,
+  stop
+};
@@ -0,0 +1,146 @@
+// server/utils/concurrency.js
+// Optimistic concurrency for documents with a numeric `version` field.
+// Reads expose the version as an ETag; writes send it back in If-Match
+// (or as `version` in the body) and get a 409 when someone saved in between.
+
+/**
+ * ETag for a document version
+ * @param {Object} doc - document with a `version` field
+ * @returns {string} e.g. "v12"
+ */
+function versionEtag(doc) {
+  return `"v${doc.version || 0}"`;
+}
+
+/**
+ * Read the version the client based its edit on
+ * @param {Object} req
+ * @returns {number|null} expected version, null when not sent, NaN when malformed
+ */
+function getExpectedVersion(req) {
+  const header = req.headers['if-match'];
+  if (header) {
+    if (header.trim() === '*') return null;
+    const match = header.trim().match(/^(?:W\/)?"?v?(\d+)"?$/);
+    return match ? Number(match[1]) : NaN;
+  }
+  if (req.body && req.body.version !== undefined && req.body.version !== '') {
+    const version = Number(req.body.version);
+    return Number.isInteger(version) ? version : NaN;
+  }
+  return null;
+}
+
+/**
+ * Atomically bump the version, but only if it still matches the expected one
+ * Documents saved before versioning existed count as version 0.
+ * @param {Model} Model - mongoose model
+ * @param {Object} filter - identifies the document (e.g. { projectId })
+ * @param {number|null} expected - null skips the check (plain bump)
+ * @param {Object} changes - fields to $set in the same update (e.g. lastModifiedBy)
+ * @returns {Promise<Document|null>} updated document, null on conflict
+ */
+function claimVersion(Model, filter, expected, changes = {}) {
+  let versionFilter = {};
+  if (expected === 0) {
+    versionFilter = { $or: [{ version: 0 }, { version: { $exists: false } }] };
+  } else if (expected !== null) {
+    versionFilter = { version: expected };
+  }
+
+  return Model.findOneAndUpdate(
+    { ...filter, ...versionFilter },
+    { $inc: { version: 1 }, $set: changes },
+    { new: true }
+  );
+}
+
+/**
+ * Respond 409 with the current version and who changed it last
+ * @param {Object} res
+ * @param {Object} current - the document as it is now
+ * @param {number} expected - the version the client sent
+ */
+function sendVersionConflict(res, current, expected) {
+  res.set('ETag', versionEtag(current));
+  return res.status(409).json({
+    error: 'This item was changed by someone else',
+    message: `You edited version ${expected}, but the current version is ${current.version || 0}. Reload and merge your changes.`,
+    currentVersion: current.version || 0,
+    lastModifiedBy: current.lastModifiedBy,
+    lastModifiedAt: current.lastModifiedAt
+  });
+}
+
+/**
+ * Claim the version for a write, answering 400/409 when it can't be claimed
+ * The claim records who is editing, so a concurrent writer's 409 names them.
+ * If the write then fails, hand the claim back with releaseVersion.
+ * @returns {Promise<Document|null>} updated document, or null if a response was sent
+ */
+async function claimVersionOrRespond(req, res, Model, filter) {
+  const expected = getExpectedVersion(req);
+  if (Number.isNaN(expected)) {
+    res.status(400).json({ error: 'Invalid If-Match version' });
+    return null;
+  }
+
+  const editor = req.admin || req.user || {};
+  for (;;) {
+    const current = await Model.findOne(filter).select('version lastModifiedBy lastModifiedAt');
+    if (!current) {
+      res.status(404).json({ error: 'Not found' });
+      return null;
+    }
+    if (expected !== null && (current.version || 0) !== expected) {
+      sendVersionConflict(res, current, expected);
+      return null;
+    }
+
+    // Claim exactly the version just read, so releaseVersion can restore what it replaced
+    const claimed = await claimVersion(Model, filter, current.version || 0, {
+      lastModifiedBy: editor.email || current.lastModifiedBy,
+      lastModifiedAt: new Date()
+    });
+    if (claimed) {
+      claimed.$locals.previous = {
+        version: current.version || 0,
+        lastModifiedBy: current.lastModifiedBy,
+        lastModifiedAt: current.lastModifiedAt
+      };
+      return claimed;
+    }
+    // Someone saved in between: the next pass answers 409 or, without If-Match, claims again
+  }
+}
+
+/**
+ * Undo a claim whose write failed, unless someone has claimed a newer version since
+ * Never throws: the caller is already handling the original error.
+ * @param {Model} Model - mongoose model
+ * @param {Document} claimed - result of claimVersionOrRespond
+ * @returns {Promise<boolean>} true if the version was restored
+ */
+async function releaseVersion(Model, claimed) {
+  const previous = claimed && claimed.$locals.previous;
+  if (!previous) return false;
+  try {
+    const { modifiedCount } = await Model.updateOne(
+      { _id: claimed._id, version: claimed.version },
+      { $set: previous }
+    );
+    return modifiedCount > 0;
+  } catch (error) {
+    console.error('Error releasing claimed version:', error);
+    return false;
+  }
+}
+
+module.exports = {
+  versionEtag,
+  getExpectedVersion,
+  claimVersion,
+  sendVersionConflict,
+  claimVersionOrRespond,
+  releaseVersion
+};
@@ -0,0 +1,157 @@
+// server/utils/contentValidator.js
+const { extractHeadings } = require('./markdown');
+
+/**
+ * Find markdown/HTML links and images with their line numbers (fenced code is skipped)
+ * @param {string} content
+ * @returns {Array<Object>} Entries of { kind: 'image' | 'link', target, line }
+ */
+function extractReferences(content = '') {
+  const refs = [];
+  let inFence = false;
+
+  String(content).split('\n').forEach((line, index) => {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+      return;
+    }
+    if (inFence) return;
+
+    // Drop inline code so `[x](y)` examples aren't checked
+    const text = line.replace(/`[^`]*`/g, '');
+
+    for (const m of text.matchAll(/(!?)\[[^\]]*\]\(\s*<?([^)\s>]+)>?(?:\s+["'][^"']*["'])?\s*\)/g)) {
+      refs.push({ kind: m[1] ? 'image' : 'link', target: m[2], line: index + 1 });
+    }
+    for (const m of text.matchAll(/<img\s[^>]*src=["']([^"']+)["']/gi)) {
+      refs.push({ kind: 'image', target: m[1], line: index + 1 });
+    }
+  });
+
+  return refs;
+}
+
+// Helper: decodeURIComponent that returns null for malformed escapes ("100%.png")
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return null;
+  }
+}
+
+// Helper: Resolve an image reference to a file name in this topic's images/ folder
+// A path that can't be decoded is taken literally, so "images/100%.png" still
+// counts as a use of 100%.png and orphan cleanup leaves that file alone.
+function localImageName(target, projectId) {
+  const raw = target.split(/[?#]/)[0];
+  const clean = safeDecode(raw) ?? raw;
+  const patterns = [
+    /^(?:\.\/)?images\/([^/]+)$/,
+    new RegExp(`^/?docs/${projectId}/images/([^/]+)$`),
+    new RegExp(`^/api/courses/${projectId}/images/([^/]+)$`)
+  ];
+  for (const pattern of patterns) {
+    const match = clean.match(pattern);
+    if (match) return match[1];
+  }
+  return null;
+}
+
+// Helper: Split "page.md#anchor" / "page.md?id=anchor" / "#anchor"
+function splitPageLink(target) {
+  const match = target.match(/^([^#?]*)(?:\?id=([^#&]+)|#(.+))?$/);
+  if (!match) return { page: target, anchor: null };
+  return { page: match[1], anchor: match[2] || match[3] || null };
+}
+
+/**
+ * Validate page content before saving
+ * @param {string} content - markdown being saved
+ * @param {Object} context
+ * @param {string} context.projectId
+ * @param {string} context.file - page being saved
+ * @param {Array<string>} context.images - file names in images/
+ * @param {Array<Object>} context.pages - other pages of the topic: { file, content }
+ * @param {Array<string>} context.courseIds - existing topic IDs
+ * @returns {Array<Object>} warnings: { type, line, target, message }
+ */
+function validateContent(content, { projectId, file = 'README.md', images = [], pages = [], courseIds = [] }) {
+  const warnings = [];
+  const imageSet = new Set(images);
+  const courseIdSet = new Set(courseIds);
+
+  const anchorsFor = (pageContent) => new Set(extractHeadings(pageContent).map(h => h.anchor));
+  const pageAnchors = new Map(pages.map(p => [p.file, p.file === file ? null : p.content]));
+  const anchorCache = new Map([[file, anchorsFor(content)]]);
+  const getAnchors = (page) => {
+    if (!anchorCache.has(page)) anchorCache.set(page, anchorsFor(pageAnchors.get(page)));
+    return anchorCache.get(page);
+  };
+
+  for (const ref of extractReferences(content)) {
+    const { target, line } = ref;
+
+    // External links and mail/data URLs aren't checked
+    if (/^(https?:|mailto:|tel:|data:|\/\/)/i.test(target)) continue;
+
+    if (ref.kind === 'image') {
+      const name = localImageName(target, projectId);
+      if (name !== null && !imageSet.has(name)) {
+        warnings.push({
+          type: 'missing_image',
+          line,
+          target,
+          message: `Image "${name}" does not exist in this topic's images folder`
+        });
+      }
+      continue;
+    }
+
+    // Links to other topics: /docs/0005/..., ../0005/..., /0005
+    const topicMatch = target.match(/^(?:\.\.\/|\/docs\/|\/)(\d{4,})(?:[/#?]|$)/);
+    if (topicMatch) {
+      if (!courseIdSet.has(topicMatch[1])) {
+        warnings.push({
+          type: 'unknown_topic',
+          line,
+          target,
+          message: `Topic ${topicMatch[1]} does not exist`
+        });
+      }
+      continue;
+    }
+
+    // Links within this topic: #anchor, page.md, page.md#anchor
+    const { page, anchor } = splitPageLink(target);
+    const pageFile = page.replace(/^\.\//, '') || file;
+    if (!pageFile.endsWith('.md') || pageFile.includes('/')) continue;
+
+    if (!pageAnchors.has(pageFile) && pageFile !== file) {
+      warnings.push({
+        type: 'missing_page',
+        line,
+        target,
+        message: `Page "${pageFile}" does not exist in this topic`
+      });
+      continue;
+    }
+
+    if (anchor && !getAnchors(pageFile).has(safeDecode(anchor))) {
+      warnings.push({
+        type: 'broken_anchor',
+        line,
+        target,
+        message: `No heading with anchor "#${anchor}" in ${pageFile}`
+      });
+    }
+  }
+
+  return warnings;
+}
+
+module.exports = {
+  extractReferences,
+  localImageName,
+  validateContent
+};
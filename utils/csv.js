@@ -0,0 +1,33 @@
+// server/utils/csv.js
+// Minimal CSV writing for exports.
+
+// Leading characters spreadsheets treat as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * One CSV field: quoted when needed, formulas neutralized
+ * @param {*} value - objects are written as JSON
+ * @returns {string}
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString()
+    : typeof value === 'object' ? JSON.stringify(value)
+    : String(value);
+  if (FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One CSV line (with line break)
+ * @param {Array} values
+ * @returns {string}
+ */
+function csvRow(values) {
+  return values.map(csvField).join(',') + '\r\n';
+}
+
+module.exports = {
+  csvField,
+  csvRow
+};
@@ -0,0 +1,93 @@
+// server/utils/diff.js
+
+// Above this many cells the LCS table is too large to hold in memory,
+// so the changed block is reported as a plain remove + add
+const MAX_LCS_CELLS = 4 * 1024 * 1024;
+
+/**
+ * Line-by-line diff of two texts
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {Array<Object>} Entries of { type: 'equal' | 'added' | 'removed', line, oldLine, newLine }
+ */
+function diffLines(oldText = '', newText = '') {
+  const a = String(oldText).split('\n');
+  const b = String(newText).split('\n');
+  const result = [];
+
+  // Skip common prefix
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    result.push({ type: 'equal', line: a[start], oldLine: start + 1, newLine: start + 1 });
+    start++;
+  }
+
+  // Skip common suffix
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const n = endA - start;
+  const m = endB - start;
+
+  if ((n + 1) * (m + 1) > MAX_LCS_CELLS) {
+    for (let i = start; i < endA; i++) {
+      result.push({ type: 'removed', line: a[i], oldLine: i + 1, newLine: null });
+    }
+    for (let j = start; j < endB; j++) {
+      result.push({ type: 'added', line: b[j], oldLine: null, newLine: j + 1 });
+    }
+  } else {
+    // lcs[i][j] = length of LCS of a[start+i..endA) and b[start+j..endB)
+    const width = m + 1;
+    const lcs = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i * width + j] = a[start + i] === b[start + j]
+          ? lcs[(i + 1) * width + j + 1] + 1
+          : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && a[start + i] === b[start + j]) {
+        result.push({ type: 'equal', line: a[start + i], oldLine: start + i + 1, newLine: start + j + 1 });
+        i++;
+        j++;
+      } else if (i < n && (j === m || lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])) {
+        result.push({ type: 'removed', line: a[start + i], oldLine: start + i + 1, newLine: null });
+        i++;
+      } else {
+        result.push({ type: 'added', line: b[start + j], oldLine: null, newLine: start + j + 1 });
+        j++;
+      }
+    }
+  }
+
+  // Common suffix
+  for (let k = 0; k < a.length - endA; k++) {
+    result.push({ type: 'equal', line: a[endA + k], oldLine: endA + k + 1, newLine: endB + k + 1 });
+  }
+
+  return result;
+}
+
+/**
+ * Count added/removed lines in a diff
+ * @param {Array<Object>} diff - Output of diffLines()
+ * @returns {Object} { added, removed }
+ */
+function summarizeDiff(diff) {
+  return diff.reduce((acc, entry) => {
+    if (entry.type === 'added') acc.added++;
+    if (entry.type === 'removed') acc.removed++;
+    return acc;
+  }, { added: 0, removed: 0 });
+}
+
+module.exports = { diffLines, summarizeDiff };
@@ -0,0 +1,97 @@
+// server/utils/listQuery.js
+// Paging, sorting and filter parsing shared by the topic and program listings.
+
+const MAX_LIMIT = 100;
+
+// ?sort values and the fields they map to
+const SORT_FIELDS = {
+  title: 'title',
+  createdAt: 'createdAt',
+  lastModifiedAt: 'lastModifiedAt'
+};
+
+// Helper: Escape user text for use inside a RegExp
+function escapeRegex(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Helper: "a,b" or ["a", "b"] -> ["a", "b"]
+function toList(value) {
+  if (value === undefined) return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(v => String(v).trim())
+    .filter(Boolean);
+}
+
+/**
+ * Exact, case-insensitive match on one or more values of a field
+ * @param {string|Array} value - query parameter
+ * @param {Object} options - { all: every value must match (array fields) }
+ * @returns {Object|null} mongo condition, null when the parameter is empty
+ */
+function matchAny(value, { all = false } = {}) {
+  const values = toList(value).map(v => new RegExp(`^${escapeRegex(v)}$`, 'i'));
+  if (values.length === 0) return null;
+  if (values.length === 1) return values[0];
+  return all ? { $all: values } : { $in: values };
+}
+
+/**
+ * Read page, limit and sort from the query string
+ * Listing without page or limit returns everything (what older clients expect).
+ * @param {Object} query - req.query
+ * @param {Object} options - { defaultSort: e.g. "-createdAt", defaultLimit, sortFields: extra sort keys }
+ * @returns {Object} { paginate, page, limit, sort, sortKey } or { error }
+ */
+function parseListOptions(query, { defaultSort = 'createdAt', defaultLimit = 20, sortFields = {} } = {}) {
+  const paginate = query.page !== undefined || query.limit !== undefined;
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), MAX_LIMIT);
+
+  // sort=title | -lastModifiedAt, or sort=title&order=desc
+  const sortParam = String(query.sort || defaultSort);
+  const desc = sortParam.startsWith('-') || query.order === 'desc';
+  const sortKey = sortParam.replace(/^-/, '');
+  const fields = { ...SORT_FIELDS, ...sortFields };
+
+  if (!fields[sortKey]) {
+    return { error: `sort must be one of: ${Object.keys(fields).join(', ')}` };
+  }
+
+  // _id breaks ties so pages don't overlap
+  const direction = desc ? -1 : 1;
+  const sort = { [fields[sortKey]]: direction, _id: direction };
+
+  return { paginate, page, limit, sort, sortKey: `${desc ? '-' : ''}${sortKey}` };
+}
+
+/**
+ * Run a paged, sorted find and count the matches
+ * @param {Model} Model
+ * @param {Object} filter
+ * @param {Object} options - result of parseListOptions, plus select
+ * @returns {Promise<Object>} { items, total, page, limit, totalPages }
+ */
+async function findPage(Model, filter, { paginate, page, limit, sort, sortKey, select }) {
+  let find = Model.find(filter).select(select).sort(sort);
+  // Titles sort case-insensitively
+  if (sortKey.replace(/^-/, '') === 'title') find = find.collation({ locale: 'en', strength: 2 });
+  if (paginate) find = find.skip((page - 1) * limit).limit(limit);
+
+  const [items, total] = await Promise.all([find, Model.countDocuments(filter)]);
+
+  return {
+    items,
+    total,
+    page: paginate ? page : 1,
+    limit: paginate ? limit : total,
+    totalPages: paginate ? Math.ceil(total / limit) : 1
+  };
+}
+
+module.exports = {
+  escapeRegex,
+  matchAny,
+  parseListOptions,
+  findPage
+};
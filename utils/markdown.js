@@ -0,0 +1,117 @@
+// server/utils/markdown.js
+
+// Headings deeper than this are left out of the sidebar
+const MAX_SIDEBAR_LEVEL = 4;
+
+/**
+ * Build the anchor docsify uses for a heading
+ * @param {string} text - Heading text
+ * @returns {string} anchor (e.g. "getting-started")
+ */
+function slugifyHeading(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9\s-]/g, '').trim().replace(/\s+/g, '-');
+}
+
+/**
+ * Extract ATX headings from markdown, ignoring fenced code blocks
+ * @param {string} content
+ * @returns {Array<Object>} Entries of { level, text, anchor, line }
+ */
+function extractHeadings(content = '') {
+  const headings = [];
+  let inFence = false;
+
+  String(content).split('\n').forEach((line, index) => {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+      return;
+    }
+    if (inFence) return;
+
+    const match = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (match) {
+      const text = match[2].trim();
+      headings.push({
+        level: match[1].length,
+        text,
+        anchor: slugifyHeading(text),
+        line: index + 1
+      });
+    }
+  });
+
+  return headings;
+}
+
+/**
+ * Generate docsify _sidebar.md from ordered pages
+ * Each page is a top-level entry; its ## / ### / #### headings are nested under it.
+ * @param {Array<Object>} pages - Entries of { file, title, content }
+ * @returns {string} sidebar markdown
+ */
+function generateSidebar(pages) {
+  const lines = [];
+
+  for (const page of pages) {
+    lines.push(`* [${page.title}](${page.file})`);
+
+    let depth = 0;
+    for (const heading of extractHeadings(page.content)) {
+      if (heading.level < 2 || heading.level > MAX_SIDEBAR_LEVEL) continue;
+      // Never skip a nesting level, even if the author skipped a heading level
+      depth = Math.min(heading.level - 1, depth + 1);
+      lines.push(`${'  '.repeat(depth)}* [${heading.text}](${page.file}#${heading.anchor})`);
+    }
+  }
+
+  return lines.length > 0 ? lines.join('\n') : '* [Home](README.md)';
+}
+
+/**
+ * Strip markdown syntax, keeping the readable text
+ * @param {string} markdown
+ * @returns {string} plain text
+ */
+function toPlainText(markdown = '') {
+  return String(markdown)
+    .replace(/^\s*(```|~~~).*$/gm, '')           // code fence markers
+    .replace(/<[^>]+>/g, ' ')                     // HTML tags
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')       // images -> alt text
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')        // links -> link text
+    .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+\.)\s+/gm, '') // headings, quotes, list markers
+    .replace(/[*_`~]+/g, '')                      // emphasis, inline code
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Split markdown into sections, one per heading
+ * Text before the first heading becomes a section with an empty anchor.
+ * @param {string} content
+ * @returns {Array<Object>} Entries of { heading, anchor, level, text }
+ */
+function splitSections(content = '') {
+  const lines = String(content).split('\n');
+  const headings = extractHeadings(content);
+  const sections = [];
+
+  const starts = [{ line: 0, heading: '', anchor: '', level: 0 }]
+    .concat(headings.map(h => ({ line: h.line, heading: h.text, anchor: h.anchor, level: h.level })));
+
+  starts.forEach((start, i) => {
+    const end = i + 1 < starts.length ? starts[i + 1].line - 1 : lines.length;
+    const text = toPlainText(lines.slice(start.line, end).join('\n'));
+    if (!text && !start.heading) return;
+    sections.push({ heading: start.heading, anchor: start.anchor, level: start.level, text });
+  });
+
+  return sections;
+}
+
+module.exports = {
+  slugifyHeading,
+  extractHeadings,
+  generateSidebar,
+  toPlainText,
+  splitSections
+};
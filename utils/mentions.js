@@ -0,0 +1,17 @@
+// server/utils/mentions.js
+// "@someone@example.com" mentions in comment text.
+
+const MENTION_PATTERN = /(^|[^\w@])@([\w.+-]+@[\w-]+(?:\.[\w-]+)+)/g;
+
+/**
+ * Emails mentioned in a text, lowercased and without duplicates
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function extractMentions(text) {
+  const emails = [...String(text || '').matchAll(MENTION_PATTERN)]
+    .map(m => m[2].replace(/\.+$/, '').toLowerCase());
+  return [...new Set(emails)];
+}
+
+module.exports = { extractMentions };
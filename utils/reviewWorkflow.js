@@ -0,0 +1,81 @@
+// server/utils/reviewWorkflow.js
+// Editorial review state machine shared by topics and programs.
+//
+// draft ──submit──▶ in_review ──approve──▶ approved ──publish──▶ published
+//   ▲                 │    │                                        │
+//   └────withdraw─────┘    └──request_changes──▶ changes_requested ─┘(submit)
+//
+// Editing approved or published content sends it back to draft.
+
+const REVIEW_STATES = ['draft', 'in_review', 'changes_requested', 'approved', 'published'];
+
+// actor: who may perform the action
+//   editor    - canEditContent on the document
+//   reviewer  - see canReview()
+//   publisher - canPublish / canEditInfo, performed by the publish endpoints
+const TRANSITIONS = {
+  submit: { from: ['draft', 'changes_requested'], to: 'in_review', actor: 'editor' },
+  withdraw: { from: ['in_review'], to: 'draft', actor: 'editor' },
+  approve: { from: ['in_review'], to: 'approved', actor: 'reviewer' },
+  request_changes: { from: ['in_review'], to: 'changes_requested', actor: 'reviewer', requiresComment: true },
+  publish: { from: ['approved'], to: 'published', actor: 'publisher' }
+};
+
+// Deployment switches
+const REVIEW_OPTIONS = {
+  // false keeps the old behaviour: any admin may publish without review
+  required: process.env.REVIEW_REQUIRED !== 'false',
+  // let the person who submitted also approve
+  allowSelfApproval: process.env.REVIEW_ALLOW_SELF_APPROVAL === 'true'
+};
+
+/**
+ * Look up a transition for the current state
+ * @param {string} action - key of TRANSITIONS
+ * @param {string} from - current review state
+ * @returns {Object} { transition } or { error }
+ */
+function getTransition(action, from) {
+  const transition = TRANSITIONS[action];
+  if (!transition) {
+    return { error: `Unknown review action "${action}"` };
+  }
+  if (!transition.from.includes(from || 'draft')) {
+    return { error: `Cannot ${action.replace('_', ' ')} from state "${from || 'draft'}"` };
+  }
+  return { transition };
+}
+
+/**
+ * Whether an admin may approve or request changes
+ * Named reviewers (if any) and super admins may review; otherwise any admin.
+ * The submitter can't review their own work unless self approval is enabled.
+ * @param {Object} doc - Course or Program
+ * @param {string} userEmail
+ * @param {string} userRole
+ * @returns {boolean}
+ */
+function canReview(doc, userEmail, userRole) {
+  if (!REVIEW_OPTIONS.allowSelfApproval && doc.reviewSubmittedBy === userEmail) return false;
+  if (userRole === 'super_admin') return true;
+  if (doc.reviewers && doc.reviewers.length > 0) return doc.reviewers.includes(userEmail);
+  return userRole === 'admin';
+}
+
+/**
+ * Whether the document's review state allows publishing
+ * @param {Object} doc - Course or Program
+ * @returns {boolean}
+ */
+function isPublishable(doc) {
+  return !REVIEW_OPTIONS.required || doc.reviewStatus === 'approved';
+}
+
+module.exports = {
+  REVIEW_STATES,
+  TRANSITIONS,
+  REVIEW_OPTIONS,
+  getTransition,
+  canReview,
+  isPublishable
+};
@@ -0,0 +1,50 @@
+// server/utils/schedule.js
+
+// Helper: Parse one schedule timestamp (undefined = leave as is, null/'' = clear)
+function parseScheduleDate(value, field) {
+  if (value === undefined) return { value: undefined };
+  if (value === null || value === '') return { value: null };
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return { error: `${field} must be a valid date` };
+  }
+  return { value: date };
+}
+
+/**
+ * Read publishAt / unpublishAt from a request body and check them against the current schedule
+ * @param {Object} body - { publishAt, unpublishAt }
+ * @param {Object} current - document with the current publishAt / unpublishAt
+ * @returns {Object} { publishAt, unpublishAt } with undefined for untouched fields, or { error }
+ */
+function parseSchedule(body = {}, current = {}) {
+  const publishAt = parseScheduleDate(body.publishAt, 'publishAt');
+  if (publishAt.error) return { error: publishAt.error };
+  const unpublishAt = parseScheduleDate(body.unpublishAt, 'unpublishAt');
+  if (unpublishAt.error) return { error: unpublishAt.error };
+
+  if (publishAt.value === undefined && unpublishAt.value === undefined) {
+    return { error: 'publishAt or unpublishAt is required' };
+  }
+
+  const now = new Date();
+  if (publishAt.value && publishAt.value <= now) {
+    return { error: 'publishAt must be in the future' };
+  }
+  if (unpublishAt.value && unpublishAt.value <= now) {
+    return { error: 'unpublishAt must be in the future' };
+  }
+
+  // Compare against the resulting schedule, not just what was sent
+  const nextPublishAt = publishAt.value !== undefined ? publishAt.value : current.publishAt;
+  const nextUnpublishAt = unpublishAt.value !== undefined ? unpublishAt.value : current.unpublishAt;
+  if (nextPublishAt && nextUnpublishAt && nextUnpublishAt <= nextPublishAt) {
+    return { error: 'unpublishAt must be after publishAt' };
+  }
+
+  return { publishAt: publishAt.value, unpublishAt: unpublishAt.value };
+}
+
+module.exports = {
+  parseSchedule
+};
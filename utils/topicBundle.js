@@ -0,0 +1,215 @@
+// server/utils/topicBundle.js
+const AdmZip = require('adm-zip');
+
+const BUNDLE_FORMAT = 'elib-topic-bundle';
+const BUNDLE_VERSION = 1;
+const MANIFEST_FILE = 'manifest.json';
+
+// Unpacking limits, checked against the ZIP directory before anything is inflated
+const MAX_BUNDLE_ENTRIES = 1000;
+const MAX_BUNDLE_SIZE = 100 * 1024 * 1024;
+
+/**
+ * Pack a topic into a ZIP bundle
+ * Includes the markdown pages, _sidebar.md, index.html, the images/ folder
+ * and a manifest.json built from the Course document.
+ * @param {Object} options
+ * @param {string} options.dir - topic folder (project ID) in storage
+ * @param {Object} options.contentArea - storage area holding the markdown pages
+ * @param {Object} options.assetsArea - storage area holding index.html and images/
+ * @param {Object} options.manifest - topic metadata
+ * @returns {Promise<Buffer>} ZIP file contents
+ */
+async function buildTopicBundle({ dir, contentArea, assetsArea, manifest }) {
+  const zip = new AdmZip();
+
+  const contentFiles = await contentArea.list(dir);
+  for (const file of contentFiles.filter(f => f.endsWith('.md'))) {
+    zip.addFile(file, await contentArea.read(`${dir}/${file}`));
+  }
+
+  const indexHtml = await assetsArea.read(`${dir}/index.html`).catch(() => null);
+  if (indexHtml) zip.addFile('index.html', indexHtml);
+
+  const images = await assetsArea.list(`${dir}/images`);
+  for (const name of images) {
+    zip.addFile(`images/${name}`, await assetsArea.read(`${dir}/images/${name}`));
+  }
+
+  zip.addFile(MANIFEST_FILE, Buffer.from(JSON.stringify({
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    ...manifest
+  }, null, 2), 'utf8'));
+
+  return zip.toBuffer();
+}
+
+/**
+ * Unpack a ZIP into a { relativePath: Buffer } map
+ * A single wrapping folder (e.g. "my-topic/README.md") is stripped.
+ * Throws when the bundle has too many entries or unpacks to too much data.
+ * @param {Buffer} buffer
+ * @param {Object} limits - { maxEntries, maxSize } (uncompressed bytes)
+ * @returns {Object} files keyed by relative path
+ */
+function unzipBundle(buffer, { maxEntries = MAX_BUNDLE_ENTRIES, maxSize = MAX_BUNDLE_SIZE } = {}) {
+  const zip = new AdmZip(buffer);
+  const entries = zip.getEntries().filter(entry => !entry.isDirectory);
+
+  if (entries.length > maxEntries) {
+    throw new Error(`too many files (${entries.length}, at most ${maxEntries})`);
+  }
+  const declaredSize = entries.reduce((sum, entry) => sum + entry.header.size, 0);
+  if (declaredSize > maxSize) {
+    throw new Error(`unpacks to ${declaredSize} bytes, at most ${maxSize} allowed`);
+  }
+
+  const files = {};
+  let size = 0;
+  for (const entry of entries) {
+    const data = entry.getData();
+    // The directory sizes can lie; count what was actually inflated too
+    size += data.length;
+    if (size > maxSize) {
+      throw new Error(`unpacks to more than ${maxSize} bytes`);
+    }
+    files[entry.entryName.replace(/\\/g, '/')] = data;
+  }
+  return stripCommonFolder(files);
+}
+
+// Helper: Drop a top-level folder shared by every path
+function stripCommonFolder(files) {
+  const paths = Object.keys(files).filter(p => !p.startsWith('__MACOSX/'));
+  const firstSegments = new Set(paths.map(p => p.split('/')[0]));
+  const [root] = firstSegments;
+  const isWrapped = firstSegments.size === 1 && paths.every(p => p.startsWith(`${root}/`));
+
+  const result = {};
+  for (const p of paths) {
+    result[isWrapped ? p.slice(root.length + 1) : p] = files[p];
+  }
+  return result;
+}
+
+// Helper: First "# " heading of a markdown page
+function firstTitle(content) {
+  const match = String(content).match(/^#\s+(.+)$/m);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Validate and normalize an uploaded topic (ZIP bundle or plain markdown folder)
+ * @param {Object} files - { relativePath: Buffer } map
+ * @param {Object} overrides - { title } used when there is no manifest
+ * @returns {Object} { manifest, pages, images, report: { errors, warnings } }
+ */
+function readTopicBundle(files, overrides = {}) {
+  const errors = [];
+  const warnings = [];
+  const paths = Object.keys(files).map(p => p.replace(/^\.\//, ''));
+  const get = (p) => files[p] || files[`./${p}`];
+
+  // Manifest (optional: plain markdown folders have none)
+  let manifest = null;
+  if (get(MANIFEST_FILE)) {
+    try {
+      manifest = JSON.parse(get(MANIFEST_FILE).toString('utf8'));
+    } catch (err) {
+      errors.push(`${MANIFEST_FILE} is not valid JSON: ${err.message}`);
+    }
+  }
+
+  if (manifest) {
+    if (manifest.format !== BUNDLE_FORMAT) {
+      errors.push(`${MANIFEST_FILE}: unknown format "${manifest.format}"`);
+    }
+    if (manifest.version > BUNDLE_VERSION) {
+      errors.push(`${MANIFEST_FILE}: version ${manifest.version} is newer than supported (${BUNDLE_VERSION})`);
+    }
+    if (!manifest.title || typeof manifest.title !== 'string') {
+      errors.push(`${MANIFEST_FILE}: title is required`);
+    }
+    if (manifest.keywords !== undefined && !Array.isArray(manifest.keywords)) {
+      errors.push(`${MANIFEST_FILE}: keywords must be an array`);
+    }
+    if (manifest.pages !== undefined && !Array.isArray(manifest.pages)) {
+      errors.push(`${MANIFEST_FILE}: pages must be an array`);
+    }
+  }
+
+  // Pages
+  const markdownFiles = paths.filter(p => !p.includes('/') && p.endsWith('.md') && p !== '_sidebar.md');
+  if (!markdownFiles.includes('README.md')) {
+    errors.push('README.md is missing');
+  }
+
+  let pages = [];
+  if (manifest && Array.isArray(manifest.pages) && manifest.pages.length > 0) {
+    for (const page of manifest.pages) {
+      if (!page || !page.file || !/^[A-Za-z0-9][A-Za-z0-9_-]*\.md$/.test(page.file)) {
+        errors.push(`${MANIFEST_FILE}: invalid page entry ${JSON.stringify(page)}`);
+      } else if (!markdownFiles.includes(page.file)) {
+        errors.push(`Page ${page.file} is listed in ${MANIFEST_FILE} but missing from the bundle`);
+      } else {
+        pages.push({ file: page.file, title: page.title || page.file.replace(/\.md$/, '') });
+      }
+    }
+    if (!manifest.pages.some(p => p && p.file === 'README.md')) {
+      errors.push(`${MANIFEST_FILE}: pages must include README.md`);
+    }
+    for (const file of markdownFiles.filter(f => !pages.some(p => p.file === f))) {
+      warnings.push(`${file} is not listed in ${MANIFEST_FILE} and was skipped`);
+    }
+  } else {
+    // README first, other pages alphabetically
+    pages = markdownFiles
+      .sort((a, b) => (a === 'README.md' ? -1 : b === 'README.md' ? 1 : a.localeCompare(b)))
+      .filter(f => /^[A-Za-z0-9][A-Za-z0-9_-]*\.md$/.test(f))
+      .map(file => ({
+        file,
+        title: file === 'README.md'
+          ? 'Home'
+          : firstTitle(get(file).toString('utf8')) || file.replace(/\.md$/, '')
+      }));
+  }
+
+  pages = pages.map(p => ({ ...p, content: get(p.file).toString('utf8') }));
+
+  // Images (top level of images/ only)
+  const images = paths
+    .filter(p => /^images\/[^/]+$/.test(p))
+    .map(p => ({ name: p.slice('images/'.length), data: get(p) }));
+
+  for (const p of paths) {
+    const known = p === MANIFEST_FILE || p === '_sidebar.md' || p === 'index.html' ||
+      markdownFiles.includes(p) || /^images\/[^/]+$/.test(p);
+    if (!known) warnings.push(`${p} was ignored`);
+  }
+
+  // Title
+  const readme = pages.find(p => p.file === 'README.md');
+  const title = (manifest && manifest.title) || overrides.title || (readme && firstTitle(readme.content));
+  if (!title) {
+    errors.push('No title found: add a manifest, a "# Title" heading in README.md, or pass a title');
+  }
+
+  return {
+    manifest: { ...(manifest || {}), title },
+    pages,
+    images,
+    report: { errors, warnings }
+  };
+}
+
+module.exports = {
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  MANIFEST_FILE,
+  MAX_BUNDLE_SIZE,
+  buildTopicBundle,
+  unzipBundle,
+  stripCommonFolder,
+  readTopicBundle
+};